@@ -0,0 +1,95 @@
+// What each staff role may do. Routes ask for permissions rather than roles, so a role's access can change
+// here without touching the routes.
+const PERMISSIONS = [
+  "users:read",
+  "users:manage",
+  "roles:manage",
+  "invitations:manage",
+  "hostels:manage",
+  "rooms:manage",
+  "rooms:assign",
+  "applications:read",
+  "applications:review",
+  "applications:manage",
+  "allocations:run",
+  "occupancies:read",
+  "occupancies:check_in",
+  "occupancies:manage",
+  "room_changes:review",
+  "waitlist:manage",
+  "billing:read",
+  "billing:manage",
+  "payments:read",
+  "sessions:read",
+  "sessions:manage",
+  "priority_rules:read",
+  "priority_rules:manage",
+  "selection:read",
+  "selection:manage",
+  "reports:read",
+  "messages:read",
+  "messages:manage",
+  "broadcast:send",
+  "audit:read",
+]
+
+const READ_PERMISSIONS = PERMISSIONS.filter((permission) => permission.endsWith(":read"))
+
+const ROLE_PERMISSIONS = {
+  student: [],
+  super_admin: PERMISSIONS,
+  // Admins run everything except deciding who holds which staff role
+  admin: PERMISSIONS.filter((permission) => permission !== "roles:manage"),
+  warden: [
+    "reports:read",
+    "rooms:assign",
+    "applications:read",
+    "applications:review",
+    "occupancies:read",
+    "occupancies:check_in",
+    "occupancies:manage",
+    "room_changes:review",
+    "broadcast:send",
+  ],
+  porter: ["occupancies:read", "occupancies:check_in"],
+  bursary: ["billing:read", "billing:manage", "payments:read"],
+  auditor: READ_PERMISSIONS,
+}
+
+// Roles that only see and act on the hostels they manage (Hostel.managers)
+const HOSTEL_SCOPED_ROLES = ["warden", "porter"]
+
+// Every role other than student belongs to staff, who are invited rather than registering
+const STAFF_ROLES = Object.keys(ROLE_PERMISSIONS).filter((role) => role !== "student")
+
+// Staff roles that must sign in with an authenticator app code, e.g. TWO_FACTOR_REQUIRED_ROLES=super_admin,admin.
+// Anyone else may turn two-factor authentication on for themselves.
+const TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || "")
+  .split(",")
+  .map((role) => role.trim())
+  .filter((role) => STAFF_ROLES.includes(role))
+
+const hasPermission = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission)
+
+const isHostelScoped = (role) => HOSTEL_SCOPED_ROLES.includes(role)
+
+const requiresTwoFactor = (role) => TWO_FACTOR_REQUIRED_ROLES.includes(role)
+
+// Staff roles granted a permission
+const rolesWith = (permission) => STAFF_ROLES.filter((role) => hasPermission(role, permission))
+
+// Roles granted a permission everywhere, not just in the hostels they manage
+const unscopedRolesWith = (permission) => rolesWith(permission).filter((role) => !isHostelScoped(role))
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  HOSTEL_SCOPED_ROLES,
+  STAFF_ROLES,
+  TWO_FACTOR_REQUIRED_ROLES,
+  hasPermission,
+  isHostelScoped,
+  requiresTwoFactor,
+  rolesWith,
+  unscopedRolesWith,
+}
@@ -1,7 +1,10 @@
 const jwt = require("jsonwebtoken")
 const User = require("../models/User")
+const AuthSession = require("../models/AuthSession")
+const { loadHostelScope } = require("../services/hostelScope")
+const { requiresTwoFactor } = require("../config/permissions")
 
-// Verify JWT token
+// Verify JWT token and that the session it was issued for has not been signed out
 const authenticateToken = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization
@@ -15,7 +18,10 @@ const authenticateToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET)
-    const user = await User.findById(decoded.userId).select("-password")
+    const [user, session] = await Promise.all([
+      User.findById(decoded.userId).select("-password"),
+      decoded.sessionId ? AuthSession.exists({ _id: decoded.sessionId, user: decoded.userId, revokedAt: null }) : null,
+    ])
 
     if (!user || !user.isActive) {
       return res.status(401).json({
@@ -24,7 +30,15 @@ const authenticateToken = async (req, res, next) => {
       })
     }
 
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: "Session has been signed out",
+      })
+    }
+
     req.user = user
+    req.sessionId = session._id
     next()
   } catch (error) {
     if (error.name === "JsonWebTokenError") {
@@ -48,36 +62,83 @@ const authenticateToken = async (req, res, next) => {
   }
 }
 
-// Check if user is admin
-const requireAdmin = (req, res, next) => {
-  if (req.user.role !== "admin") {
+// Check that the user's role grants every listed permission, and that they have set up two-factor
+// authentication if their role requires it. Wardens and porters get the hostels they manage on
+// req.hostelScope (null for everyone else) so routes can limit what they see.
+const requirePermission =
+  (...permissions) =>
+  async (req, res, next) => {
+    if (!permissions.every((permission) => req.user.can(permission))) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to perform this action",
+      })
+    }
+
+    if (requiresTwoFactor(req.user.role) && !req.user.twoFactor.enabled) {
+      return res.status(403).json({
+        success: false,
+        message: "Set up two-factor authentication from your profile before using staff features",
+        data: { twoFactorSetupRequired: true },
+      })
+    }
+
+    try {
+      req.hostelScope = await loadHostelScope(req.user)
+      next()
+    } catch (error) {
+      return res.status(500).json({
+        success: false,
+        message: "Authorization error",
+      })
+    }
+  }
+
+// Check if user is student
+const requireStudent = (req, res, next) => {
+  if (req.user.role !== "student") {
     return res.status(403).json({
       success: false,
-      message: "Admin access required",
+      message: "Student access required",
     })
   }
   next()
 }
 
-// Check if user is student
-const requireStudent = (req, res, next) => {
-  if (req.user.role !== "student") {
+// Let students through (routes limit them to their own records) and staff with a permission
+const requireStudentOrPermission = (permission) => async (req, res, next) => {
+  if (req.user.role === "student") {
+    req.hostelScope = null
+    return next()
+  }
+
+  return requirePermission(permission)(req, res, next)
+}
+
+// Check that the user has verified their email address
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified) {
     return res.status(403).json({
       success: false,
-      message: "Student access required",
+      message: "Please verify your email address first. You can ask for a new verification email from your profile",
     })
   }
   next()
 }
 
-// Check if user owns resource or is admin
-const requireOwnershipOrAdmin = (req, res, next) => {
+// Check if user owns resource or has a permission for other users' resources
+const requireOwnershipOrPermission = (permission) => async (req, res, next) => {
   const resourceUserId = req.params.studentId || req.body.studentId
 
-  if (req.user.role === "admin" || req.user._id.toString() === resourceUserId) {
+  if (req.user._id.toString() === resourceUserId) {
+    req.hostelScope = null
     return next()
   }
 
+  if (req.user.can(permission)) {
+    return requirePermission(permission)(req, res, next)
+  }
+
   return res.status(403).json({
     success: false,
     message: "Access denied. You can only access your own resources.",
@@ -86,7 +147,9 @@ const requireOwnershipOrAdmin = (req, res, next) => {
 
 module.exports = {
   authenticateToken,
-  requireAdmin,
+  requirePermission,
   requireStudent,
-  requireOwnershipOrAdmin,
+  requireStudentOrPermission,
+  requireVerifiedEmail,
+  requireOwnershipOrPermission,
 }
@@ -0,0 +1,63 @@
+const multer = require("multer")
+
+// Largest accepted upload in bytes
+const MAX_FILE_SIZE = Number.parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024
+
+// Accepted document types, with the leading bytes each file must start with
+const ALLOWED_TYPES = {
+  "application/pdf": { extension: ".pdf", signature: Buffer.from("%PDF-") },
+  "image/jpeg": { extension: ".jpg", signature: Buffer.from([0xff, 0xd8, 0xff]) },
+  "image/png": { extension: ".png", signature: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+}
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: 1 },
+  fileFilter: (req, file, callback) => {
+    if (!ALLOWED_TYPES[file.mimetype]) {
+      return callback(new multer.MulterError("LIMIT_UNEXPECTED_FILE", file.fieldname))
+    }
+    callback(null, true)
+  },
+})
+
+// Accept a single document in the given field and check that its content matches its declared type
+const uploadDocument = (field) => (req, res, next) => {
+  upload.single(field)(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        message:
+          error.code === "LIMIT_FILE_SIZE"
+            ? `File is too large. The limit is ${Math.round(MAX_FILE_SIZE / 1024 / 1024)} MB`
+            : "Only PDF, JPEG and PNG files can be uploaded",
+      })
+    }
+
+    if (error) return next(error)
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: `A file is required in the "${field}" field`,
+      })
+    }
+
+    const { signature } = ALLOWED_TYPES[req.file.mimetype]
+    if (!req.file.buffer.subarray(0, signature.length).equals(signature)) {
+      return res.status(400).json({
+        success: false,
+        message: "File content does not match its type",
+      })
+    }
+
+    req.file.extension = ALLOWED_TYPES[req.file.mimetype].extension
+    next()
+  })
+}
+
+module.exports = {
+  MAX_FILE_SIZE,
+  ALLOWED_TYPES,
+  uploadDocument,
+}
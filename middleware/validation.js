@@ -1,4 +1,5 @@
 const { body, validationResult } = require("express-validator")
+const { STAFF_ROLES } = require("../config/permissions")
 
 // Handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -60,13 +61,111 @@ const validateUserLogin = [
   handleValidationErrors,
 ]
 
+// Forgot password validation (the email is matched as stored, so it is not normalized)
+const validateForgotPassword = [
+  body("email").isEmail().withMessage("Please provide a valid email"),
+
+  handleValidationErrors,
+]
+
+// Password reset validation
+const validatePasswordReset = [
+  body("token").isString().notEmpty().withMessage("Reset token is required"),
+
+  body("password").isLength({ min: 6 }).withMessage("Password must be at least 6 characters long"),
+
+  handleValidationErrors,
+]
+
+// Email verification validation
+const validateEmailVerification = [
+  body("token").isString().notEmpty().withMessage("Verification token is required"),
+
+  handleValidationErrors,
+]
+
+// Staff invitation validation (the email is stored as typed, so it is not normalized)
+const validateInvitation = [
+  body("email").isEmail().withMessage("Please provide a valid email"),
+
+  body("role").isIn(STAFF_ROLES).withMessage(`Role must be one of: ${STAFF_ROLES.join(", ")}`),
+
+  body("hostels").optional().isArray().withMessage("Hostels must be a list of hostel IDs"),
+
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Name must be between 2 and 100 characters"),
+
+  handleValidationErrors,
+]
+
+// Invitation acceptance validation
+const validateInvitationAcceptance = [
+  body("token").isString().notEmpty().withMessage("Invitation token is required"),
+
+  body("password").isLength({ min: 6 }).withMessage("Password must be at least 6 characters long"),
+
+  body("gender").isIn(["male", "female"]).withMessage("Gender must be either male or female"),
+
+  body("phoneNumber").notEmpty().withMessage("Phone number is required"),
+
+  handleValidationErrors,
+]
+
+// Staff role change validation
+const validateRoleChange = [
+  body("role").isIn(STAFF_ROLES).withMessage(`Role must be one of: ${STAFF_ROLES.join(", ")}`),
+
+  body("hostels").optional().isArray().withMessage("Hostels must be a list of hostel IDs"),
+
+  handleValidationErrors,
+]
+
+// A code from the user's authenticator app, or one of their recovery codes in its place
+const twoFactorCodeChecks = [
+  body("code")
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage("Code must be the 6 digits shown in your authenticator app"),
+
+  body("recoveryCode").optional().isString().withMessage("Recovery code must be text"),
+
+  body()
+    .custom((value) => Boolean(value.code || value.recoveryCode))
+    .withMessage("Enter the code from your authenticator app or a recovery code"),
+]
+
+// Two-factor setup confirmation validation
+const validateTwoFactorEnable = [
+  body("code")
+    .matches(/^\d{6}$/)
+    .withMessage("Code must be the 6 digits shown in your authenticator app"),
+
+  handleValidationErrors,
+]
+
+// Two-factor code validation
+const validateTwoFactorCode = [...twoFactorCodeChecks, handleValidationErrors]
+
+// Two-factor disabling validation
+const validateTwoFactorDisable = [
+  body("password").notEmpty().withMessage("Password is required"),
+
+  ...twoFactorCodeChecks,
+
+  handleValidationErrors,
+]
+
 // Application submission validation
 const validateApplicationSubmission = [
   body("academicYear")
+    .optional()
     .matches(/^\d{4}\/\d{4}$/)
     .withMessage("Academic year format should be YYYY/YYYY (e.g., 2024/2025)"),
 
-  body("semester").isIn(["first", "second"]).withMessage("Semester must be either first or second"),
+  body("semester").optional().isIn(["first", "second"]).withMessage("Semester must be either first or second"),
 
   body("personalInfo.guardianName")
     .trim()
@@ -115,6 +214,35 @@ const validateApplicationSubmission = [
     .isLength({ max: 300 })
     .withMessage("Special requests cannot exceed 300 characters"),
 
+  body("preferences.preferredRoommates")
+    .optional()
+    .isArray({ max: 3 })
+    .withMessage("You can nominate up to 3 roommates"),
+
+  body("preferences.preferredRoommates.*")
+    .matches(/^CU\/\d{2}\/\d{4}$/)
+    .withMessage("Invalid roommate matric number format (e.g., CU/20/1234)"),
+
+  body("lifestyle.sleepSchedule")
+    .optional()
+    .isIn(["early", "flexible", "late"])
+    .withMessage("Sleep schedule must be one of: early, flexible, late"),
+
+  body("lifestyle.studyHabits")
+    .optional()
+    .isIn(["in_room", "mixed", "library"])
+    .withMessage("Study habits must be one of: in_room, mixed, library"),
+
+  body("lifestyle.noiseTolerance")
+    .optional()
+    .isIn(["low", "medium", "high"])
+    .withMessage("Noise tolerance must be one of: low, medium, high"),
+
+  body("lifestyle.cleanliness")
+    .optional()
+    .isIn(["relaxed", "average", "very_tidy"])
+    .withMessage("Cleanliness must be one of: relaxed, average, very_tidy"),
+
   handleValidationErrors,
 ]
 
@@ -173,6 +301,15 @@ const validateRoomCreation = [
 module.exports = {
   validateUserRegistration,
   validateUserLogin,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateEmailVerification,
+  validateInvitation,
+  validateInvitationAcceptance,
+  validateRoleChange,
+  validateTwoFactorEnable,
+  validateTwoFactorCode,
+  validateTwoFactorDisable,
   validateApplicationSubmission,
   validateHostelCreation,
   validateRoomCreation,
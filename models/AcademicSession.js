@@ -0,0 +1,100 @@
+const mongoose = require("mongoose")
+
+const DEFAULT_HOLD_EXPIRY_HOURS = 72
+
+const academicSessionSchema = new mongoose.Schema(
+  {
+    academicYear: {
+      type: String,
+      required: [true, "Academic year is required"],
+      match: [/^\d{4}\/\d{4}$/, "Academic year format should be YYYY/YYYY (e.g., 2024/2025)"],
+    },
+    semester: {
+      type: String,
+      enum: ["first", "second"],
+      required: [true, "Semester is required"],
+    },
+    startDate: {
+      type: Date,
+      required: [true, "Start date is required"],
+    },
+    endDate: {
+      type: Date,
+      required: [true, "End date is required"],
+    },
+    applicationOpenDate: {
+      type: Date,
+      required: [true, "Application open date is required"],
+    },
+    applicationCloseDate: {
+      type: Date,
+      required: [true, "Application close date is required"],
+    },
+    isCurrent: {
+      type: Boolean,
+      default: false,
+    },
+    // Hours a newly assigned bed is held for payment before it is released
+    holdExpiryHours: {
+      type: Number,
+      min: [1, "Hold expiry must be at least 1 hour"],
+      default: DEFAULT_HOLD_EXPIRY_HOURS,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// One session per academic year/semester
+academicSessionSchema.index({ academicYear: 1, semester: 1 }, { unique: true })
+
+academicSessionSchema.pre("validate", function (next) {
+  if (this.startDate && this.endDate && this.endDate <= this.startDate) {
+    this.invalidate("endDate", "End date must be after start date")
+  }
+
+  if (this.applicationOpenDate && this.applicationCloseDate && this.applicationCloseDate <= this.applicationOpenDate) {
+    this.invalidate("applicationCloseDate", "Application close date must be after open date")
+  }
+
+  next()
+})
+
+// Virtual for whether applications are currently being accepted
+academicSessionSchema.virtual("isApplicationOpen").get(function () {
+  return this.isApplicationWindowOpen()
+})
+
+// Method to check if a date falls inside the application window
+academicSessionSchema.methods.isApplicationWindowOpen = function (date = new Date()) {
+  return date >= this.applicationOpenDate && date <= this.applicationCloseDate
+}
+
+// Get the session flagged as current
+academicSessionSchema.statics.getCurrent = function () {
+  return this.findOne({ isCurrent: true })
+}
+
+// Hold expiry for the session an application belongs to, falling back to the default
+academicSessionSchema.statics.holdExpiryHoursFor = async function (academicYear, semester, session = null) {
+  const academicSession = await this.findOne({ academicYear, semester }).session(session)
+
+  return academicSession ? academicSession.holdExpiryHours : DEFAULT_HOLD_EXPIRY_HOURS
+}
+
+// Flag a session as current and clear the flag on every other session
+academicSessionSchema.statics.setCurrent = async function (sessionId) {
+  const academicSession = await this.findById(sessionId)
+  if (!academicSession) return null
+
+  await this.updateMany({ _id: { $ne: academicSession._id }, isCurrent: true }, { isCurrent: false })
+
+  academicSession.isCurrent = true
+  return await academicSession.save()
+}
+
+academicSessionSchema.set("toJSON", { virtuals: true })
+academicSessionSchema.set("toObject", { virtuals: true })
+
+module.exports = mongoose.model("AcademicSession", academicSessionSchema)
@@ -1,4 +1,7 @@
 const mongoose = require("mongoose")
+const { formatPhoneNumber } = require("../utils/phone")
+
+const DOCUMENT_CATEGORIES = ["admission_letter", "medical_report", "payment_receipt", "scholarship_letter", "other"]
 
 const applicationSchema = new mongoose.Schema(
   {
@@ -26,6 +29,7 @@ const applicationSchema = new mongoose.Schema(
       guardianPhone: {
         type: String,
         required: [true, "Guardian phone is required"],
+        set: formatPhoneNumber,
         match: [/^(\+234|0)[789]\d{9}$/, "Please enter a valid Nigerian phone number"],
       },
       guardianEmail: {
@@ -54,6 +58,7 @@ const applicationSchema = new mongoose.Schema(
         phone: {
           type: String,
           required: [true, "Emergency contact phone is required"],
+          set: formatPhoneNumber,
           match: [/^(\+234|0)[789]\d{9}$/, "Please enter a valid Nigerian phone number"],
         },
         relationship: {
@@ -79,6 +84,40 @@ const applicationSchema = new mongoose.Schema(
         trim: true,
         maxlength: [300, "Special requests cannot exceed 300 characters"],
       },
+      // Matric numbers of students the applicant would like to share a room with
+      preferredRoommates: {
+        type: [
+          {
+            type: String,
+            uppercase: true,
+            trim: true,
+            match: [/^CU\/\d{2}\/\d{4}$/, "Invalid roommate matric number format (e.g., CU/20/1234)"],
+          },
+        ],
+        validate: {
+          validator: (roommates) => roommates.length <= 3 && new Set(roommates).size === roommates.length,
+          message: "You can nominate up to 3 different roommates",
+        },
+      },
+    },
+    // Optional questionnaire used to match compatible roommates
+    lifestyle: {
+      sleepSchedule: {
+        type: String,
+        enum: ["early", "flexible", "late"],
+      },
+      studyHabits: {
+        type: String,
+        enum: ["in_room", "mixed", "library"],
+      },
+      noiseTolerance: {
+        type: String,
+        enum: ["low", "medium", "high"],
+      },
+      cleanliness: {
+        type: String,
+        enum: ["relaxed", "average", "very_tidy"],
+      },
     },
     status: {
       type: String,
@@ -104,19 +143,78 @@ const applicationSchema = new mongoose.Schema(
       trim: true,
       maxlength: [500, "Review comments cannot exceed 500 characters"],
     },
+    // Derived from the ledger by services/billing; never set directly
     paymentStatus: {
       type: String,
       enum: ["pending", "paid", "partial", "overdue"],
       default: "pending",
     },
+    priority: {
+      score: {
+        type: Number,
+        default: 0,
+      },
+      breakdown: [
+        {
+          rule: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "PriorityRule",
+          },
+          name: String,
+          points: Number,
+        },
+      ],
+      computedAt: {
+        type: Date,
+        default: null,
+      },
+    },
     documents: [
       {
         name: String,
         url: String,
+        category: {
+          type: String,
+          enum: DOCUMENT_CATEGORIES,
+          default: "other",
+        },
+        originalName: String,
+        mimeType: String,
+        size: Number,
+        // Where the file lives in the storage backend; files are only served through the download route
+        storage: {
+          driver: String,
+          key: String,
+        },
+        uploadedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
         uploadedAt: {
           type: Date,
           default: Date.now,
         },
+        verification: {
+          status: {
+            type: String,
+            enum: ["pending", "verified", "rejected"],
+            default: "pending",
+          },
+          by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+          },
+          at: {
+            type: Date,
+            default: null,
+          },
+          comments: {
+            type: String,
+            trim: true,
+            maxlength: [500, "Verification comments cannot exceed 500 characters"],
+          },
+        },
       },
     ],
   },
@@ -128,6 +226,9 @@ const applicationSchema = new mongoose.Schema(
 // Compound index to ensure one application per student per academic year/semester
 applicationSchema.index({ student: 1, academicYear: 1, semester: 1 }, { unique: true })
 
+// Index for listing applications by priority
+applicationSchema.index({ academicYear: 1, semester: 1, "priority.score": -1 })
+
 // Virtual for application age in days
 applicationSchema.virtual("applicationAge").get(function () {
   return Math.floor((Date.now() - this.createdAt) / (1000 * 60 * 60 * 24))
@@ -161,6 +262,8 @@ applicationSchema.methods.assignRoom = async function (roomId) {
   return await this.save()
 }
 
+applicationSchema.statics.DOCUMENT_CATEGORIES = DOCUMENT_CATEGORIES
+
 applicationSchema.set("toJSON", { virtuals: true })
 applicationSchema.set("toObject", { virtuals: true })
 
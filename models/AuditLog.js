@@ -0,0 +1,85 @@
+const mongoose = require("mongoose")
+
+// Append-only record of a mutating action: who did what to which entity, and what changed
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    actorRole: String,
+    // Dotted name of the action, e.g. "application.approve"
+    action: {
+      type: String,
+      required: [true, "Action is required"],
+    },
+    entityType: {
+      type: String,
+      required: [true, "Entity type is required"],
+    },
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // Fields that differ between before and after
+    changes: [
+      {
+        _id: false,
+        path: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    ip: String,
+    userAgent: String,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    minimize: false,
+  },
+)
+
+auditLogSchema.index({ createdAt: -1 })
+auditLogSchema.index({ actor: 1, createdAt: -1 })
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 })
+auditLogSchema.index({ action: 1, createdAt: -1 })
+
+// Entries are written once and never changed
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Audit log entries cannot be changed once recorded"))
+  }
+
+  next()
+})
+
+// Query updates and deletes skip save, so they are refused outright
+const QUERY_WRITES = [
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+]
+
+auditLogSchema.pre(QUERY_WRITES, function (next) {
+  next(new Error("Audit log entries cannot be changed or deleted"))
+})
+
+module.exports = mongoose.model("AuditLog", auditLogSchema)
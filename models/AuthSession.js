@@ -0,0 +1,75 @@
+const mongoose = require("mongoose")
+
+// A signed-in device. Access tokens name their session, so revoking it signs the device out at once;
+// the refresh token that renews them is stored only as a hash and replaced on every use.
+const authSessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    // The hash this session's token had before its last rotation. Seeing it again means the old token
+    // was copied, so the session is revoked.
+    previousTokenHash: {
+      type: String,
+      default: null,
+    },
+    userAgent: String,
+    ip: String,
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: String,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+authSessionSchema.index({ user: 1, revokedAt: 1 })
+// Sessions are removed once they can no longer be refreshed
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// Virtual for whether the session can still be used
+authSessionSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date()
+})
+
+// Filter for a user's sessions that can still be used
+authSessionSchema.statics.activeFilter = function (userId) {
+  return { user: userId, revokedAt: null, expiresAt: { $gt: new Date() } }
+}
+
+// Revoke every active session of a user, optionally keeping one
+authSessionSchema.statics.revokeAll = async function (userId, reason, { except = null } = {}) {
+  const filter = this.activeFilter(userId)
+  if (except) filter._id = { $ne: except }
+
+  const result = await this.updateMany(filter, { revokedAt: new Date(), revokedReason: reason })
+  return result.modifiedCount
+}
+
+authSessionSchema.set("toJSON", {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.tokenHash
+    delete ret.previousTokenHash
+    return ret
+  },
+})
+
+module.exports = mongoose.model("AuthSession", authSessionSchema)
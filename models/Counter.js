@@ -0,0 +1,26 @@
+const mongoose = require("mongoose")
+
+// Named sequences, used for human-readable document numbers
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+})
+
+// Atomically take the next value of a sequence, creating it on first use
+counterSchema.statics.next = async function (name, session = null) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session },
+  )
+
+  return counter.seq
+}
+
+module.exports = mongoose.model("Counter", counterSchema)
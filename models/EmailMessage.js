@@ -0,0 +1,69 @@
+const mongoose = require("mongoose")
+
+// Outbox of rendered emails. Messages are queued first and delivered by the email service, which
+// retries failed sends with a growing delay until maxAttempts is reached.
+const emailMessageSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    to: {
+      type: String,
+      required: [true, "Recipient is required"],
+      lowercase: true,
+      trim: true,
+    },
+    template: {
+      type: String,
+      required: [true, "Template is required"],
+    },
+    subject: {
+      type: String,
+      required: [true, "Subject is required"],
+    },
+    text: {
+      type: String,
+      required: [true, "Message body is required"],
+    },
+    html: String,
+    status: {
+      type: String,
+      enum: ["queued", "sending", "sent", "failed"],
+      default: "queued",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // When the current send started, so sends interrupted by a crash can be picked up again
+    lockedAt: {
+      type: Date,
+      default: null,
+    },
+    transport: String,
+    providerMessageId: String,
+    lastError: String,
+    sentAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 })
+emailMessageSchema.index({ user: 1, createdAt: -1 })
+
+module.exports = mongoose.model("EmailMessage", emailMessageSchema)
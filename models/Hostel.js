@@ -60,6 +60,14 @@ const hostelSchema = new mongoose.Schema(
       phoneNumber: String,
       email: String,
     },
+    // Staff who manage this hostel. Wardens and porters only see hostels they manage, and managers are
+    // notified of applications for it.
+    managers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
     isActive: {
       type: Boolean,
       default: true,
@@ -85,7 +93,7 @@ hostelSchema.virtual("availableRooms", {
   localField: "_id",
   foreignField: "hostel",
   count: true,
-  match: { $expr: { $lt: ["$occupiedBeds", "$capacity"] } },
+  match: { availableBeds: { $gt: 0 } },
 })
 
 hostelSchema.set("toJSON", { virtuals: true })
@@ -0,0 +1,88 @@
+const mongoose = require("mongoose")
+const { STAFF_ROLES } = require("../config/permissions")
+
+// An emailed invitation to create a staff account. Accepting it creates the account with the invited role and
+// makes it a manager of the invited hostels; like other emailed tokens, only a hash of the token is stored.
+const invitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: [true, "Email is required"],
+      lowercase: true,
+      trim: true,
+      match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, "Please enter a valid email"],
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+    role: {
+      type: String,
+      enum: STAFF_ROLES,
+      required: [true, "Role is required"],
+    },
+    // Hostels a warden or porter will manage
+    hostels: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Hostel",
+      },
+    ],
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Inviting user is required"],
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    acceptedAt: {
+      type: Date,
+      default: null,
+    },
+    acceptedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+invitationSchema.index({ email: 1, createdAt: -1 })
+
+// Virtual for where the invitation stands
+invitationSchema.virtual("status").get(function () {
+  if (this.acceptedAt) return "accepted"
+  if (this.revokedAt) return "revoked"
+  if (this.expiresAt <= new Date()) return "expired"
+  return "pending"
+})
+
+// Filter for invitations that can still be accepted
+invitationSchema.statics.pendingFilter = function () {
+  return { acceptedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } }
+}
+
+invitationSchema.set("toJSON", {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.tokenHash
+    return ret
+  },
+})
+
+module.exports = mongoose.model("Invitation", invitationSchema)
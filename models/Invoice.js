@@ -0,0 +1,118 @@
+const mongoose = require("mongoose")
+
+const invoiceSchema = new mongoose.Schema(
+  {
+    number: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Student reference is required"],
+    },
+    application: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Application",
+      required: [true, "Application reference is required"],
+    },
+    academicYear: {
+      type: String,
+      required: [true, "Academic year is required"],
+    },
+    semester: {
+      type: String,
+      enum: ["first", "second"],
+      required: [true, "Semester is required"],
+    },
+    room: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Room",
+      default: null,
+    },
+    kind: {
+      type: String,
+      enum: ["accommodation", "damages", "other"],
+      default: "other",
+    },
+    items: {
+      type: [
+        {
+          description: {
+            type: String,
+            required: [true, "Item description is required"],
+            trim: true,
+            maxlength: [200, "Item description cannot exceed 200 characters"],
+          },
+          amount: {
+            type: Number,
+            required: [true, "Item amount is required"],
+            min: [0, "Item amount cannot be negative"],
+          },
+        },
+      ],
+      validate: [(items) => items.length > 0, "An invoice needs at least one item"],
+    },
+    total: {
+      type: Number,
+      default: 0,
+    },
+    dueDate: {
+      type: Date,
+      required: [true, "Due date is required"],
+    },
+    status: {
+      type: String,
+      enum: ["issued", "void"],
+      default: "issued",
+    },
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    voidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    voidedAt: {
+      type: Date,
+      default: null,
+    },
+    voidReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Void reason cannot exceed 500 characters"],
+    },
+    // When the student was reminded that payment is due
+    reminderSentAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+invoiceSchema.index({ application: 1, kind: 1, status: 1 })
+invoiceSchema.index({ student: 1, academicYear: 1, semester: 1 })
+invoiceSchema.index({ status: 1, dueDate: 1 })
+
+// The total is always the sum of the items
+invoiceSchema.pre("validate", function (next) {
+  this.total = (this.items || []).reduce((sum, item) => sum + (item.amount || 0), 0)
+  next()
+})
+
+// Virtual for whether the due date has passed
+invoiceSchema.virtual("isPastDue").get(function () {
+  return this.status === "issued" && this.dueDate <= new Date()
+})
+
+invoiceSchema.set("toJSON", { virtuals: true })
+invoiceSchema.set("toObject", { virtuals: true })
+
+module.exports = mongoose.model("Invoice", invoiceSchema)
@@ -0,0 +1,100 @@
+const mongoose = require("mongoose")
+
+// How each entry type moves the balance the student owes
+const BALANCE_SIGN = {
+  charge: 1,
+  payment: -1,
+  refund: 1,
+  adjustment: 1,
+}
+
+// Entries are never edited or deleted; mistakes are corrected with an adjustment
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Student reference is required"],
+    },
+    application: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Application",
+      required: [true, "Application reference is required"],
+    },
+    academicYear: {
+      type: String,
+      required: [true, "Academic year is required"],
+    },
+    semester: {
+      type: String,
+      enum: ["first", "second"],
+      required: [true, "Semester is required"],
+    },
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Invoice",
+      default: null,
+    },
+    type: {
+      type: String,
+      enum: Object.keys(BALANCE_SIGN),
+      required: [true, "Entry type is required"],
+    },
+    // Positive for charges, payments and refunds; adjustments may be negative to reduce the balance
+    amount: {
+      type: Number,
+      required: [true, "Amount is required"],
+    },
+    description: {
+      type: String,
+      required: [true, "Description is required"],
+      trim: true,
+      maxlength: [200, "Description cannot exceed 200 characters"],
+    },
+    // External reference such as a receipt or transaction number
+    reference: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Reference cannot exceed 100 characters"],
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+ledgerEntrySchema.index({ application: 1, createdAt: 1 })
+ledgerEntrySchema.index({ student: 1, academicYear: 1, semester: 1 })
+
+ledgerEntrySchema.pre("validate", function (next) {
+  if (this.type === "adjustment" ? this.amount === 0 : !(this.amount > 0)) {
+    this.invalidate("amount", this.type === "adjustment" ? "Adjustment cannot be zero" : "Amount must be positive")
+  }
+
+  next()
+})
+
+ledgerEntrySchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Ledger entries cannot be changed once recorded"))
+  }
+
+  next()
+})
+
+// Virtual for the entry's effect on the balance
+ledgerEntrySchema.virtual("signedAmount").get(function () {
+  return BALANCE_SIGN[this.type] * this.amount
+})
+
+ledgerEntrySchema.statics.BALANCE_SIGN = BALANCE_SIGN
+
+ledgerEntrySchema.set("toJSON", { virtuals: true })
+ledgerEntrySchema.set("toObject", { virtuals: true })
+
+module.exports = mongoose.model("LedgerEntry", ledgerEntrySchema)
@@ -0,0 +1,55 @@
+const mongoose = require("mongoose")
+
+// An entry in a user's in-app inbox
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+    },
+    // Event that produced the entry, named after its template
+    type: {
+      type: String,
+      required: [true, "Notification type is required"],
+    },
+    title: {
+      type: String,
+      required: [true, "Title is required"],
+    },
+    message: {
+      type: String,
+      required: [true, "Message is required"],
+    },
+    application: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Application",
+      default: null,
+    },
+    room: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Room",
+      default: null,
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+notificationSchema.index({ user: 1, createdAt: -1 })
+notificationSchema.index({ user: 1, readAt: 1 })
+
+// Virtual for whether the user has seen the entry
+notificationSchema.virtual("isRead").get(function () {
+  return this.readAt !== null
+})
+
+notificationSchema.set("toJSON", { virtuals: true })
+notificationSchema.set("toObject", { virtuals: true })
+
+module.exports = mongoose.model("Notification", notificationSchema)
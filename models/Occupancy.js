@@ -0,0 +1,245 @@
+const mongoose = require("mongoose")
+
+const occupancySchema = new mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Student reference is required"],
+    },
+    room: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Room",
+      required: [true, "Room reference is required"],
+    },
+    bedLabel: {
+      type: String,
+      required: [true, "Bed label is required"],
+    },
+    application: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Application",
+      default: null,
+    },
+    // assigned: bed given but the student has not arrived yet
+    // checked_in / checked_out: the student arrived / left through the porter's lodge
+    // released: the bed was taken back before check-out (no-show or admin removal)
+    // transferred: the student moved to another bed through a room change
+    status: {
+      type: String,
+      enum: ["assigned", "checked_in", "checked_out", "released", "transferred"],
+      default: "assigned",
+    },
+    assignedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // A provisional hold is released unless payment or an admin waiver confirms it before it expires
+    hold: {
+      status: {
+        type: String,
+        enum: ["provisional", "confirmed", "expired"],
+        default: "confirmed",
+      },
+      expiresAt: {
+        type: Date,
+        default: null,
+      },
+      confirmedAt: {
+        type: Date,
+        default: null,
+      },
+      confirmedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      method: {
+        type: String,
+        enum: ["payment", "waiver"],
+      },
+      note: {
+        type: String,
+        trim: true,
+        maxlength: [500, "Hold note cannot exceed 500 characters"],
+      },
+    },
+    checkIn: {
+      date: Date,
+      keyIssued: {
+        type: Boolean,
+        default: false,
+      },
+      conditionAcknowledged: {
+        type: Boolean,
+        default: false,
+      },
+      notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, "Check-in notes cannot exceed 500 characters"],
+      },
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    },
+    checkOut: {
+      date: Date,
+      cleared: {
+        type: Boolean,
+        default: false,
+      },
+      keyReturned: {
+        type: Boolean,
+        default: false,
+      },
+      damages: [
+        {
+          description: {
+            type: String,
+            required: [true, "Damage description is required"],
+            trim: true,
+            maxlength: [200, "Damage description cannot exceed 200 characters"],
+          },
+          charge: {
+            type: Number,
+            min: [0, "Damage charge cannot be negative"],
+            default: 0,
+          },
+        },
+      ],
+      notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, "Check-out notes cannot exceed 500 characters"],
+      },
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    },
+    endedAt: {
+      type: Date,
+      default: null,
+    },
+    history: [
+      {
+        status: String,
+        by: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        note: String,
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  },
+)
+
+occupancySchema.index({ student: 1, status: 1 })
+occupancySchema.index({ room: 1, status: 1 })
+occupancySchema.index({ status: 1, assignedAt: 1 })
+occupancySchema.index({ "hold.status": 1, "hold.expiresAt": 1 })
+
+const ACTIVE_STATUSES = ["assigned", "checked_in"]
+
+// Virtual for whether the student still holds the bed
+occupancySchema.virtual("isActive").get(function () {
+  return ACTIVE_STATUSES.includes(this.status)
+})
+
+// Method to move the occupancy to a new status and record it in the history
+occupancySchema.methods.transition = async function (status, userId = null, note = "") {
+  this.status = status
+  this.history.push({ status, by: userId, note, at: new Date() })
+
+  if (!ACTIVE_STATUSES.includes(status)) {
+    this.endedAt = new Date()
+  }
+
+  return await this.save()
+}
+
+// Open an occupancy for a student who was just given a bed. Without a hold the bed is confirmed straight away.
+occupancySchema.statics.open = async function (
+  { studentId, room, applicationId = null, hold = null, by = null },
+  session = null,
+) {
+  const bed = room.bedOf(studentId)
+
+  const occupancy = new this({
+    student: studentId,
+    room: room._id,
+    bedLabel: bed.label,
+    application: applicationId,
+    history: [{ status: "assigned", by, note: `Assigned to bed ${bed.label}` }],
+  })
+
+  if (hold) {
+    occupancy.hold = hold
+  }
+
+  return await occupancy.save({ session })
+}
+
+// Confirm the provisional holds of an application's active occupancies
+occupancySchema.statics.confirmHolds = async function (
+  applicationId,
+  { method, by = null, note = "" },
+  session = null,
+) {
+  const occupancies = await this.find({
+    application: applicationId,
+    status: { $in: ACTIVE_STATUSES },
+    "hold.status": "provisional",
+  }).session(session)
+
+  for (const occupancy of occupancies) {
+    occupancy.hold.status = "confirmed"
+    occupancy.hold.confirmedAt = new Date()
+    occupancy.hold.confirmedBy = by
+    occupancy.hold.method = method
+    occupancy.hold.note = note
+    occupancy.history.push({
+      status: occupancy.status,
+      by,
+      note: method === "waiver" ? `Hold confirmed by waiver${note ? `: ${note}` : ""}` : "Hold confirmed by payment",
+      at: new Date(),
+    })
+    await occupancy.save()
+  }
+
+  return occupancies
+}
+
+// End the active occupancy of a student in a room, if there is one
+occupancySchema.statics.closeActive = async function (
+  { studentId, roomId, status, by = null, note = "", checkOut = null },
+  session = null,
+) {
+  const occupancy = await this.findOne({ student: studentId, room: roomId, status: { $in: ACTIVE_STATUSES } }).session(
+    session,
+  )
+
+  if (!occupancy) return null
+
+  if (checkOut) {
+    occupancy.checkOut = { ...checkOut, by }
+  }
+
+  return await occupancy.transition(status, by, note)
+}
+
+occupancySchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES
+
+occupancySchema.set("toJSON", { virtuals: true })
+occupancySchema.set("toObject", { virtuals: true })
+
+module.exports = mongoose.model("Occupancy", occupancySchema)
@@ -0,0 +1,84 @@
+const mongoose = require("mongoose")
+
+const paymentSchema = new mongoose.Schema(
+  {
+    // Our reference, shared with the gateway and used to match its callbacks
+    reference: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    provider: {
+      type: String,
+      required: [true, "Payment provider is required"],
+    },
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Student reference is required"],
+    },
+    application: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Application",
+      required: [true, "Application reference is required"],
+    },
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Invoice",
+      required: [true, "Invoice reference is required"],
+    },
+    amount: {
+      type: Number,
+      required: [true, "Amount is required"],
+      min: [0.01, "Amount must be positive"],
+    },
+    // Amount the gateway reports as paid, which settles the ledger
+    amountPaid: {
+      type: Number,
+      default: null,
+    },
+    currency: {
+      type: String,
+      default: "NGN",
+    },
+    status: {
+      type: String,
+      enum: ["pending", "successful", "failed"],
+      default: "pending",
+    },
+    authorizationUrl: String,
+    paidAt: {
+      type: Date,
+      default: null,
+    },
+    ledgerEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "LedgerEntry",
+      default: null,
+    },
+    // Gateway events received for this payment, duplicates included
+    events: [
+      {
+        eventId: String,
+        status: String,
+        amount: Number,
+        duplicate: {
+          type: Boolean,
+          default: false,
+        },
+        receivedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  },
+)
+
+paymentSchema.index({ student: 1, createdAt: -1 })
+paymentSchema.index({ invoice: 1, status: 1 })
+
+module.exports = mongoose.model("Payment", paymentSchema)
@@ -0,0 +1,94 @@
+const mongoose = require("mongoose")
+const { DOCUMENT_CATEGORIES } = require("./Application")
+
+const priorityRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Rule name is required"],
+      unique: true,
+      trim: true,
+      maxlength: [100, "Rule name cannot exceed 100 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [300, "Description cannot exceed 300 characters"],
+    },
+    // What the rule looks at:
+    // - level: student level is one of `values`
+    // - department: student department is one of `values` (case-insensitive)
+    // - specialRequests: special requests mention any keyword in `values`
+    // - document: a verified document in one of the categories in `values` is attached
+    // - submittedWithinDays: submitted within `values[0]` days of the application window opening
+    criterion: {
+      type: String,
+      enum: ["level", "department", "specialRequests", "document", "submittedWithinDays"],
+      required: [true, "Rule criterion is required"],
+    },
+    values: {
+      type: [String],
+      validate: {
+        validator: (values) => values.length > 0,
+        message: "At least one value is required",
+      },
+    },
+    points: {
+      type: Number,
+      required: [true, "Points are required"],
+      min: [-100, "Points cannot be below -100"],
+      max: [100, "Points cannot exceed 100"],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+priorityRuleSchema.pre("validate", function (next) {
+  if (this.criterion === "submittedWithinDays" && !(Number.parseInt(this.values[0]) > 0)) {
+    this.invalidate("values", "Number of days must be a positive number")
+  }
+  if (this.criterion === "document" && !this.values.every((value) => DOCUMENT_CATEGORIES.includes(value))) {
+    this.invalidate("values", `Document categories must be among: ${DOCUMENT_CATEGORIES.join(", ")}`)
+  }
+  next()
+})
+
+const mentionsAny = (text, keywords) => {
+  const haystack = (text || "").toLowerCase()
+  return keywords.some((keyword) => haystack.includes(keyword.toLowerCase()))
+}
+
+// Method to check whether the rule applies to an application and its student
+priorityRuleSchema.methods.matches = function ({ application, student, session }) {
+  switch (this.criterion) {
+    case "level":
+      return this.values.includes(student.level)
+    case "department":
+      return this.values.some((value) => value.toLowerCase() === (student.department || "").toLowerCase())
+    case "specialRequests":
+      return mentionsAny(application.preferences && application.preferences.specialRequests, this.values)
+    case "document":
+      // Only documents staff have verified count; students choose the name, so it is not looked at
+      return (application.documents || []).some(
+        (document) =>
+          document.verification &&
+          document.verification.status === "verified" &&
+          this.values.includes(document.category),
+      )
+    case "submittedWithinDays": {
+      if (!session || !application.createdAt) return false
+      const days = (application.createdAt - session.applicationOpenDate) / (1000 * 60 * 60 * 24)
+      return days <= Number.parseInt(this.values[0])
+    }
+    default:
+      return false
+  }
+}
+
+module.exports = mongoose.model("PriorityRule", priorityRuleSchema)
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose")
+const createHttpError = require("../utils/httpError")
 
 const roomSchema = new mongoose.Schema(
   {
@@ -36,27 +37,52 @@ const roomSchema = new mongoose.Schema(
       enum: ["male", "female"],
       required: [true, "Gender specification is required"],
     },
-    occupiedBeds: {
-      type: Number,
-      default: 0,
-      min: [0, "Occupied beds cannot be negative"],
-    },
-    occupants: [
+    // Beds keep their label for life; occupancy counts below are derived from them on save
+    beds: [
       {
-        student: {
+        label: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        status: {
+          type: String,
+          enum: ["available", "occupied", "out_of_service", "reserved"],
+          default: "available",
+        },
+        occupant: {
           type: mongoose.Schema.Types.ObjectId,
           ref: "User",
+          default: null,
         },
         assignedDate: {
           type: Date,
-          default: Date.now,
+          default: null,
         },
-        bedNumber: {
-          type: Number,
-          required: true,
+        attributes: {
+          bunk: {
+            type: String,
+            enum: ["top", "bottom", "none"],
+            default: "none",
+          },
+          notes: {
+            type: String,
+            trim: true,
+            maxlength: [200, "Bed notes cannot exceed 200 characters"],
+          },
         },
       },
     ],
+    occupiedBeds: {
+      type: Number,
+      default: 0,
+      min: [0, "Occupied beds cannot be negative"],
+    },
+    availableBeds: {
+      type: Number,
+      default: 0,
+      min: [0, "Available beds cannot be negative"],
+    },
     price: {
       type: Number,
       required: [true, "Room price is required"],
@@ -80,15 +106,45 @@ const roomSchema = new mongoose.Schema(
   },
   {
     timestamps: true,
+    optimisticConcurrency: true,
   },
 )
 
 // Compound index for unique room numbers within hostels
 roomSchema.index({ number: 1, hostel: 1 }, { unique: true })
 
-// Virtual for available beds
-roomSchema.virtual("availableBeds").get(function () {
-  return this.capacity - this.occupiedBeds
+// Index for finding rooms with free beds
+roomSchema.index({ gender: 1, isActive: 1, availableBeds: 1 })
+
+const BED_LABELS = ["A", "B", "C", "D"]
+
+// Keep the beds in step with capacity and derive the occupancy counts from bed state
+roomSchema.pre("validate", function (next) {
+  while (this.beds.length < this.capacity) {
+    const label = BED_LABELS.find((candidate) => !this.beds.some((bed) => bed.label === candidate))
+    this.beds.push({ label, status: "available" })
+  }
+
+  while (this.beds.length > this.capacity) {
+    const index = this.beds.map((bed) => bed.status).lastIndexOf("available")
+    if (index === -1) {
+      this.invalidate("capacity", "Capacity cannot be reduced below the number of beds in use")
+      break
+    }
+    this.beds.splice(index, 1)
+  }
+
+  this.occupiedBeds = this.beds.filter((bed) => bed.status === "occupied").length
+  this.availableBeds = this.beds.filter((bed) => bed.status === "available").length
+
+  next()
+})
+
+// Virtual for the students in the room with their bed labels
+roomSchema.virtual("occupants").get(function () {
+  return (this.beds || [])
+    .filter((bed) => bed.status === "occupied")
+    .map((bed) => ({ student: bed.occupant, bed: bed.label, assignedDate: bed.assignedDate }))
 })
 
 // Virtual for occupancy rate
@@ -98,47 +154,134 @@ roomSchema.virtual("occupancyRate").get(function () {
 
 // Method to check if room is available
 roomSchema.methods.isAvailable = function () {
-  return this.occupiedBeds < this.capacity && this.isActive
+  return this.isActive && this.beds.some((bed) => bed.status === "available")
+}
+
+// Method to find the bed a student sleeps in
+roomSchema.methods.bedOf = function (studentId) {
+  return this.beds.find((bed) => bed.occupant && bed.occupant.toString() === studentId.toString()) || null
+}
+
+// Persist occupancy changes only if nobody else saved the room since it was read (optimistic concurrency),
+// so concurrent assignments cannot take the same bed. Documents loaded in a session are saved in that session;
+// there a concurrent transaction writing the room shows up as a WriteConflict (code 112) rather than a
+// VersionError, and is reported the same way instead of being retried against a room that is now full.
+const saveOccupancy = async (room) => {
+  try {
+    return await room.save()
+  } catch (error) {
+    if (error.name === "VersionError" || error.code === 112) {
+      throw createHttpError(409, "Room occupancy changed while it was being updated. The bed may have been taken")
+    }
+    throw error
+  }
 }
 
-// Method to assign student to room
-roomSchema.methods.assignStudent = async function (studentId) {
+// Method to assign student to a bed, the first available one unless a label is given
+roomSchema.methods.assignStudent = async function (studentId, bedLabel = null) {
   if (!this.isAvailable()) {
-    throw new Error("Room is not available")
+    throw createHttpError(400, "Room is not available")
   }
 
-  const bedNumber = this.occupiedBeds + 1
+  if (this.bedOf(studentId)) {
+    throw createHttpError(400, "Student is already in this room")
+  }
+
+  const bed = bedLabel
+    ? this.beds.find((candidate) => candidate.label === bedLabel)
+    : this.beds.find((candidate) => candidate.status === "available")
+
+  if (!bed) {
+    throw createHttpError(404, `Bed ${bedLabel} not found in this room`)
+  }
+
+  if (bed.status !== "available") {
+    throw createHttpError(400, `Bed ${bed.label} is not available`)
+  }
+
+  bed.status = "occupied"
+  bed.occupant = studentId
+  bed.assignedDate = new Date()
+
+  return await saveOccupancy(this)
+}
+
+// Method to hold an available bed for someone, e.g. while it is offered to a waitlisted student. Reserved beds
+// are not available, so nobody else is assigned them.
+roomSchema.methods.reserveBed = async function (bedLabel) {
+  const bed = this.beds.find((candidate) => candidate.label === bedLabel)
+
+  if (!bed) {
+    throw createHttpError(404, `Bed ${bedLabel} not found in this room`)
+  }
+
+  if (bed.status !== "available") {
+    throw createHttpError(400, `Bed ${bed.label} is not available`)
+  }
+
+  bed.status = "reserved"
 
-  this.occupants.push({
-    student: studentId,
-    bedNumber: bedNumber,
-    assignedDate: new Date(),
-  })
+  return await saveOccupancy(this)
+}
+
+// Method to make a reserved bed available again; a bed that is no longer reserved is left as it is
+roomSchema.methods.releaseBed = async function (bedLabel) {
+  const bed = this.beds.find((candidate) => candidate.label === bedLabel)
+
+  if (!bed || bed.status !== "reserved") {
+    return this
+  }
 
-  this.occupiedBeds += 1
+  bed.status = "available"
 
-  return await this.save()
+  return await saveOccupancy(this)
 }
 
-// Method to remove student from room
+// Method to remove student from room; the other occupants keep their beds
 roomSchema.methods.removeStudent = async function (studentId) {
-  const occupantIndex = this.occupants.findIndex((occupant) => occupant.student.toString() === studentId.toString())
+  const bed = this.bedOf(studentId)
 
-  if (occupantIndex === -1) {
-    throw new Error("Student not found in this room")
+  if (!bed) {
+    throw createHttpError(404, "Student not found in this room")
   }
 
-  this.occupants.splice(occupantIndex, 1)
-  this.occupiedBeds -= 1
+  bed.status = "available"
+  bed.occupant = null
+  bed.assignedDate = null
 
-  // Reassign bed numbers
-  this.occupants.forEach((occupant, index) => {
-    occupant.bedNumber = index + 1
-  })
+  return await saveOccupancy(this)
+}
+
+// Method to change the status or attributes of an unoccupied bed
+roomSchema.methods.updateBed = async function (bedLabel, { status, attributes }) {
+  const bed = this.beds.find((candidate) => candidate.label === bedLabel)
+
+  if (!bed) {
+    throw createHttpError(404, `Bed ${bedLabel} not found in this room`)
+  }
 
-  return await this.save()
+  if (status) {
+    if (status === "occupied") {
+      throw createHttpError(400, "Beds are occupied by assigning a student")
+    }
+
+    if (bed.status === "occupied") {
+      throw createHttpError(400, `Bed ${bed.label} is occupied. Remove the student first`)
+    }
+
+    bed.status = status
+  }
+
+  if (attributes) {
+    if (attributes.bunk !== undefined) bed.attributes.bunk = attributes.bunk
+    if (attributes.notes !== undefined) bed.attributes.notes = attributes.notes
+  }
+
+  return await saveOccupancy(this)
 }
 
+roomSchema.statics.BED_LABELS = BED_LABELS
+
 roomSchema.set("toJSON", { virtuals: true })
 roomSchema.set("toObject", { virtuals: true })
 
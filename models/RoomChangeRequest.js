@@ -0,0 +1,136 @@
+const mongoose = require("mongoose")
+
+const roomChangeRequestSchema = new mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Student reference is required"],
+    },
+    type: {
+      type: String,
+      enum: ["move", "swap"],
+      required: [true, "Request type is required"],
+    },
+    currentRoom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Room",
+      required: [true, "Current room is required"],
+    },
+    // Move requests name a specific room, or a hostel and/or room type for the admin to choose from
+    targetRoom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Room",
+      default: null,
+    },
+    targetHostel: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Hostel",
+      default: null,
+    },
+    targetRoomType: {
+      type: String,
+      enum: ["single", "double", "triple", "quad"],
+    },
+    // Swap requests name the other student, who must accept before an admin can approve
+    swapWith: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    swapWithRoom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Room",
+      default: null,
+    },
+    reason: {
+      type: String,
+      required: [true, "Reason is required"],
+      trim: true,
+      maxlength: [500, "Reason cannot exceed 500 characters"],
+    },
+    status: {
+      type: String,
+      enum: ["awaiting_counterparty", "pending", "declined", "approved", "rejected", "cancelled"],
+      default: "pending",
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    reviewComments: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Review comments cannot exceed 500 characters"],
+    },
+    // Room the student ended up in once the request was carried out
+    newRoom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Room",
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    history: [
+      {
+        status: String,
+        by: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        note: String,
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  },
+)
+
+roomChangeRequestSchema.index({ student: 1, status: 1 })
+roomChangeRequestSchema.index({ swapWith: 1, status: 1 })
+
+roomChangeRequestSchema.pre("validate", function (next) {
+  if (this.type === "move" && !this.targetRoom && !this.targetHostel && !this.targetRoomType) {
+    this.invalidate("targetRoom", "A move request needs a target room, hostel or room type")
+  }
+
+  if (this.type === "swap" && !this.swapWith) {
+    this.invalidate("swapWith", "A swap request needs the student to swap with")
+  }
+
+  next()
+})
+
+const OPEN_STATUSES = ["awaiting_counterparty", "pending"]
+
+// Virtual for whether the request can still change
+roomChangeRequestSchema.virtual("isOpen").get(function () {
+  return OPEN_STATUSES.includes(this.status)
+})
+
+// Method to move the request to a new status and record it in the history
+roomChangeRequestSchema.methods.transition = async function (status, userId, note = "") {
+  this.status = status
+  this.history.push({ status, by: userId, note, at: new Date() })
+
+  return await this.save()
+}
+
+roomChangeRequestSchema.statics.OPEN_STATUSES = OPEN_STATUSES
+
+roomChangeRequestSchema.set("toJSON", { virtuals: true })
+roomChangeRequestSchema.set("toObject", { virtuals: true })
+
+module.exports = mongoose.model("RoomChangeRequest", roomChangeRequestSchema)
@@ -0,0 +1,80 @@
+const mongoose = require("mongoose")
+
+const selectionWindowSchema = new mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Student reference is required"],
+    },
+    application: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Application",
+      required: [true, "Application reference is required"],
+    },
+    academicYear: {
+      type: String,
+      required: [true, "Academic year is required"],
+    },
+    semester: {
+      type: String,
+      enum: ["first", "second"],
+      required: [true, "Semester is required"],
+    },
+    // Place in the selection order; students with a higher priority score go first
+    rank: {
+      type: Number,
+      required: true,
+      min: [1, "Rank must be at least 1"],
+    },
+    opensAt: {
+      type: Date,
+      required: [true, "Opening time is required"],
+    },
+    closesAt: {
+      type: Date,
+      required: [true, "Closing time is required"],
+    },
+    // The bed the student currently has claimed, if any
+    claim: {
+      room: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Room",
+        default: null,
+      },
+      bedLabel: {
+        type: String,
+        default: null,
+      },
+      claimedAt: {
+        type: Date,
+        default: null,
+      },
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+selectionWindowSchema.index({ student: 1, academicYear: 1, semester: 1 }, { unique: true })
+selectionWindowSchema.index({ academicYear: 1, semester: 1, rank: 1 })
+
+selectionWindowSchema.pre("validate", function (next) {
+  if (this.opensAt && this.closesAt && this.closesAt <= this.opensAt) {
+    this.invalidate("closesAt", "Closing time must be after opening time")
+  }
+
+  next()
+})
+
+// Virtual for whether the student may claim a bed right now
+selectionWindowSchema.virtual("isOpen").get(function () {
+  const now = new Date()
+  return now >= this.opensAt && now <= this.closesAt
+})
+
+selectionWindowSchema.set("toJSON", { virtuals: true })
+selectionWindowSchema.set("toObject", { virtuals: true })
+
+module.exports = mongoose.model("SelectionWindow", selectionWindowSchema)
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose")
+
+// Record of every SMS the system tried to send and what the provider said
+const smsMessageSchema = new mongoose.Schema(
+  {
+    // Student the message was sent to or about; guardians are reached through their student
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    recipient: {
+      type: String,
+      enum: ["user", "guardian", "emergency_contact"],
+      default: "user",
+    },
+    // Number in +234 format
+    to: {
+      type: String,
+      required: [true, "Recipient number is required"],
+    },
+    purpose: {
+      type: String,
+      required: [true, "Purpose is required"],
+    },
+    message: {
+      type: String,
+      required: [true, "Message is required"],
+      maxlength: [640, "SMS cannot exceed 640 characters"],
+    },
+    status: {
+      type: String,
+      enum: ["sent", "failed"],
+      required: true,
+    },
+    provider: String,
+    providerMessageId: String,
+    error: String,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+smsMessageSchema.index({ user: 1, createdAt: -1 })
+smsMessageSchema.index({ purpose: 1, createdAt: -1 })
+
+module.exports = mongoose.model("SmsMessage", smsMessageSchema)
@@ -1,5 +1,7 @@
 const mongoose = require("mongoose")
 const bcrypt = require("bcryptjs")
+const { formatPhoneNumber } = require("../utils/phone")
+const { STAFF_ROLES, hasPermission } = require("../config/permissions")
 
 const userSchema = new mongoose.Schema(
   {
@@ -33,7 +35,8 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ["student", "admin"],
+      // Staff accounts are only created by invitation, never by registration
+      enum: ["student", ...STAFF_ROLES],
       default: "student",
     },
     gender: {
@@ -44,6 +47,7 @@ const userSchema = new mongoose.Schema(
     phoneNumber: {
       type: String,
       required: [true, "Phone number is required"],
+      set: formatPhoneNumber,
       match: [/^(\+234|0)[789]\d{9}$/, "Please enter a valid Nigerian phone number"],
     },
     level: {
@@ -60,6 +64,59 @@ const userSchema = new mongoose.Schema(
       },
       trim: true,
     },
+    // Accounts start unverified and must confirm their email before applying for a hostel
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    // Authenticator app sign-in codes. The secret is stored encrypted and recovery codes only as hashes; none of
+    // them are loaded unless asked for.
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      enabledAt: {
+        type: Date,
+        default: null,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret being set up, until the user proves their app has it
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      recoveryCodeHashes: {
+        type: [String],
+        select: false,
+      },
+      // Last time step a code was accepted for, so a code cannot be used twice
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      failedAttempts: {
+        type: Number,
+        default: 0,
+        select: false,
+      },
+      lockedUntil: {
+        type: Date,
+        select: false,
+      },
+    },
+    // Whether the user wants event notifications by text message as well as email
+    smsOptIn: {
+      type: Boolean,
+      default: false,
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -88,16 +145,31 @@ userSchema.pre("save", async function (next) {
   }
 })
 
+// Virtual for whether the user is a member of staff
+userSchema.virtual("isStaff").get(function () {
+  return STAFF_ROLES.includes(this.role)
+})
+
+// Whether the user's role grants a permission (see config/permissions.js)
+userSchema.methods.can = function (permission) {
+  return hasPermission(this.role, permission)
+}
+
 // Compare password method
 userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password)
 }
 
-// Remove password from JSON output
+// Remove password and two-factor secrets from JSON output
 userSchema.methods.toJSON = function () {
   const userObject = this.toObject()
   delete userObject.password
+  if (userObject.twoFactor) {
+    userObject.twoFactor = { enabled: userObject.twoFactor.enabled, enabledAt: userObject.twoFactor.enabledAt }
+  }
   return userObject
 }
 
+userSchema.statics.STAFF_ROLES = STAFF_ROLES
+
 module.exports = mongoose.model("User", userSchema)
@@ -0,0 +1,41 @@
+const mongoose = require("mongoose")
+
+// Single-use token sent to a user by email, e.g. to reset their password or verify their email. Only a
+// hash of the token is stored, so a leaked database cannot be used to take over accounts.
+const userTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+    },
+    purpose: {
+      type: String,
+      enum: ["password_reset", "email_verification"],
+      required: [true, "Token purpose is required"],
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+    requestedIp: String,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+userTokenSchema.index({ user: 1, purpose: 1, createdAt: -1 })
+// Tokens are removed a day after they expire
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 })
+
+module.exports = mongoose.model("UserToken", userTokenSchema)
@@ -0,0 +1,148 @@
+const mongoose = require("mongoose")
+
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    application: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Application",
+      required: [true, "Application reference is required"],
+    },
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Student reference is required"],
+    },
+    academicYear: {
+      type: String,
+      required: [true, "Academic year is required"],
+    },
+    semester: {
+      type: String,
+      enum: ["first", "second"],
+      required: [true, "Semester is required"],
+    },
+    hostel: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Hostel",
+      required: [true, "Hostel reference is required"],
+    },
+    roomType: {
+      type: String,
+      enum: ["single", "double", "triple", "quad"],
+      required: [true, "Room type is required"],
+    },
+    gender: {
+      type: String,
+      enum: ["male", "female"],
+      required: [true, "Gender is required"],
+    },
+    // Position in the queue, never renumbered once given out
+    position: {
+      type: Number,
+      required: true,
+      min: [1, "Position must be at least 1"],
+    },
+    status: {
+      type: String,
+      enum: ["waiting", "offered", "assigned", "expired", "declined", "withdrawn"],
+      default: "waiting",
+    },
+    offer: {
+      room: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Room",
+        default: null,
+      },
+      // The bed reserved on the room for this offer
+      bedLabel: {
+        type: String,
+        default: null,
+      },
+      offeredAt: Date,
+      expiresAt: Date,
+    },
+    offerHistory: [
+      {
+        room: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Room",
+        },
+        bedLabel: String,
+        offeredAt: Date,
+        expiresAt: Date,
+        // unavailable: the bed was gone when the student accepted, so they went back to waiting
+        outcome: {
+          type: String,
+          enum: ["assigned", "expired", "declined", "withdrawn", "unavailable"],
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Positions are unique within a queue (hostel, room type, gender and session)
+waitlistEntrySchema.index(
+  { hostel: 1, roomType: 1, gender: 1, academicYear: 1, semester: 1, position: 1 },
+  { unique: true },
+)
+waitlistEntrySchema.index({ status: 1, "offer.expiresAt": 1 })
+waitlistEntrySchema.index({ application: 1 })
+
+const ACTIVE_STATUSES = ["waiting", "offered"]
+
+// Virtual for whether the entry is still in the queue
+waitlistEntrySchema.virtual("isActive").get(function () {
+  return ACTIVE_STATUSES.includes(this.status)
+})
+
+// Move any outstanding offer into the history with its outcome
+const archiveOffer = (entry, outcome) => {
+  if (entry.status === "offered" && entry.offer && entry.offer.room) {
+    entry.offerHistory.push({
+      room: entry.offer.room,
+      bedLabel: entry.offer.bedLabel,
+      offeredAt: entry.offer.offeredAt,
+      expiresAt: entry.offer.expiresAt,
+      outcome,
+    })
+  }
+
+  entry.offer = { room: null, bedLabel: null }
+}
+
+// Method to close the entry, archiving any outstanding offer
+waitlistEntrySchema.methods.close = async function (status) {
+  archiveOffer(this, status)
+  this.status = status
+
+  return await this.save()
+}
+
+// Method to put an entry whose offered bed is gone back to waiting, at the position it always had
+waitlistEntrySchema.methods.requeue = async function () {
+  archiveOffer(this, "unavailable")
+  this.status = "waiting"
+
+  return await this.save()
+}
+
+// Close every active entry of a student once they have a room
+waitlistEntrySchema.statics.closeForStudent = async function (studentId, session = null) {
+  const entries = await this.find({ student: studentId, status: { $in: ACTIVE_STATUSES } }).session(session)
+
+  for (const entry of entries) {
+    await entry.close("assigned")
+  }
+
+  return entries
+}
+
+waitlistEntrySchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES
+
+waitlistEntrySchema.set("toJSON", { virtuals: true })
+waitlistEntrySchema.set("toObject", { virtuals: true })
+
+module.exports = mongoose.model("WaitlistEntry", waitlistEntrySchema)
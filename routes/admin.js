@@ -3,82 +3,110 @@ const User = require("../models/User")
 const Hostel = require("../models/Hostel")
 const Room = require("../models/Room")
 const Application = require("../models/Application")
-const { authenticateToken, requireAdmin } = require("../middleware/auth")
+const AcademicSession = require("../models/AcademicSession")
+const EmailMessage = require("../models/EmailMessage")
+const SmsMessage = require("../models/SmsMessage")
+const AuditLog = require("../models/AuditLog")
+const AuthSession = require("../models/AuthSession")
+const Invitation = require("../models/Invitation")
+const { authenticateToken, requirePermission } = require("../middleware/auth")
+const { validateInvitation, validateRoleChange } = require("../middleware/validation")
+const { buildAllocationPlan, commitAllocationPlan } = require("../services/allocation")
+const { findRoommateGroups } = require("../services/roommates")
+const { retryEmail, processOutbox } = require("../services/email")
+const { broadcastEmergency } = require("../services/sms")
+const { markEmailVerified } = require("../services/emailVerification")
+const { createInvitation } = require("../services/invitations")
+const { snapshot, recordAudit, auditFilter } = require("../services/audit")
+const { csvRow } = require("../utils/csv")
+const { hostelInScope, hostelFilter, applicationFilter } = require("../services/hostelScope")
+const { changeStaffRole } = require("../services/staffRoles")
+const { resetTwoFactor } = require("../services/twoFactor")
 
 const router = express.Router()
 
 // @route   GET /api/admin/dashboard
-// @desc    Get admin dashboard statistics
-// @access  Private (Admin only)
-router.get("/dashboard", authenticateToken, requireAdmin, async (req, res) => {
+// @desc    Get admin dashboard statistics (wardens and porters only see their hostels)
+// @access  Private (Staff with reports:read)
+router.get("/dashboard", authenticateToken, requirePermission("reports:read"), async (req, res) => {
   try {
-    // Get current academic year (you might want to make this dynamic)
+    // Default to the current academic session, falling back to the calendar year when none is set
+    const currentSession = await AcademicSession.getCurrent()
     const currentYear = new Date().getFullYear()
-    const academicYear = `${currentYear}/${currentYear + 1}`
+    const academicYear =
+      req.query.academicYear || (currentSession ? currentSession.academicYear : `${currentYear}/${currentYear + 1}`)
+    const semester = req.query.semester || (!req.query.academicYear && currentSession ? currentSession.semester : null)
+
+    const applicationScope = await applicationFilter(req.hostelScope)
+    const roomScope = hostelFilter(req.hostelScope)
+    const hostelScope = hostelFilter(req.hostelScope, "_id")
+    const sessionFilter = { ...(semester ? { academicYear, semester } : { academicYear }), ...applicationScope }
 
     // Application statistics
-    const totalApplications = await Application.countDocuments({ academicYear })
+    const totalApplications = await Application.countDocuments(sessionFilter)
     const pendingApplications = await Application.countDocuments({
-      academicYear,
+      ...sessionFilter,
       status: "pending",
     })
     const approvedApplications = await Application.countDocuments({
-      academicYear,
+      ...sessionFilter,
       status: "approved",
     })
     const rejectedApplications = await Application.countDocuments({
-      academicYear,
+      ...sessionFilter,
       status: "rejected",
     })
     const assignedApplications = await Application.countDocuments({
-      academicYear,
+      ...sessionFilter,
       status: "assigned",
     })
 
     // User statistics
     const totalStudents = await User.countDocuments({ role: "student", isActive: true })
-    const totalAdmins = await User.countDocuments({ role: "admin", isActive: true })
+    const totalStaff = await User.countDocuments({ role: { $in: User.STAFF_ROLES }, isActive: true })
     const studentsWithRooms = await User.countDocuments({
       role: "student",
       roomAssigned: { $ne: null },
     })
 
     // Hostel and room statistics
-    const totalHostels = await Hostel.countDocuments({ isActive: true })
-    const maleHostels = await Hostel.countDocuments({ gender: "male", isActive: true })
-    const femaleHostels = await Hostel.countDocuments({ gender: "female", isActive: true })
+    const totalHostels = await Hostel.countDocuments({ isActive: true, ...hostelScope })
+    const maleHostels = await Hostel.countDocuments({ gender: "male", isActive: true, ...hostelScope })
+    const femaleHostels = await Hostel.countDocuments({ gender: "female", isActive: true, ...hostelScope })
 
-    const totalRooms = await Room.countDocuments({ isActive: true })
+    const totalRooms = await Room.countDocuments({ isActive: true, ...roomScope })
     const occupiedRooms = await Room.countDocuments({
       occupiedBeds: { $gt: 0 },
       isActive: true,
+      ...roomScope,
     })
     const availableRooms = totalRooms - occupiedRooms
 
     // Calculate total beds and occupancy
     const roomsData = await Room.aggregate([
-      { $match: { isActive: true } },
+      { $match: { isActive: true, ...roomScope } },
       {
         $group: {
           _id: null,
           totalBeds: { $sum: "$capacity" },
           occupiedBeds: { $sum: "$occupiedBeds" },
+          availableBeds: { $sum: "$availableBeds" },
         },
       },
     ])
 
-    const { totalBeds = 0, occupiedBeds = 0 } = roomsData[0] || {}
-    const availableBeds = totalBeds - occupiedBeds
+    const { totalBeds = 0, occupiedBeds = 0, availableBeds = 0 } = roomsData[0] || {}
     const overallOccupancyRate = totalBeds > 0 ? (occupiedBeds / totalBeds) * 100 : 0
 
     // Occupancy by hostel
     const hostelOccupancy = await Room.aggregate([
-      { $match: { isActive: true } },
+      { $match: { isActive: true, ...roomScope } },
       {
         $group: {
           _id: "$hostelName",
           totalBeds: { $sum: "$capacity" },
           occupiedBeds: { $sum: "$occupiedBeds" },
+          availableBeds: { $sum: "$availableBeds" },
           totalRooms: { $sum: 1 },
           occupiedRooms: {
             $sum: {
@@ -92,7 +120,6 @@ router.get("/dashboard", authenticateToken, requireAdmin, async (req, res) => {
           occupancyRate: {
             $cond: [{ $gt: ["$totalBeds", 0] }, { $multiply: [{ $divide: ["$occupiedBeds", "$totalBeds"] }, 100] }, 0],
           },
-          availableBeds: { $subtract: ["$totalBeds", "$occupiedBeds"] },
         },
       },
       { $sort: { occupancyRate: -1 } },
@@ -104,11 +131,12 @@ router.get("/dashboard", authenticateToken, requireAdmin, async (req, res) => {
 
     const recentApplications = await Application.countDocuments({
       createdAt: { $gte: thirtyDaysAgo },
+      ...applicationScope,
     })
 
     // Applications by status for chart data
     const applicationsByStatus = await Application.aggregate([
-      { $match: { academicYear } },
+      { $match: sessionFilter },
       {
         $group: {
           _id: "$status",
@@ -122,7 +150,7 @@ router.get("/dashboard", authenticateToken, requireAdmin, async (req, res) => {
     sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6)
 
     const monthlyApplications = await Application.aggregate([
-      { $match: { createdAt: { $gte: sixMonthsAgo } } },
+      { $match: { createdAt: { $gte: sixMonthsAgo }, ...applicationScope } },
       {
         $group: {
           _id: {
@@ -148,12 +176,15 @@ router.get("/dashboard", authenticateToken, requireAdmin, async (req, res) => {
           byStatus: applicationsByStatus,
           monthlyTrends: monthlyApplications,
         },
-        users: {
-          totalStudents,
-          totalAdmins,
-          studentsWithRooms,
-          studentsWithoutRooms: totalStudents - studentsWithRooms,
-        },
+        // User totals span every hostel, so they are left out for wardens and porters
+        users: req.hostelScope
+          ? null
+          : {
+              totalStudents,
+              totalStaff,
+              studentsWithRooms,
+              studentsWithoutRooms: totalStudents - studentsWithRooms,
+            },
         hostels: {
           total: totalHostels,
           male: maleHostels,
@@ -173,6 +204,7 @@ router.get("/dashboard", authenticateToken, requireAdmin, async (req, res) => {
           occupancyRate: Math.round(overallOccupancyRate * 100) / 100,
         },
         academicYear,
+        semester,
       },
     })
   } catch (error) {
@@ -186,10 +218,10 @@ router.get("/dashboard", authenticateToken, requireAdmin, async (req, res) => {
 
 // @route   GET /api/admin/users
 // @desc    Get all users with pagination and filters
-// @access  Private (Admin only)
-router.get("/users", authenticateToken, requireAdmin, async (req, res) => {
+// @access  Private (Staff with users:read)
+router.get("/users", authenticateToken, requirePermission("users:read"), async (req, res) => {
   try {
-    const { role, gender, level, department, hasRoom, search, page = 1, limit = 20 } = req.query
+    const { role, gender, level, department, hasRoom, emailVerified, search, page = 1, limit = 20 } = req.query
 
     const filter = {}
 
@@ -199,6 +231,8 @@ router.get("/users", authenticateToken, requireAdmin, async (req, res) => {
     if (department) filter.department = new RegExp(department, "i")
     if (hasRoom === "true") filter.roomAssigned = { $ne: null }
     if (hasRoom === "false") filter.roomAssigned = null
+    if (emailVerified === "true") filter.emailVerified = true
+    if (emailVerified === "false") filter.emailVerified = false
 
     if (search) {
       filter.$or = [
@@ -242,8 +276,8 @@ router.get("/users", authenticateToken, requireAdmin, async (req, res) => {
 
 // @route   PUT /api/admin/users/:id/toggle-status
 // @desc    Toggle user active status
-// @access  Private (Admin only)
-router.put("/users/:id/toggle-status", authenticateToken, requireAdmin, async (req, res) => {
+// @access  Private (Staff with users:manage)
+router.put("/users/:id/toggle-status", authenticateToken, requirePermission("users:manage"), async (req, res) => {
   try {
     const user = await User.findById(req.params.id)
 
@@ -254,9 +288,31 @@ router.put("/users/:id/toggle-status", authenticateToken, requireAdmin, async (r
       })
     }
 
+    // Admins hold the keys to everything, so only staff who manage roles can switch them off and on
+    if (["super_admin", "admin"].includes(user.role) && !req.user.can("roles:manage")) {
+      return res.status(403).json({
+        success: false,
+        message: "Only super admins can change the status of admin accounts",
+      })
+    }
+
+    const before = snapshot(user)
     user.isActive = !user.isActive
     await user.save()
 
+    // A deactivated user is signed out everywhere
+    if (!user.isActive) {
+      await AuthSession.revokeAll(user._id, "Account deactivated")
+    }
+
+    await recordAudit(req, {
+      action: "user.toggle_status",
+      entityType: "User",
+      entityId: user._id,
+      before,
+      after: snapshot(user),
+    })
+
     res.json({
       success: true,
       message: `User ${user.isActive ? "activated" : "deactivated"} successfully`,
@@ -271,14 +327,422 @@ router.put("/users/:id/toggle-status", authenticateToken, requireAdmin, async (r
   }
 })
 
+// @route   PUT /api/admin/users/:id/verify-email
+// @desc    Mark a user's email address as verified without a verification link
+// @access  Private (Staff with users:manage)
+router.put("/users/:id/verify-email", authenticateToken, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      })
+    }
+
+    const before = snapshot(user)
+
+    if (!(await markEmailVerified(user))) {
+      return res.status(400).json({
+        success: false,
+        message: "User's email address is already verified",
+      })
+    }
+
+    await recordAudit(req, {
+      action: "user.verify_email",
+      entityType: "User",
+      entityId: user._id,
+      before,
+      after: snapshot(user),
+    })
+
+    res.json({
+      success: true,
+      message: "Email address verified successfully",
+      data: { user },
+    })
+  } catch (error) {
+    console.error("Verify user email error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to verify email address",
+    })
+  }
+})
+
+// @route   DELETE /api/admin/users/:id/2fa
+// @desc    Turn off a user's two-factor authentication when they have lost their app and recovery codes
+// @access  Private (Staff with users:manage)
+router.delete("/users/:id/2fa", authenticateToken, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      })
+    }
+
+    // Turning off your own needs your password and a code, so it goes through /api/auth/2fa/disable
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot reset your own two-factor authentication",
+      })
+    }
+
+    if (["super_admin", "admin"].includes(user.role) && !req.user.can("roles:manage")) {
+      return res.status(403).json({
+        success: false,
+        message: "Only super admins can reset two-factor authentication for admin accounts",
+      })
+    }
+
+    const before = snapshot(user)
+    const { sessionsRevoked } = await resetTwoFactor(user)
+    const updated = await User.findById(user._id)
+
+    await recordAudit(req, {
+      action: "user.reset_2fa",
+      entityType: "User",
+      entityId: user._id,
+      before,
+      after: snapshot(updated),
+      metadata: { sessionsRevoked },
+    })
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication reset. The user has been signed out everywhere",
+      data: { user: updated, sessionsRevoked },
+    })
+  } catch (error) {
+    console.error("Reset two-factor error:", error)
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Failed to reset two-factor authentication",
+    })
+  }
+})
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Change a staff member's role, and the hostels they manage when the role is warden or porter
+// @access  Private (Staff with roles:manage)
+router.put(
+  "/users/:id/role",
+  authenticateToken,
+  requirePermission("roles:manage"),
+  validateRoleChange,
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id)
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        })
+      }
+
+      if (user._id.equals(req.user._id)) {
+        return res.status(400).json({
+          success: false,
+          message: "You cannot change your own role",
+        })
+      }
+
+      const before = snapshot(user)
+      const { hostels } = await changeStaffRole(user, { role: req.body.role, hostels: req.body.hostels })
+
+      await recordAudit(req, {
+        action: "user.change_role",
+        entityType: "User",
+        entityId: user._id,
+        before,
+        after: snapshot(user),
+        metadata: { hostels },
+      })
+
+      res.json({
+        success: true,
+        message: `Role changed to ${user.role}`,
+        data: { user, hostels },
+      })
+    } catch (error) {
+      console.error("Change user role error:", error)
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : "Failed to change user role",
+      })
+    }
+  },
+)
+
+// @route   POST /api/admin/invitations
+// @desc    Email an invitation to create a staff account (wardens and porters also name the hostels they manage)
+// @access  Private (Staff with invitations:manage; roles:manage as well to invite admins)
+router.post(
+  "/invitations",
+  authenticateToken,
+  requirePermission("invitations:manage"),
+  validateInvitation,
+  async (req, res) => {
+    try {
+      const { email, name, role, hostels } = req.body
+
+      const invitation = await createInvitation({ email, name, role, hostels, invitedBy: req.user })
+
+      await recordAudit(req, {
+        action: "invitation.create",
+        entityType: "Invitation",
+        entityId: invitation._id,
+        after: snapshot(invitation),
+      })
+
+      res.status(201).json({
+        success: true,
+        message: `Invitation sent to ${invitation.email}`,
+        data: { invitation },
+      })
+    } catch (error) {
+      console.error("Create invitation error:", error)
+
+      if (error.name === "ValidationError") {
+        const errors = Object.values(error.errors).map((err) => err.message)
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors,
+        })
+      }
+
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : "Failed to send invitation",
+      })
+    }
+  },
+)
+
+// @route   GET /api/admin/invitations
+// @desc    Get staff invitations, optionally only those with a status (pending, accepted, revoked, expired)
+// @access  Private (Staff with invitations:manage)
+router.get("/invitations", authenticateToken, requirePermission("invitations:manage"), async (req, res) => {
+  try {
+    const { status, email, page = 1, limit = 20 } = req.query
+
+    const now = new Date()
+    const statusFilters = {
+      pending: Invitation.pendingFilter(),
+      accepted: { acceptedAt: { $ne: null } },
+      revoked: { acceptedAt: null, revokedAt: { $ne: null } },
+      expired: { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } },
+    }
+
+    const filter = { ...(statusFilters[status] || {}) }
+    if (email) filter.email = String(email).toLowerCase()
+
+    const skip = (Number.parseInt(page) - 1) * Number.parseInt(limit)
+
+    const invitations = await Invitation.find(filter)
+      .populate("invitedBy", "name email")
+      .populate("acceptedUser", "name email")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number.parseInt(limit))
+
+    const total = await Invitation.countDocuments(filter)
+
+    res.json({
+      success: true,
+      data: {
+        invitations,
+        pagination: {
+          current: Number.parseInt(page),
+          pages: Math.ceil(total / Number.parseInt(limit)),
+          total,
+          limit: Number.parseInt(limit),
+        },
+      },
+    })
+  } catch (error) {
+    console.error("Fetch invitations error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch invitations",
+    })
+  }
+})
+
+// @route   DELETE /api/admin/invitations/:id
+// @desc    Revoke a pending invitation so its link stops working
+// @access  Private (Staff with invitations:manage)
+router.delete("/invitations/:id", authenticateToken, requirePermission("invitations:manage"), async (req, res) => {
+  try {
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: req.params.id, ...Invitation.pendingFilter() },
+      { revokedAt: new Date() },
+      { new: true },
+    )
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: "Pending invitation not found",
+      })
+    }
+
+    await recordAudit(req, {
+      action: "invitation.revoke",
+      entityType: "Invitation",
+      entityId: invitation._id,
+      metadata: { email: invitation.email, role: invitation.role },
+    })
+
+    res.json({
+      success: true,
+      message: "Invitation revoked successfully",
+      data: { invitation },
+    })
+  } catch (error) {
+    console.error("Revoke invitation error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to revoke invitation",
+    })
+  }
+})
+
+// @route   POST /api/admin/allocations
+// @desc    Allocate rooms to all approved applications for a session (dry run by default)
+// @access  Private (Staff with allocations:run)
+router.post("/allocations", authenticateToken, requirePermission("allocations:run"), async (req, res) => {
+  try {
+    const { dryRun = true, useCompatibility = false } = req.body
+    let { academicYear, semester } = req.body
+
+    if (!academicYear && !semester) {
+      const currentSession = await AcademicSession.getCurrent()
+      if (currentSession) {
+        academicYear = currentSession.academicYear
+        semester = currentSession.semester
+      }
+    }
+
+    if (!academicYear || !semester) {
+      return res.status(400).json({
+        success: false,
+        message: "Academic year and semester are required when no current session is set",
+      })
+    }
+
+    const plan = await buildAllocationPlan({
+      academicYear,
+      semester,
+      useCompatibility: useCompatibility === true || useCompatibility === "true",
+    })
+    const commit = dryRun === false || dryRun === "false"
+    const result = commit ? await commitAllocationPlan(plan) : plan
+
+    if (commit) {
+      await recordAudit(req, {
+        action: "allocation.commit",
+        entityType: "AcademicSession",
+        metadata: {
+          academicYear,
+          semester,
+          useCompatibility: useCompatibility === true || useCompatibility === "true",
+          placed: result.placements.length,
+          unplaced: result.unplaced.length,
+        },
+      })
+    }
+
+    res.json({
+      success: true,
+      message: commit ? "Room allocation completed" : "Room allocation plan generated",
+      data: {
+        dryRun: !commit,
+        academicYear,
+        semester,
+        summary: {
+          total: plan.placements.length + plan.unplaced.length,
+          placed: result.placements.length,
+          unplaced: result.unplaced.length,
+        },
+        placements: result.placements,
+        unplaced: result.unplaced,
+      },
+    })
+  } catch (error) {
+    console.error("Room allocation error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to allocate rooms",
+    })
+  }
+})
+
+// @route   GET /api/admin/roommate-groups
+// @desc    List roommate groups, unreturned nominations and conflicts for a session
+// @access  Private (Staff with allocations:run)
+router.get("/roommate-groups", authenticateToken, requirePermission("allocations:run"), async (req, res) => {
+  try {
+    let { academicYear, semester } = req.query
+
+    if (!academicYear && !semester) {
+      const currentSession = await AcademicSession.getCurrent()
+      if (currentSession) {
+        academicYear = currentSession.academicYear
+        semester = currentSession.semester
+      }
+    }
+
+    if (!academicYear || !semester) {
+      return res.status(400).json({
+        success: false,
+        message: "Academic year and semester are required when no current session is set",
+      })
+    }
+
+    const { groups, broken, conflicts } = await findRoommateGroups({ academicYear, semester })
+
+    res.json({
+      success: true,
+      data: {
+        academicYear,
+        semester,
+        groups,
+        broken,
+        conflicts,
+        summary: {
+          groups: groups.length,
+          broken: broken.length,
+          conflicts: conflicts.length,
+        },
+      },
+    })
+  } catch (error) {
+    console.error("Roommate groups error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch roommate groups",
+    })
+  }
+})
+
 // @route   GET /api/admin/reports/occupancy
-// @desc    Get detailed occupancy report
-// @access  Private (Admin only)
-router.get("/reports/occupancy", authenticateToken, requireAdmin, async (req, res) => {
+// @desc    Get detailed occupancy report (wardens and porters only see their hostels)
+// @access  Private (Staff with reports:read)
+router.get("/reports/occupancy", authenticateToken, requirePermission("reports:read"), async (req, res) => {
   try {
     const { hostel, gender } = req.query
 
     const matchFilter = { isActive: true }
+    if (req.hostelScope) matchFilter.$and = [hostelFilter(req.hostelScope)]
     if (hostel) matchFilter.hostel = hostel
     if (gender) matchFilter.gender = gender
 
@@ -303,6 +767,7 @@ router.get("/reports/occupancy", authenticateToken, requireAdmin, async (req, re
           totalRooms: { $sum: 1 },
           totalBeds: { $sum: "$capacity" },
           occupiedBeds: { $sum: "$occupiedBeds" },
+          availableBeds: { $sum: "$availableBeds" },
           occupiedRooms: {
             $sum: { $cond: [{ $gt: ["$occupiedBeds", 0] }, 1, 0] },
           },
@@ -313,6 +778,7 @@ router.get("/reports/occupancy", authenticateToken, requireAdmin, async (req, re
               type: "$type",
               capacity: "$capacity",
               occupiedBeds: "$occupiedBeds",
+              availableBeds: "$availableBeds",
               isEnsuite: "$isEnsuite",
               occupancyRate: {
                 $multiply: [{ $divide: ["$occupiedBeds", "$capacity"] }, 100],
@@ -323,7 +789,6 @@ router.get("/reports/occupancy", authenticateToken, requireAdmin, async (req, re
       },
       {
         $addFields: {
-          availableBeds: { $subtract: ["$totalBeds", "$occupiedBeds"] },
           availableRooms: { $subtract: ["$totalRooms", "$occupiedRooms"] },
           occupancyRate: {
             $multiply: [{ $divide: ["$occupiedBeds", "$totalBeds"] }, 100],
@@ -339,13 +804,13 @@ router.get("/reports/occupancy", authenticateToken, requireAdmin, async (req, re
         acc.totalRooms += hostel.totalRooms
         acc.totalBeds += hostel.totalBeds
         acc.occupiedBeds += hostel.occupiedBeds
+        acc.availableBeds += hostel.availableBeds
         acc.occupiedRooms += hostel.occupiedRooms
         return acc
       },
-      { totalRooms: 0, totalBeds: 0, occupiedBeds: 0, occupiedRooms: 0 },
+      { totalRooms: 0, totalBeds: 0, occupiedBeds: 0, availableBeds: 0, occupiedRooms: 0 },
     )
 
-    overallStats.availableBeds = overallStats.totalBeds - overallStats.occupiedBeds
     overallStats.availableRooms = overallStats.totalRooms - overallStats.occupiedRooms
     overallStats.occupancyRate =
       overallStats.totalBeds > 0 ? (overallStats.occupiedBeds / overallStats.totalBeds) * 100 : 0
@@ -368,13 +833,23 @@ router.get("/reports/occupancy", authenticateToken, requireAdmin, async (req, re
 })
 
 // @route   GET /api/admin/reports/applications
-// @desc    Get applications report
-// @access  Private (Admin only)
-router.get("/reports/applications", authenticateToken, requireAdmin, async (req, res) => {
+// @desc    Get applications report (wardens and porters only see their hostels)
+// @access  Private (Staff with reports:read)
+router.get("/reports/applications", authenticateToken, requirePermission("reports:read"), async (req, res) => {
   try {
-    const { academicYear, semester, status, startDate, endDate } = req.query
+    const { status, startDate, endDate } = req.query
+    let { academicYear, semester } = req.query
 
-    const matchFilter = {}
+    // Default to the current academic session when no session is requested
+    if (!academicYear && !semester) {
+      const currentSession = await AcademicSession.getCurrent()
+      if (currentSession) {
+        academicYear = currentSession.academicYear
+        semester = currentSession.semester
+      }
+    }
+
+    const matchFilter = await applicationFilter(req.hostelScope)
     if (academicYear) matchFilter.academicYear = academicYear
     if (semester) matchFilter.semester = semester
     if (status) matchFilter.status = status
@@ -462,4 +937,309 @@ router.get("/reports/applications", authenticateToken, requireAdmin, async (req,
   }
 })
 
+// @route   GET /api/admin/emails
+// @desc    Get outbox emails and their delivery status
+// @access  Private (Staff with messages:read)
+router.get("/emails", authenticateToken, requirePermission("messages:read"), async (req, res) => {
+  try {
+    const { status, template, user, to, page = 1, limit = 20 } = req.query
+
+    const filter = {}
+
+    if (status) filter.status = status
+    if (template) filter.template = template
+    if (user) filter.user = user
+    if (to) filter.to = String(to).toLowerCase()
+
+    const skip = (Number.parseInt(page) - 1) * Number.parseInt(limit)
+
+    const emails = await EmailMessage.find(filter)
+      .select("-html")
+      .populate("user", "name email matricNumber")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number.parseInt(limit))
+
+    const total = await EmailMessage.countDocuments(filter)
+
+    res.json({
+      success: true,
+      data: {
+        emails,
+        pagination: {
+          current: Number.parseInt(page),
+          pages: Math.ceil(total / Number.parseInt(limit)),
+          total,
+          limit: Number.parseInt(limit),
+        },
+      },
+    })
+  } catch (error) {
+    console.error("Fetch emails error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch emails",
+    })
+  }
+})
+
+// @route   POST /api/admin/emails/process
+// @desc    Send every queued email that is due now instead of waiting for the email job
+// @access  Private (Staff with messages:manage)
+router.post("/emails/process", authenticateToken, requirePermission("messages:manage"), async (req, res) => {
+  try {
+    const results = await processOutbox()
+
+    await recordAudit(req, { action: "email.process_outbox", entityType: "EmailMessage", metadata: results })
+
+    res.json({
+      success: true,
+      message: `Sent ${results.sent} email(s); ${results.retrying} will be retried and ${results.failed} failed`,
+      data: results,
+    })
+  } catch (error) {
+    console.error("Process emails error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to process emails",
+    })
+  }
+})
+
+// @route   POST /api/admin/emails/:id/retry
+// @desc    Queue a failed email for a fresh set of delivery attempts
+// @access  Private (Staff with messages:manage)
+router.post("/emails/:id/retry", authenticateToken, requirePermission("messages:manage"), async (req, res) => {
+  try {
+    const email = await EmailMessage.findById(req.params.id)
+
+    if (!email) {
+      return res.status(404).json({
+        success: false,
+        message: "Email not found",
+      })
+    }
+
+    const before = snapshot(email)
+    const updatedEmail = await retryEmail(email)
+
+    await recordAudit(req, {
+      action: "email.retry",
+      entityType: "EmailMessage",
+      entityId: email._id,
+      before,
+      after: snapshot(updatedEmail),
+    })
+
+    res.json({
+      success: true,
+      message: updatedEmail.status === "sent" ? "Email sent" : "Email queued for delivery",
+      data: { email: updatedEmail },
+    })
+  } catch (error) {
+    console.error("Retry email error:", error)
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Failed to retry email",
+    })
+  }
+})
+
+// @route   POST /api/admin/emergency-broadcast
+// @desc    Text an emergency message to every resident, or those of one hostel, regardless of SMS preferences.
+//          Wardens must name one of their hostels.
+// @access  Private (Staff with broadcast:send)
+router.post("/emergency-broadcast", authenticateToken, requirePermission("broadcast:send"), async (req, res) => {
+  try {
+    const { message, hostel, includeGuardians = false } = req.body
+
+    if (!message || message.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Message is required",
+      })
+    }
+
+    if (hostel && !(await Hostel.exists({ _id: hostel }))) {
+      return res.status(404).json({
+        success: false,
+        message: "Hostel not found",
+      })
+    }
+
+    if (!hostelInScope(req.hostelScope, hostel)) {
+      return res.status(403).json({
+        success: false,
+        message: hostel ? "This hostel is not one you manage" : "Choose one of the hostels you manage",
+      })
+    }
+
+    const broadcast = { message: message.trim(), hostel: hostel || null, includeGuardians: Boolean(includeGuardians) }
+    const results = await broadcastEmergency(broadcast)
+
+    await recordAudit(req, {
+      action: "sms.emergency_broadcast",
+      entityType: "SmsMessage",
+      metadata: { ...broadcast, ...results },
+    })
+
+    res.json({
+      success: true,
+      message: `Emergency broadcast sent to ${results.sent} number(s); ${results.failed} failed`,
+      data: results,
+    })
+  } catch (error) {
+    console.error("Emergency broadcast error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to send emergency broadcast",
+    })
+  }
+})
+
+// @route   GET /api/admin/sms
+// @desc    Get sent and failed text messages
+// @access  Private (Staff with messages:read)
+router.get("/sms", authenticateToken, requirePermission("messages:read"), async (req, res) => {
+  try {
+    const { status, purpose, user, page = 1, limit = 20 } = req.query
+
+    const filter = {}
+
+    if (status) filter.status = status
+    if (purpose) filter.purpose = purpose
+    if (user) filter.user = user
+
+    const skip = (Number.parseInt(page) - 1) * Number.parseInt(limit)
+
+    const messages = await SmsMessage.find(filter)
+      .populate("user", "name email matricNumber")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number.parseInt(limit))
+
+    const total = await SmsMessage.countDocuments(filter)
+
+    res.json({
+      success: true,
+      data: {
+        messages,
+        pagination: {
+          current: Number.parseInt(page),
+          pages: Math.ceil(total / Number.parseInt(limit)),
+          total,
+          limit: Number.parseInt(limit),
+        },
+      },
+    })
+  } catch (error) {
+    console.error("Fetch SMS error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch text messages",
+    })
+  }
+})
+
+// @route   GET /api/admin/audit-logs
+// @desc    Get audit log entries, filtered by actor, action, entityType, entityId and a from/to date range
+// @access  Private (Staff with audit:read)
+router.get("/audit-logs", authenticateToken, requirePermission("audit:read"), async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query
+    const filter = auditFilter(req.query)
+
+    const skip = (Number.parseInt(page) - 1) * Number.parseInt(limit)
+
+    const entries = await AuditLog.find(filter)
+      .populate("actor", "name email role")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number.parseInt(limit))
+
+    const total = await AuditLog.countDocuments(filter)
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          current: Number.parseInt(page),
+          pages: Math.ceil(total / Number.parseInt(limit)),
+          total,
+          limit: Number.parseInt(limit),
+        },
+      },
+    })
+  } catch (error) {
+    console.error("Fetch audit logs error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch audit logs",
+    })
+  }
+})
+
+// @route   GET /api/admin/audit-logs/export
+// @desc    Download audit log entries matching the same filters as CSV
+// @access  Private (Staff with audit:read)
+router.get("/audit-logs/export", authenticateToken, requirePermission("audit:read"), async (req, res) => {
+  try {
+    const cursor = AuditLog.find(auditFilter(req.query))
+      .populate("actor", "name email")
+      .sort({ createdAt: -1 })
+      .cursor()
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8")
+    res.attachment(`audit-log-${new Date().toISOString().slice(0, 10)}.csv`)
+    res.write(
+      csvRow([
+        "Time",
+        "Actor",
+        "Actor email",
+        "Role",
+        "Action",
+        "Entity type",
+        "Entity ID",
+        "Changes",
+        "Details",
+        "IP",
+      ]),
+    )
+
+    for await (const entry of cursor) {
+      const changes = entry.changes.map(
+        ({ path, from, to }) => `${path}: ${JSON.stringify(from)} -> ${JSON.stringify(to)}`,
+      )
+
+      res.write(
+        csvRow([
+          entry.createdAt,
+          entry.actor ? entry.actor.name : "",
+          entry.actor ? entry.actor.email : "",
+          entry.actorRole,
+          entry.action,
+          entry.entityType,
+          entry.entityId,
+          changes.join("; "),
+          entry.metadata,
+          entry.ip,
+        ]),
+      )
+    }
+
+    res.end()
+  } catch (error) {
+    console.error("Export audit logs error:", error)
+
+    // Once rows have been sent the status can no longer change, so cut the download short instead
+    if (res.headersSent) return res.destroy(error)
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to export audit logs",
+    })
+  }
+})
+
 module.exports = router
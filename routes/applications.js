@@ -2,20 +2,76 @@ const express = require("express")
 const Application = require("../models/Application")
 const User = require("../models/User")
 const Room = require("../models/Room")
-const { authenticateToken, requireAdmin, requireStudent, requireOwnershipOrAdmin } = require("../middleware/auth")
+const AcademicSession = require("../models/AcademicSession")
+const {
+  authenticateToken,
+  requirePermission,
+  requireStudent,
+  requireStudentOrPermission,
+  requireVerifiedEmail,
+  requireOwnershipOrPermission,
+} = require("../middleware/auth")
+const { getStanding } = require("../services/waitlist")
+const { computePriority } = require("../services/priority")
+const { summariseAccount } = require("../services/billing")
+const { notify, notifyHostelManagers } = require("../services/notifications")
+const { snapshot, recordAudit } = require("../services/audit")
+const { applicationFilter, matchesScope } = require("../services/hostelScope")
 
 const router = express.Router()
 
+// Whether an application is for one of the hostels the member of staff manages
+const applicationInScope = async (req, applicationId) =>
+  matchesScope(Application, applicationId, await applicationFilter(req.hostelScope))
+
 // @route   POST /api/applications/submit
 // @desc    Submit hostel application
-// @access  Private (Student only)
-router.post("/submit", authenticateToken, requireStudent, async (req, res) => {
+// @access  Private (Student with a verified email only)
+router.post("/submit", authenticateToken, requireStudent, requireVerifiedEmail, async (req, res) => {
   try {
+    // Documents are only added through the upload route and count once staff verify them, so any sent here
+    // are dropped along with fields that only staff or the system set
+    const { documents, status, reviewedBy, reviewedAt, assignedRoom, priority, paymentStatus, ...submitted } = req.body
+
     const applicationData = {
-      ...req.body,
+      ...submitted,
       student: req.user._id,
     }
 
+    // A session is named by both fields; naming half of one is a mistake, not a request for the current one
+    if (Boolean(applicationData.academicYear) !== Boolean(applicationData.semester)) {
+      return res.status(400).json({
+        success: false,
+        message: "Academic year and semester must be given together",
+      })
+    }
+
+    // Default to the current session when the student does not name one
+    const academicSession =
+      applicationData.academicYear && applicationData.semester
+        ? await AcademicSession.findOne({
+            academicYear: applicationData.academicYear,
+            semester: applicationData.semester,
+          })
+        : await AcademicSession.getCurrent()
+
+    if (!academicSession) {
+      return res.status(400).json({
+        success: false,
+        message: "No academic session is open for applications",
+      })
+    }
+
+    if (!academicSession.isApplicationWindowOpen()) {
+      return res.status(400).json({
+        success: false,
+        message: `Applications for ${academicSession.academicYear} ${academicSession.semester} semester are only accepted between ${academicSession.applicationOpenDate.toDateString()} and ${academicSession.applicationCloseDate.toDateString()}`,
+      })
+    }
+
+    applicationData.academicYear = academicSession.academicYear
+    applicationData.semester = academicSession.semester
+
     // Check if student already has an application for this academic year/semester
     const existingApplication = await Application.findOne({
       student: req.user._id,
@@ -30,6 +86,14 @@ router.post("/submit", authenticateToken, requireStudent, async (req, res) => {
       })
     }
 
+    const roommates = (applicationData.preferences && applicationData.preferences.preferredRoommates) || []
+    if (roommates.some((matricNumber) => String(matricNumber).toUpperCase() === req.user.matricNumber)) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot nominate yourself as a roommate",
+      })
+    }
+
     // Check if student is already assigned to a room
     if (req.user.roomAssigned) {
       return res.status(400).json({
@@ -40,6 +104,10 @@ router.post("/submit", authenticateToken, requireStudent, async (req, res) => {
 
     const application = new Application(applicationData)
     await application.save()
+    await computePriority(application)
+    await notify(req.user._id, "application_submitted", { application })
+    const preferredHostel = application.preferences && application.preferences.hostelPreference
+    await notifyHostelManagers(preferredHostel, "application_received", { application, student: req.user })
 
     const populatedApplication = await Application.findById(application._id)
       .populate("student", "name matricNumber email gender level department")
@@ -78,17 +146,13 @@ router.post("/submit", authenticateToken, requireStudent, async (req, res) => {
 
 // @route   GET /api/applications
 // @desc    Get all applications (Admin) or user's applications (Student)
-// @access  Private
-router.get("/", authenticateToken, async (req, res) => {
+// @access  Private (Students, staff with applications:read)
+router.get("/", authenticateToken, requireStudentOrPermission("applications:read"), async (req, res) => {
   try {
-    const { status, academicYear, semester, page = 1, limit = 20 } = req.query
+    const { status, academicYear, semester, sort, page = 1, limit = 20 } = req.query
 
-    const filter = {}
-
-    // Students can only see their own applications
-    if (req.user.role === "student") {
-      filter.student = req.user._id
-    }
+    // Students can only see their own applications, wardens those for their hostels
+    const filter = req.user.role === "student" ? { student: req.user._id } : await applicationFilter(req.hostelScope)
 
     // Apply additional filters
     if (status) filter.status = status
@@ -102,7 +166,7 @@ router.get("/", authenticateToken, async (req, res) => {
       .populate("preferences.hostelPreference", "name gender")
       .populate("assignedRoom", "number hostelName type capacity")
       .populate("reviewedBy", "name email")
-      .sort({ createdAt: -1 })
+      .sort(sort === "priority" ? { "priority.score": -1, createdAt: 1 } : { createdAt: -1 })
       .skip(skip)
       .limit(Number.parseInt(limit))
 
@@ -131,10 +195,13 @@ router.get("/", authenticateToken, async (req, res) => {
 
 // @route   GET /api/applications/:studentId
 // @desc    Get applications for specific student
-// @access  Private (Student can only access own, Admin can access any)
-router.get("/:studentId", authenticateToken, requireOwnershipOrAdmin, async (req, res) => {
+// @access  Private (Student can only access own, staff with applications:read can access any in their hostels)
+router.get("/:studentId", authenticateToken, requireOwnershipOrPermission("applications:read"), async (req, res) => {
   try {
-    const applications = await Application.find({ student: req.params.studentId })
+    const applications = await Application.find({
+      student: req.params.studentId,
+      ...(await applicationFilter(req.hostelScope)),
+    })
       .populate("student", "name matricNumber email gender level department")
       .populate("preferences.hostelPreference", "name gender")
       .populate("assignedRoom", "number hostelName type capacity")
@@ -159,8 +226,8 @@ router.get("/:studentId", authenticateToken, requireOwnershipOrAdmin, async (req
 
 // @route   GET /api/applications/details/:id
 // @desc    Get single application details
-// @access  Private
-router.get("/details/:id", authenticateToken, async (req, res) => {
+// @access  Private (Students, staff with applications:read)
+router.get("/details/:id", authenticateToken, requireStudentOrPermission("applications:read"), async (req, res) => {
   try {
     const application = await Application.findById(req.params.id)
       .populate("student", "name matricNumber email gender level department phoneNumber")
@@ -183,9 +250,19 @@ router.get("/details/:id", authenticateToken, async (req, res) => {
       })
     }
 
+    if (!(await applicationInScope(req, application._id))) {
+      return res.status(403).json({
+        success: false,
+        message: "This application is for a hostel you do not manage",
+      })
+    }
+
+    const waitlist = await getStanding(application._id)
+    const billing = await summariseAccount(application._id)
+
     res.json({
       success: true,
-      data: { application },
+      data: { application, waitlist, billing },
     })
   } catch (error) {
     console.error("Fetch application details error:", error)
@@ -198,8 +275,8 @@ router.get("/details/:id", authenticateToken, async (req, res) => {
 
 // @route   POST /api/applications/:id/approve
 // @desc    Approve application
-// @access  Private (Admin only)
-router.post("/:id/approve", authenticateToken, requireAdmin, async (req, res) => {
+// @access  Private (Staff with applications:review)
+router.post("/:id/approve", authenticateToken, requirePermission("applications:review"), async (req, res) => {
   try {
     const { comments } = req.body
 
@@ -219,8 +296,25 @@ router.post("/:id/approve", authenticateToken, requireAdmin, async (req, res) =>
       })
     }
 
+    if (!(await applicationInScope(req, application._id))) {
+      return res.status(403).json({
+        success: false,
+        message: "This application is for a hostel you do not manage",
+      })
+    }
+
+    const before = snapshot(application)
     await application.approve(req.user._id, comments)
 
+    await recordAudit(req, {
+      action: "application.approve",
+      entityType: "Application",
+      entityId: application._id,
+      before,
+      after: snapshot(application),
+    })
+    await notify(application.student, "application_approved", { application })
+
     const updatedApplication = await Application.findById(req.params.id)
       .populate("student", "name matricNumber email")
       .populate("reviewedBy", "name email")
@@ -241,8 +335,8 @@ router.post("/:id/approve", authenticateToken, requireAdmin, async (req, res) =>
 
 // @route   POST /api/applications/:id/reject
 // @desc    Reject application
-// @access  Private (Admin only)
-router.post("/:id/reject", authenticateToken, requireAdmin, async (req, res) => {
+// @access  Private (Staff with applications:review)
+router.post("/:id/reject", authenticateToken, requirePermission("applications:review"), async (req, res) => {
   try {
     const { comments } = req.body
 
@@ -269,8 +363,25 @@ router.post("/:id/reject", authenticateToken, requireAdmin, async (req, res) =>
       })
     }
 
+    if (!(await applicationInScope(req, application._id))) {
+      return res.status(403).json({
+        success: false,
+        message: "This application is for a hostel you do not manage",
+      })
+    }
+
+    const before = snapshot(application)
     await application.reject(req.user._id, comments)
 
+    await recordAudit(req, {
+      action: "application.reject",
+      entityType: "Application",
+      entityId: application._id,
+      before,
+      after: snapshot(application),
+    })
+    await notify(application.student, "application_rejected", { application })
+
     const updatedApplication = await Application.findById(req.params.id)
       .populate("student", "name matricNumber email")
       .populate("reviewedBy", "name email")
@@ -291,8 +402,9 @@ router.post("/:id/reject", authenticateToken, requireAdmin, async (req, res) =>
 
 // @route   PUT /api/applications/:id
 // @desc    Update application (Student can only update pending applications)
-// @access  Private
-router.put("/:id", authenticateToken, async (req, res) => {
+// @access  Private (Student can only update own pending applications, staff with applications:manage any in their
+//          hostels)
+router.put("/:id", authenticateToken, requireStudentOrPermission("applications:manage"), async (req, res) => {
   try {
     const application = await Application.findById(req.params.id)
 
@@ -318,10 +430,37 @@ router.put("/:id", authenticateToken, async (req, res) => {
           message: "Only pending applications can be updated",
         })
       }
+    } else if (!(await applicationInScope(req, application._id))) {
+      return res.status(403).json({
+        success: false,
+        message: "This application is for a hostel you do not manage",
+      })
     }
 
-    // Don't allow updating certain fields
-    const { student, status, reviewedBy, reviewedAt, assignedRoom, ...updateData } = req.body
+    // Don't allow updating certain fields. Documents go through the upload and verify routes, and the session
+    // is fixed when the application is submitted inside its window.
+    const {
+      student,
+      academicYear,
+      semester,
+      status,
+      reviewedBy,
+      reviewedAt,
+      assignedRoom,
+      priority,
+      paymentStatus,
+      documents,
+      ...updateData
+    } = req.body
+
+    const roommates = (updateData.preferences && updateData.preferences.preferredRoommates) || []
+    const applicant = await User.findById(application.student).select("matricNumber")
+    if (applicant && roommates.some((matricNumber) => String(matricNumber).toUpperCase() === applicant.matricNumber)) {
+      return res.status(400).json({
+        success: false,
+        message: "A student cannot nominate themselves as a roommate",
+      })
+    }
 
     const updatedApplication = await Application.findByIdAndUpdate(req.params.id, updateData, {
       new: true,
@@ -330,6 +469,16 @@ router.put("/:id", authenticateToken, async (req, res) => {
       .populate("student", "name matricNumber email")
       .populate("preferences.hostelPreference", "name gender")
 
+    await computePriority(updatedApplication)
+
+    await recordAudit(req, {
+      action: "application.update",
+      entityType: "Application",
+      entityId: application._id,
+      before: snapshot(application),
+      after: snapshot(updatedApplication),
+    })
+
     res.json({
       success: true,
       message: "Application updated successfully",
@@ -356,8 +505,9 @@ router.put("/:id", authenticateToken, async (req, res) => {
 
 // @route   DELETE /api/applications/:id
 // @desc    Delete application
-// @access  Private (Student can only delete own pending applications, Admin can delete any)
-router.delete("/:id", authenticateToken, async (req, res) => {
+// @access  Private (Student can only delete own pending applications, staff with applications:manage any in their
+//          hostels)
+router.delete("/:id", authenticateToken, requireStudentOrPermission("applications:manage"), async (req, res) => {
   try {
     const application = await Application.findById(req.params.id)
 
@@ -383,10 +533,22 @@ router.delete("/:id", authenticateToken, async (req, res) => {
           message: "Only pending applications can be deleted",
         })
       }
+    } else if (!(await applicationInScope(req, application._id))) {
+      return res.status(403).json({
+        success: false,
+        message: "This application is for a hostel you do not manage",
+      })
     }
 
     await Application.findByIdAndDelete(req.params.id)
 
+    await recordAudit(req, {
+      action: "application.delete",
+      entityType: "Application",
+      entityId: application._id,
+      before: snapshot(application),
+    })
+
     res.json({
       success: true,
       message: "Application deleted successfully",
@@ -1,27 +1,50 @@
 const express = require("express")
-const jwt = require("jsonwebtoken")
 const User = require("../models/User")
+const AuthSession = require("../models/AuthSession")
 const { authenticateToken } = require("../middleware/auth")
+const {
+  validateForgotPassword,
+  validatePasswordReset,
+  validateEmailVerification,
+  validateInvitationAcceptance,
+  validateTwoFactorEnable,
+  validateTwoFactorCode,
+  validateTwoFactorDisable,
+} = require("../middleware/validation")
+const { createSession, refreshSession, revokeSession } = require("../services/authSessions")
+const { PASSWORD_RESET_TTL_MINUTES, requestPasswordReset, resetPassword } = require("../services/passwordReset")
+const { sendVerificationEmail, resendVerificationEmail, verifyEmail } = require("../services/emailVerification")
+const { acceptInvitation } = require("../services/invitations")
+const { snapshot, recordAudit } = require("../services/audit")
+const {
+  twoFactorStatus,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+} = require("../services/twoFactor")
+const { requiresTwoFactor } = require("../config/permissions")
 
 const router = express.Router()
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || "7d",
-  })
-}
-
 // @route   POST /api/auth/register
-// @desc    Register a new user
+// @desc    Register a new student. Admin accounts are created by invitation only.
 // @access  Public
 router.post("/register", async (req, res) => {
   try {
-    const { name, email, matricNumber, password, role = "student", gender, phoneNumber, level, department } = req.body
+    const { name, email, matricNumber, password, gender, phoneNumber, level, department } = req.body
+
+    if (!matricNumber || !level || !department) {
+      return res.status(400).json({
+        success: false,
+        message: "Matric number, level, and department are required for students",
+      })
+    }
 
     // Check if user already exists
     const existingUser = await User.findOne({
-      $or: [{ email: email.toLowerCase() }, ...(matricNumber ? [{ matricNumber: matricNumber.toUpperCase() }] : [])],
+      $or: [{ email: email.toLowerCase() }, { matricNumber: matricNumber.toUpperCase() }],
     })
 
     if (existingUser) {
@@ -31,41 +54,37 @@ router.post("/register", async (req, res) => {
       })
     }
 
-    // Create new user
-    const userData = {
+    // Any role in the request is ignored; everyone who registers is a student
+    const user = new User({
       name,
       email: email.toLowerCase(),
+      matricNumber: matricNumber.toUpperCase(),
       password,
-      role,
+      role: "student",
       gender,
       phoneNumber,
-    }
+      level,
+      department,
+    })
+    await user.save()
 
-    // Add student-specific fields
-    if (role === "student") {
-      if (!matricNumber || !level || !department) {
-        return res.status(400).json({
-          success: false,
-          message: "Matric number, level, and department are required for students",
-        })
-      }
-      userData.matricNumber = matricNumber.toUpperCase()
-      userData.level = level
-      userData.department = department
+    // The account exists either way; a failed email can be sent again from the resend endpoint
+    try {
+      await sendVerificationEmail(user, { ip: req.ip })
+    } catch (error) {
+      console.error("Verification email error:", error)
     }
 
-    const user = new User(userData)
-    await user.save()
-
-    // Generate token
-    const token = generateToken(user._id)
+    const { token, refreshToken, expiresIn } = await createSession(user, req)
 
     res.status(201).json({
       success: true,
-      message: "User registered successfully",
+      message: "User registered successfully. Check your email for a link to verify your address",
       data: {
         user,
         token,
+        refreshToken,
+        expiresIn,
       },
     })
   } catch (error) {
@@ -95,12 +114,67 @@ router.post("/register", async (req, res) => {
   }
 })
 
+// @route   POST /api/auth/accept-invite
+// @desc    Create an admin account from an invitation, setting its password
+// @access  Public
+router.post("/accept-invite", validateInvitationAcceptance, async (req, res) => {
+  try {
+    const { token, name, password, gender, phoneNumber } = req.body
+
+    const { user, invitation } = await acceptInvitation({ token, name, password, gender, phoneNumber })
+
+    await recordAudit(req, {
+      action: "invitation.accept",
+      entityType: "User",
+      entityId: user._id,
+      after: snapshot(user),
+      metadata: { invitation: invitation._id, invitedBy: invitation.invitedBy },
+    })
+
+    const { token: accessToken, refreshToken, expiresIn } = await createSession(user, req)
+
+    res.status(201).json({
+      success: true,
+      message: "Account created successfully",
+      data: {
+        user,
+        token: accessToken,
+        refreshToken,
+        expiresIn,
+      },
+    })
+  } catch (error) {
+    console.error("Accept invitation error:", error)
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors,
+      })
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "A user with this email already exists",
+      })
+    }
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Failed to accept invitation",
+    })
+  }
+})
+
 // @route   POST /api/auth/login
-// @desc    Login user
+// @desc    Login user. Users with two-factor authentication also send a `code` from their app or a `recoveryCode`.
 // @access  Public
 router.post("/login", async (req, res) => {
   try {
-    const { email, matricNumber, password } = req.body
+    const { email, matricNumber, password, code, recoveryCode } = req.body
 
     if (!password) {
       return res.status(400).json({
@@ -143,22 +217,51 @@ router.post("/login", async (req, res) => {
       })
     }
 
-    // Generate token
-    const token = generateToken(user._id)
+    let message = "Login successful"
+
+    if (user.twoFactor.enabled) {
+      if (!code && !recoveryCode) {
+        return res.status(401).json({
+          success: false,
+          message: "Enter the code from your authenticator app",
+          data: { twoFactorRequired: true },
+        })
+      }
+
+      const verified = await verifySecondFactor(user, { code, recoveryCode })
+
+      if (!verified) {
+        return res.status(401).json({
+          success: false,
+          message: "Invalid two-factor code",
+          data: { twoFactorRequired: true },
+        })
+      }
+
+      if (verified.method === "recovery_code") {
+        message = `Login successful. You have ${verified.recoveryCodesRemaining} recovery code(s) left`
+      }
+    }
+
+    const { token, refreshToken, expiresIn } = await createSession(user, req)
 
     res.json({
       success: true,
-      message: "Login successful",
+      message,
       data: {
         user,
         token,
+        refreshToken,
+        expiresIn,
+        // Staff routes are refused until a user whose role requires two-factor authentication sets it up
+        twoFactorSetupRequired: requiresTwoFactor(user.role) && !user.twoFactor.enabled,
       },
     })
   } catch (error) {
     console.error("Login error:", error)
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      message: "Login failed",
+      message: error.status ? error.message : "Login failed",
     })
   }
 })
@@ -190,7 +293,7 @@ router.get("/profile", authenticateToken, async (req, res) => {
 // @access  Private
 router.put("/profile", authenticateToken, async (req, res) => {
   try {
-    const allowedUpdates = ["name", "phoneNumber", "department"]
+    const allowedUpdates = ["name", "phoneNumber", "department", "smsOptIn"]
     const updates = {}
 
     // Only allow certain fields to be updated
@@ -258,9 +361,13 @@ router.post("/change-password", authenticateToken, async (req, res) => {
     user.password = newPassword
     await user.save()
 
+    // Anyone signed in with the old password is signed out; this device stays signed in
+    const revoked = await AuthSession.revokeAll(user._id, "Password changed", { except: req.sessionId })
+
     res.json({
       success: true,
       message: "Password changed successfully",
+      data: { sessionsRevoked: revoked },
     })
   } catch (error) {
     console.error("Password change error:", error)
@@ -271,4 +378,333 @@ router.post("/change-password", authenticateToken, async (req, res) => {
   }
 })
 
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link. The response is the same whether or not the email is registered.
+// @access  Public
+router.post("/forgot-password", validateForgotPassword, (req, res) => {
+  // The lookup and email happen after the response, so neither the response time nor an error can reveal
+  // whether the email is registered; failures are only logged
+  requestPasswordReset({ email: req.body.email, ip: req.ip }).catch((error) =>
+    console.error("Forgot password error:", error),
+  )
+
+  res.json({
+    success: true,
+    message: `If that email is registered, a reset link valid for ${PASSWORD_RESET_TTL_MINUTES} minutes has been sent`,
+  })
+})
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using the token from a reset link, signing out every session
+// @access  Public
+router.post("/reset-password", validatePasswordReset, async (req, res) => {
+  try {
+    await resetPassword({ token: req.body.token, password: req.body.password })
+
+    res.json({
+      success: true,
+      message: "Password reset successfully. Please log in with your new password",
+    })
+  } catch (error) {
+    console.error("Password reset error:", error)
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors,
+      })
+    }
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Failed to reset password",
+    })
+  }
+})
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify the user's email address using the token from a verification link
+// @access  Public
+router.post("/verify-email", validateEmailVerification, async (req, res) => {
+  try {
+    const user = await verifyEmail(req.body.token)
+
+    res.json({
+      success: true,
+      message: "Email address verified successfully",
+      data: { user },
+    })
+  } catch (error) {
+    console.error("Email verification error:", error)
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Failed to verify email address",
+    })
+  }
+})
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send the current user a new email verification link (at most one a minute)
+// @access  Private
+router.post("/resend-verification", authenticateToken, async (req, res) => {
+  try {
+    await resendVerificationEmail(req.user, { ip: req.ip })
+
+    res.json({
+      success: true,
+      message: `A new verification link has been sent to ${req.user.email}`,
+    })
+  } catch (error) {
+    console.error("Resend verification error:", error)
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Failed to send verification email",
+    })
+  }
+})
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: "Refresh token is required",
+      })
+    }
+
+    const { user, token, refreshToken: nextRefreshToken, expiresIn } = await refreshSession(refreshToken, req)
+
+    res.json({
+      success: true,
+      message: "Token refreshed",
+      data: {
+        user,
+        token,
+        refreshToken: nextRefreshToken,
+        expiresIn,
+      },
+    })
+  } catch (error) {
+    console.error("Token refresh error:", error)
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Failed to refresh token",
+    })
+  }
+})
+
+// @route   POST /api/auth/logout
+// @desc    Sign out the current session
+// @access  Private
+router.post("/logout", authenticateToken, async (req, res) => {
+  try {
+    await revokeSession(req.user._id, req.sessionId, "Logged out")
+
+    res.json({
+      success: true,
+      message: "Logged out successfully",
+    })
+  } catch (error) {
+    console.error("Logout error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Logout failed",
+    })
+  }
+})
+
+// @route   POST /api/auth/logout-all
+// @desc    Sign out every session of the current user, this one included
+// @access  Private
+router.post("/logout-all", authenticateToken, async (req, res) => {
+  try {
+    const revoked = await AuthSession.revokeAll(req.user._id, "Logged out of all devices")
+
+    res.json({
+      success: true,
+      message: `Logged out of ${revoked} session(s)`,
+      data: { sessionsRevoked: revoked },
+    })
+  } catch (error) {
+    console.error("Logout all error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to log out of all devices",
+    })
+  }
+})
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get("/sessions", authenticateToken, async (req, res) => {
+  try {
+    const sessions = await AuthSession.find(AuthSession.activeFilter(req.user._id)).sort({ lastUsedAt: -1 })
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map((session) => ({
+          ...session.toJSON(),
+          current: session._id.toString() === req.sessionId.toString(),
+        })),
+      },
+    })
+  } catch (error) {
+    console.error("Fetch sessions error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch sessions",
+    })
+  }
+})
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out one of the current user's sessions
+// @access  Private
+router.delete("/sessions/:id", authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.user._id, req.params.id, "Signed out from another device")
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      message: "Session signed out",
+    })
+  } catch (error) {
+    console.error("Revoke session error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to sign out session",
+    })
+  }
+})
+
+// @route   GET /api/auth/2fa
+// @desc    Get the current user's two-factor authentication status
+// @access  Private
+router.get("/2fa", authenticateToken, async (req, res) => {
+  try {
+    const twoFactor = await twoFactorStatus(req.user)
+
+    res.json({
+      success: true,
+      data: { twoFactor },
+    })
+  } catch (error) {
+    console.error("Fetch two-factor status error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch two-factor authentication status",
+    })
+  }
+})
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start setting up an authenticator app. Returns the secret and an otpauth:// URL to show as a QR code.
+// @access  Private
+router.post("/2fa/setup", authenticateToken, async (req, res) => {
+  try {
+    const { secret, otpauthUrl } = await startEnrollment(req.user)
+
+    res.json({
+      success: true,
+      message: "Scan the QR code or enter the secret in your authenticator app, then confirm with a code from it",
+      data: { secret, otpauthUrl },
+    })
+  } catch (error) {
+    console.error("Two-factor setup error:", error)
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Failed to start two-factor setup",
+    })
+  }
+})
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Turn two-factor authentication on with a code from the app being set up, returning recovery codes
+// @access  Private
+router.post("/2fa/enable", authenticateToken, validateTwoFactorEnable, async (req, res) => {
+  try {
+    const { recoveryCodes } = await confirmEnrollment(req.user, req.body.code)
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication is on. Keep these recovery codes somewhere safe; they are shown only once",
+      data: { recoveryCodes },
+    })
+  } catch (error) {
+    console.error("Two-factor enable error:", error)
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Failed to turn on two-factor authentication",
+    })
+  }
+})
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the current user's recovery codes, confirming with a `code` or `recoveryCode`
+// @access  Private
+router.post("/2fa/recovery-codes", authenticateToken, validateTwoFactorCode, async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body
+
+    if (!(await verifySecondFactor(req.user, { code, recoveryCode }))) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid two-factor code",
+      })
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user)
+
+    res.json({
+      success: true,
+      message: "New recovery codes created. The old ones no longer work",
+      data: { recoveryCodes },
+    })
+  } catch (error) {
+    console.error("Recovery codes error:", error)
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Failed to create recovery codes",
+    })
+  }
+})
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn two-factor authentication off, confirming with the password and a `code` or `recoveryCode`
+// @access  Private
+router.post("/2fa/disable", authenticateToken, validateTwoFactorDisable, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body
+
+    await disableTwoFactor(req.user, { password, code, recoveryCode })
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication is off",
+    })
+  } catch (error) {
+    console.error("Two-factor disable error:", error)
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Failed to turn off two-factor authentication",
+    })
+  }
+})
+
 module.exports = router
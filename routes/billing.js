@@ -0,0 +1,320 @@
+const express = require("express")
+const Application = require("../models/Application")
+const Invoice = require("../models/Invoice")
+const LedgerEntry = require("../models/LedgerEntry")
+const { authenticateToken, requirePermission, requireStudentOrPermission } = require("../middleware/auth")
+const {
+  summariseAccount,
+  derivePaymentStatus,
+  recordLedgerEntry,
+  issueInvoice,
+  voidInvoice,
+  refreshOverduePayments,
+} = require("../services/billing")
+
+const router = express.Router()
+
+const populateInvoice = (query) =>
+  query
+    .populate("student", "name matricNumber email")
+    .populate("room", "number hostelName type")
+    .populate("issuedBy", "name email")
+    .populate("voidedBy", "name email")
+
+// Whether the user is the student, or staff who can read anyone's billing
+const canView = (req, studentId) =>
+  req.user.role === "student" ? studentId.toString() === req.user._id.toString() : req.user.can("billing:read")
+
+const validationErrorResponse = (res, error) => {
+  const errors = Object.values(error.errors).map((err) => err.message)
+  return res.status(400).json({
+    success: false,
+    message: "Validation error",
+    errors,
+  })
+}
+
+// @route   GET /api/billing/invoices
+// @desc    Get invoices (staff) or the student's own invoices
+// @access  Private (Students, staff with billing:read)
+router.get("/invoices", authenticateToken, requireStudentOrPermission("billing:read"), async (req, res) => {
+  try {
+    const { student, application, status, kind, academicYear, semester, page = 1, limit = 20 } = req.query
+
+    const filter = {}
+
+    if (req.user.role === "student") {
+      filter.student = req.user._id
+    } else if (student) {
+      filter.student = student
+    }
+
+    if (application) filter.application = application
+    if (status) filter.status = status
+    if (kind) filter.kind = kind
+    if (academicYear) filter.academicYear = academicYear
+    if (semester) filter.semester = semester
+
+    const skip = (Number.parseInt(page) - 1) * Number.parseInt(limit)
+
+    const invoices = await populateInvoice(Invoice.find(filter))
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number.parseInt(limit))
+
+    const total = await Invoice.countDocuments(filter)
+
+    res.json({
+      success: true,
+      data: {
+        invoices,
+        pagination: {
+          current: Number.parseInt(page),
+          pages: Math.ceil(total / Number.parseInt(limit)),
+          total,
+          limit: Number.parseInt(limit),
+        },
+      },
+    })
+  } catch (error) {
+    console.error("Fetch invoices error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch invoices",
+    })
+  }
+})
+
+// @route   GET /api/billing/invoices/:id
+// @desc    Get single invoice
+// @access  Private (Student for own invoice, staff with billing:read)
+router.get("/invoices/:id", authenticateToken, async (req, res) => {
+  try {
+    const invoice = await populateInvoice(Invoice.findById(req.params.id))
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Invoice not found",
+      })
+    }
+
+    if (!canView(req, invoice.student._id)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: { invoice },
+    })
+  } catch (error) {
+    console.error("Fetch invoice error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch invoice",
+    })
+  }
+})
+
+// @route   POST /api/billing/invoices
+// @desc    Issue an invoice against an application
+// @access  Private (Staff with billing:manage)
+router.post("/invoices", authenticateToken, requirePermission("billing:manage"), async (req, res) => {
+  try {
+    const { applicationId, items, dueDate, kind = "other" } = req.body
+
+    const application = await Application.findById(applicationId)
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: "Application not found",
+      })
+    }
+
+    const invoice = await issueInvoice({ application, kind, items, dueDate, by: req.user._id })
+
+    res.status(201).json({
+      success: true,
+      message: `Invoice ${invoice.number} issued successfully`,
+      data: { invoice },
+    })
+  } catch (error) {
+    console.error("Issue invoice error:", error)
+
+    if (error.name === "ValidationError") {
+      return validationErrorResponse(res, error)
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to issue invoice",
+    })
+  }
+})
+
+// @route   POST /api/billing/invoices/:id/void
+// @desc    Void an invoice, reversing its charge
+// @access  Private (Staff with billing:manage)
+router.post("/invoices/:id/void", authenticateToken, requirePermission("billing:manage"), async (req, res) => {
+  try {
+    const { reason } = req.body
+
+    if (!reason || reason.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason is required to void an invoice",
+      })
+    }
+
+    const invoice = await Invoice.findById(req.params.id)
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Invoice not found",
+      })
+    }
+
+    await voidInvoice(invoice, { reason, by: req.user._id })
+
+    res.json({
+      success: true,
+      message: `Invoice ${invoice.number} voided`,
+      data: { invoice },
+    })
+  } catch (error) {
+    console.error("Void invoice error:", error)
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Failed to void invoice",
+    })
+  }
+})
+
+// @route   GET /api/billing/applications/:applicationId/ledger
+// @desc    Get the ledger and balance of an application
+// @access  Private (Student for own application, staff with billing:read)
+router.get("/applications/:applicationId/ledger", authenticateToken, async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.applicationId)
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: "Application not found",
+      })
+    }
+
+    if (!canView(req, application.student)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      })
+    }
+
+    const entries = await LedgerEntry.find({ application: application._id })
+      .populate("invoice", "number kind dueDate status")
+      .populate("recordedBy", "name email")
+      .sort({ createdAt: 1 })
+
+    const summary = await summariseAccount(application._id)
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        account: { ...summary, paymentStatus: derivePaymentStatus(summary) },
+      },
+    })
+  } catch (error) {
+    console.error("Fetch ledger error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch ledger",
+    })
+  }
+})
+
+// @route   POST /api/billing/applications/:applicationId/ledger
+// @desc    Record a payment, refund or adjustment against an application
+// @access  Private (Staff with billing:manage)
+router.post(
+  "/applications/:applicationId/ledger",
+  authenticateToken,
+  requirePermission("billing:manage"),
+  async (req, res) => {
+    try {
+      const { type, amount, description, reference } = req.body
+
+      // Charges are only raised through invoices
+      if (!["payment", "refund", "adjustment"].includes(type)) {
+        return res.status(400).json({
+          success: false,
+          message: "Entry type must be payment, refund or adjustment",
+        })
+      }
+
+      const application = await Application.findById(req.params.applicationId)
+
+      if (!application) {
+        return res.status(404).json({
+          success: false,
+          message: "Application not found",
+        })
+      }
+
+      const { entry, account } = await recordLedgerEntry({
+        application,
+        type,
+        amount: Number(amount),
+        description,
+        reference,
+        by: req.user._id,
+      })
+
+      res.status(201).json({
+        success: true,
+        message: "Ledger entry recorded successfully",
+        data: { entry, account },
+      })
+    } catch (error) {
+      console.error("Record ledger entry error:", error)
+
+      if (error.name === "ValidationError") {
+        return validationErrorResponse(res, error)
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Failed to record ledger entry",
+      })
+    }
+  },
+)
+
+// @route   POST /api/billing/refresh-status
+// @desc    Refresh payment statuses so that unpaid invoices past their due date turn overdue
+// @access  Private (Staff with billing:manage)
+router.post("/refresh-status", authenticateToken, requirePermission("billing:manage"), async (req, res) => {
+  try {
+    const refreshed = await refreshOverduePayments()
+
+    res.json({
+      success: true,
+      message: `Refreshed ${refreshed} application(s)`,
+      data: { refreshed },
+    })
+  } catch (error) {
+    console.error("Refresh payment status error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to refresh payment statuses",
+    })
+  }
+})
+
+module.exports = router
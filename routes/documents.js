@@ -0,0 +1,305 @@
+const express = require("express")
+const Application = require("../models/Application")
+const { authenticateToken, requirePermission } = require("../middleware/auth")
+const { uploadDocument } = require("../middleware/upload")
+const { getStorage } = require("../services/storage")
+const { computePriority } = require("../services/priority")
+const { snapshot, recordAudit } = require("../services/audit")
+const { loadHostelScope, applicationFilter, matchesScope } = require("../services/hostelScope")
+
+// Mounted under /api/applications/:applicationId/documents
+const router = express.Router({ mergeParams: true })
+
+const CATEGORY_NAMES = {
+  admission_letter: "Admission letter",
+  medical_report: "Medical report",
+  payment_receipt: "Payment receipt",
+  scholarship_letter: "Scholarship letter",
+  other: "Supporting document",
+}
+
+// Whether the user is the application's student, or staff with the permission for the application's hostel
+const canAccessApplication = async (user, application, permission) => {
+  if (user.role === "student") return application.student.toString() === user._id.toString()
+  if (!user.can(permission)) return false
+
+  return matchesScope(Application, application._id, await applicationFilter(await loadHostelScope(user)))
+}
+
+// Load the application and make sure the user may use the permission on it
+const findApplicationForUser = async (req, res, permission) => {
+  const application = await Application.findById(req.params.applicationId)
+
+  if (!application) {
+    res.status(404).json({
+      success: false,
+      message: "Application not found",
+    })
+    return null
+  }
+
+  if (!(await canAccessApplication(req.user, application, permission))) {
+    res.status(403).json({
+      success: false,
+      message: "Access denied",
+    })
+    return null
+  }
+
+  return application
+}
+
+const findDocument = (application, req, res) => {
+  const document = application.documents.id(req.params.documentId)
+
+  if (!document) {
+    res.status(404).json({
+      success: false,
+      message: "Document not found",
+    })
+    return null
+  }
+
+  return document
+}
+
+// Check access before the file is read, so rejected uploads are never buffered
+const loadUploadTarget = async (req, res, next) => {
+  try {
+    const application = await findApplicationForUser(req, res, "applications:manage")
+    if (!application) return
+
+    if (req.user.role === "student" && ["rejected", "assigned"].includes(application.status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Documents can no longer be added to this application",
+      })
+    }
+
+    req.application = application
+    next()
+  } catch (error) {
+    console.error("Upload document error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to upload document",
+    })
+  }
+}
+
+// @route   POST /api/applications/:applicationId/documents
+// @desc    Upload a supporting document (multipart field "document", with an optional category and name)
+// @access  Private (Student for own application, staff with applications:manage)
+router.post("/", authenticateToken, loadUploadTarget, uploadDocument("document"), async (req, res) => {
+  const storage = getStorage()
+  let stored = null
+
+  try {
+    const { application } = req
+    const category = CATEGORY_NAMES[req.body.category] ? req.body.category : "other"
+
+    stored = await storage.save({ buffer: req.file.buffer, extension: req.file.extension })
+
+    const document = application.documents.create({
+      name: (req.body.name || CATEGORY_NAMES[category]).trim().slice(0, 100),
+      category,
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      size: stored.size,
+      storage: { driver: storage.name, key: stored.key },
+      uploadedBy: req.user._id,
+    })
+    document.url = `/api/applications/${application._id}/documents/${document._id}/download`
+
+    application.documents.push(document)
+    await application.save()
+
+    // Document-based priority rules may now match
+    await computePriority(application)
+
+    res.status(201).json({
+      success: true,
+      message: "Document uploaded successfully",
+      data: { document },
+    })
+  } catch (error) {
+    console.error("Upload document error:", error)
+
+    if (stored) {
+      await storage.remove(stored.key).catch(() => {})
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to upload document",
+    })
+  }
+})
+
+// @route   GET /api/applications/:applicationId/documents
+// @desc    List an application's documents
+// @access  Private (Student for own application, staff with applications:read)
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const application = await findApplicationForUser(req, res, "applications:read")
+    if (!application) return
+
+    res.json({
+      success: true,
+      data: { documents: application.documents },
+    })
+  } catch (error) {
+    console.error("Fetch documents error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch documents",
+    })
+  }
+})
+
+// @route   GET /api/applications/:applicationId/documents/:documentId/download
+// @desc    Download a document
+// @access  Private (Student for own application, staff with applications:read)
+router.get("/:documentId/download", authenticateToken, async (req, res) => {
+  try {
+    const application = await findApplicationForUser(req, res, "applications:read")
+    if (!application) return
+
+    const document = findDocument(application, req, res)
+    if (!document) return
+
+    if (!document.storage || !document.storage.key) {
+      return res.status(404).json({
+        success: false,
+        message: "This document has no stored file",
+      })
+    }
+
+    const stream = await getStorage(document.storage.driver).read(document.storage.key)
+
+    res.attachment(document.originalName)
+    res.setHeader("Content-Type", document.mimeType)
+    res.setHeader("Content-Length", document.size)
+    res.setHeader("X-Content-Type-Options", "nosniff")
+
+    stream.on("error", (error) => {
+      console.error("Stream document error:", error)
+      res.destroy(error)
+    })
+    stream.pipe(res)
+  } catch (error) {
+    console.error("Download document error:", error)
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Failed to download document",
+    })
+  }
+})
+
+// @route   PUT /api/applications/:applicationId/documents/:documentId/verify
+// @desc    Mark a document as verified or rejected
+// @access  Private (Staff with applications:review)
+router.put("/:documentId/verify", authenticateToken, requirePermission("applications:review"), async (req, res) => {
+  try {
+    const { status, comments } = req.body
+
+    if (!["pending", "verified", "rejected"].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Status must be pending, verified or rejected",
+      })
+    }
+
+    if (status === "rejected" && (!comments || comments.trim().length === 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason is required to reject a document",
+      })
+    }
+
+    const application = await findApplicationForUser(req, res, "applications:review")
+    if (!application) return
+
+    const document = findDocument(application, req, res)
+    if (!document) return
+
+    const before = snapshot(document)
+
+    document.verification = {
+      status,
+      by: status === "pending" ? null : req.user._id,
+      at: status === "pending" ? null : new Date(),
+      comments,
+    }
+    await application.save()
+
+    await recordAudit(req, {
+      action: "application.verify_document",
+      entityType: "Application",
+      entityId: application._id,
+      before,
+      after: snapshot(document),
+      metadata: { document: document._id },
+    })
+
+    await computePriority(application)
+
+    res.json({
+      success: true,
+      message: `Document marked as ${status}`,
+      data: { document },
+    })
+  } catch (error) {
+    console.error("Verify document error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to update document verification",
+    })
+  }
+})
+
+// @route   DELETE /api/applications/:applicationId/documents/:documentId
+// @desc    Delete a document (students can only delete documents that have not been verified)
+// @access  Private (Student for own application, staff with applications:manage)
+router.delete("/:documentId", authenticateToken, async (req, res) => {
+  try {
+    const application = await findApplicationForUser(req, res, "applications:manage")
+    if (!application) return
+
+    const document = findDocument(application, req, res)
+    if (!document) return
+
+    if (req.user.role === "student" && document.verification.status === "verified") {
+      return res.status(400).json({
+        success: false,
+        message: "Verified documents cannot be deleted",
+      })
+    }
+
+    const { driver, key } = document.storage || {}
+
+    document.deleteOne()
+    await application.save()
+
+    if (key) {
+      await getStorage(driver)
+        .remove(key)
+        .catch((error) => console.error("Remove stored document error:", error))
+    }
+
+    await computePriority(application)
+
+    res.json({
+      success: true,
+      message: "Document deleted successfully",
+    })
+  } catch (error) {
+    console.error("Delete document error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete document",
+    })
+  }
+})
+
+module.exports = router
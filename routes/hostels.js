@@ -1,7 +1,8 @@
 const express = require("express")
 const Hostel = require("../models/Hostel")
 const Room = require("../models/Room")
-const { authenticateToken, requireAdmin } = require("../middleware/auth")
+const { authenticateToken, requirePermission } = require("../middleware/auth")
+const { snapshot, recordAudit } = require("../services/audit")
 
 const router = express.Router()
 
@@ -24,7 +25,7 @@ router.get("/", authenticateToken, async (req, res) => {
         const rooms = await Room.find({ hostel: hostel._id })
         const totalBeds = rooms.reduce((sum, room) => sum + room.capacity, 0)
         const occupiedBeds = rooms.reduce((sum, room) => sum + room.occupiedBeds, 0)
-        const availableBeds = totalBeds - occupiedBeds
+        const availableBeds = rooms.reduce((sum, room) => sum + room.availableBeds, 0)
         const occupancyRate = totalBeds > 0 ? (occupiedBeds / totalBeds) * 100 : 0
 
         return {
@@ -73,13 +74,13 @@ router.get("/:id", authenticateToken, async (req, res) => {
 
     // Get rooms for this hostel
     const rooms = await Room.find({ hostel: hostel._id })
-      .populate("occupants.student", "name matricNumber email")
+      .populate("beds.occupant", "name matricNumber email")
       .sort({ number: 1 })
 
     // Calculate statistics
     const totalBeds = rooms.reduce((sum, room) => sum + room.capacity, 0)
     const occupiedBeds = rooms.reduce((sum, room) => sum + room.occupiedBeds, 0)
-    const availableBeds = totalBeds - occupiedBeds
+    const availableBeds = rooms.reduce((sum, room) => sum + room.availableBeds, 0)
     const occupancyRate = totalBeds > 0 ? (occupiedBeds / totalBeds) * 100 : 0
 
     res.json({
@@ -108,12 +109,19 @@ router.get("/:id", authenticateToken, async (req, res) => {
 
 // @route   POST /api/hostels
 // @desc    Create new hostel
-// @access  Private (Admin only)
-router.post("/", authenticateToken, requireAdmin, async (req, res) => {
+// @access  Private (Staff with hostels:manage)
+router.post("/", authenticateToken, requirePermission("hostels:manage"), async (req, res) => {
   try {
     const hostel = new Hostel(req.body)
     await hostel.save()
 
+    await recordAudit(req, {
+      action: "hostel.create",
+      entityType: "Hostel",
+      entityId: hostel._id,
+      after: snapshot(hostel),
+    })
+
     res.status(201).json({
       success: true,
       message: "Hostel created successfully",
@@ -147,9 +155,10 @@ router.post("/", authenticateToken, requireAdmin, async (req, res) => {
 
 // @route   PUT /api/hostels/:id
 // @desc    Update hostel
-// @access  Private (Admin only)
-router.put("/:id", authenticateToken, requireAdmin, async (req, res) => {
+// @access  Private (Staff with hostels:manage)
+router.put("/:id", authenticateToken, requirePermission("hostels:manage"), async (req, res) => {
   try {
+    const before = snapshot(await Hostel.findById(req.params.id))
     const hostel = await Hostel.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true })
 
     if (!hostel) {
@@ -159,6 +168,14 @@ router.put("/:id", authenticateToken, requireAdmin, async (req, res) => {
       })
     }
 
+    await recordAudit(req, {
+      action: "hostel.update",
+      entityType: "Hostel",
+      entityId: hostel._id,
+      before,
+      after: snapshot(hostel),
+    })
+
     res.json({
       success: true,
       message: "Hostel updated successfully",
@@ -185,8 +202,8 @@ router.put("/:id", authenticateToken, requireAdmin, async (req, res) => {
 
 // @route   DELETE /api/hostels/:id
 // @desc    Delete hostel
-// @access  Private (Admin only)
-router.delete("/:id", authenticateToken, requireAdmin, async (req, res) => {
+// @access  Private (Staff with hostels:manage)
+router.delete("/:id", authenticateToken, requirePermission("hostels:manage"), async (req, res) => {
   try {
     const hostel = await Hostel.findById(req.params.id)
 
@@ -211,11 +228,19 @@ router.delete("/:id", authenticateToken, requireAdmin, async (req, res) => {
     }
 
     // Delete all rooms in this hostel first
-    await Room.deleteMany({ hostel: hostel._id })
+    const deletedRooms = await Room.deleteMany({ hostel: hostel._id })
 
     // Delete the hostel
     await Hostel.findByIdAndDelete(req.params.id)
 
+    await recordAudit(req, {
+      action: "hostel.delete",
+      entityType: "Hostel",
+      entityId: hostel._id,
+      before: snapshot(hostel),
+      metadata: { roomsDeleted: deletedRooms.deletedCount },
+    })
+
     res.json({
       success: true,
       message: "Hostel deleted successfully",
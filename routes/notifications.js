@@ -0,0 +1,126 @@
+const express = require("express")
+const Notification = require("../models/Notification")
+const { authenticateToken } = require("../middleware/auth")
+
+const router = express.Router()
+
+// @route   GET /api/notifications
+// @desc    Get the current user's notifications, newest first
+// @access  Private
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const { unread, type, page = 1, limit = 20 } = req.query
+
+    const filter = { user: req.user._id }
+
+    if (unread === "true") filter.readAt = null
+    if (type) filter.type = type
+
+    const skip = (Number.parseInt(page) - 1) * Number.parseInt(limit)
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter).sort({ createdAt: -1 }).skip(skip).limit(Number.parseInt(limit)),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ user: req.user._id, readAt: null }),
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          current: Number.parseInt(page),
+          pages: Math.ceil(total / Number.parseInt(limit)),
+          total,
+          limit: Number.parseInt(limit),
+        },
+      },
+    })
+  } catch (error) {
+    console.error("Fetch notifications error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch notifications",
+    })
+  }
+})
+
+// @route   GET /api/notifications/unread-count
+// @desc    Get the number of unread notifications
+// @access  Private
+router.get("/unread-count", authenticateToken, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ user: req.user._id, readAt: null })
+
+    res.json({
+      success: true,
+      data: { unreadCount },
+    })
+  } catch (error) {
+    console.error("Fetch unread count error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch unread count",
+    })
+  }
+})
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all of the current user's notifications as read
+// @access  Private
+router.put("/read-all", authenticateToken, async (req, res) => {
+  try {
+    const result = await Notification.updateMany({ user: req.user._id, readAt: null }, { readAt: new Date() })
+
+    res.json({
+      success: true,
+      message: `Marked ${result.modifiedCount} notification(s) as read`,
+      data: { modified: result.modifiedCount, unreadCount: 0 },
+    })
+  } catch (error) {
+    console.error("Mark all notifications read error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to mark notifications as read",
+    })
+  }
+})
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put("/:id/read", authenticateToken, async (req, res) => {
+  try {
+    // Only the owner's notifications match, so other users' entries look like they do not exist
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id })
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification not found",
+      })
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date()
+      await notification.save()
+    }
+
+    const unreadCount = await Notification.countDocuments({ user: req.user._id, readAt: null })
+
+    res.json({
+      success: true,
+      message: "Notification marked as read",
+      data: { notification, unreadCount },
+    })
+  } catch (error) {
+    console.error("Mark notification read error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to mark notification as read",
+    })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,341 @@
+const express = require("express")
+const Occupancy = require("../models/Occupancy")
+const { authenticateToken, requirePermission, requireStudentOrPermission } = require("../middleware/auth")
+const {
+  CHECKIN_GRACE_DAYS,
+  checkIn,
+  checkOut,
+  releaseOccupancy,
+  overdueFilter,
+  releaseOverdue,
+  waiveHold,
+  expireHolds,
+} = require("../services/occupancy")
+const { roomFilter, matchesScope } = require("../services/hostelScope")
+
+const router = express.Router()
+
+const populateOccupancy = (query) =>
+  query
+    .populate("student", "name matricNumber email phoneNumber gender")
+    .populate("room", "number hostelName type")
+    .populate("checkIn.by", "name email")
+    .populate("checkOut.by", "name email")
+
+// Grace period from the query string, falling back to the configured default
+const parseGraceDays = (value) => {
+  const graceDays = Number.parseInt(value)
+  return Number.isNaN(graceDays) || graceDays < 0 ? CHECKIN_GRACE_DAYS : graceDays
+}
+
+// Load an occupancy in one of the hostels the member of staff manages
+const findOccupancy = async (req, res) => {
+  const occupancy = await Occupancy.findById(req.params.id)
+
+  if (!occupancy) {
+    res.status(404).json({
+      success: false,
+      message: "Occupancy not found",
+    })
+    return null
+  }
+
+  if (!(await matchesScope(Occupancy, occupancy._id, await roomFilter(req.hostelScope)))) {
+    res.status(403).json({
+      success: false,
+      message: "This occupancy is in a hostel you do not manage",
+    })
+    return null
+  }
+
+  return occupancy
+}
+
+// @route   GET /api/occupancies
+// @desc    Get occupancies (staff, in their hostels) or the student's own occupancies
+// @access  Private (Students, staff with occupancies:read)
+router.get("/", authenticateToken, requireStudentOrPermission("occupancies:read"), async (req, res) => {
+  try {
+    const { status, holdStatus, room, student, page = 1, limit = 20 } = req.query
+
+    const filter = {}
+
+    if (req.user.role === "student") {
+      filter.student = req.user._id
+    } else {
+      if (student) filter.student = student
+      if (req.hostelScope) filter.$and = [await roomFilter(req.hostelScope)]
+    }
+
+    if (status) filter.status = status
+    if (holdStatus) filter["hold.status"] = holdStatus
+    if (room) filter.room = room
+
+    const skip = (Number.parseInt(page) - 1) * Number.parseInt(limit)
+
+    const occupancies = await populateOccupancy(Occupancy.find(filter))
+      .sort({ assignedAt: -1 })
+      .skip(skip)
+      .limit(Number.parseInt(limit))
+
+    const total = await Occupancy.countDocuments(filter)
+
+    res.json({
+      success: true,
+      data: {
+        occupancies,
+        pagination: {
+          current: Number.parseInt(page),
+          pages: Math.ceil(total / Number.parseInt(limit)),
+          total,
+          limit: Number.parseInt(limit),
+        },
+      },
+    })
+  } catch (error) {
+    console.error("Fetch occupancies error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch occupancies",
+    })
+  }
+})
+
+// @route   GET /api/occupancies/overdue
+// @desc    Get students assigned a bed who have not checked in within the grace period
+// @access  Private (Staff with occupancies:read)
+router.get("/overdue", authenticateToken, requirePermission("occupancies:read"), async (req, res) => {
+  try {
+    const graceDays = parseGraceDays(req.query.graceDays)
+
+    const filter = { ...overdueFilter(graceDays), ...(await roomFilter(req.hostelScope)) }
+    const occupancies = await populateOccupancy(Occupancy.find(filter)).sort({ assignedAt: 1 })
+
+    res.json({
+      success: true,
+      data: {
+        graceDays,
+        count: occupancies.length,
+        occupancies,
+      },
+    })
+  } catch (error) {
+    console.error("Fetch overdue check-ins error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch overdue check-ins",
+    })
+  }
+})
+
+// @route   POST /api/occupancies/overdue/release
+// @desc    Release the beds of every student who has not checked in within the grace period
+// @access  Private (Staff with occupancies:manage)
+router.post("/overdue/release", authenticateToken, requirePermission("occupancies:manage"), async (req, res) => {
+  try {
+    const graceDays = parseGraceDays(req.body.graceDays)
+
+    const { released, failed } = await releaseOverdue(req.user._id, graceDays, await roomFilter(req.hostelScope))
+
+    res.json({
+      success: true,
+      message: `Released ${released.length} bed(s)`,
+      data: { graceDays, released, failed },
+    })
+  } catch (error) {
+    console.error("Release overdue check-ins error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to release overdue beds",
+    })
+  }
+})
+
+// @route   POST /api/occupancies/holds/expire
+// @desc    Release beds whose provisional hold has expired, without waiting for the background job
+// @access  Private (Staff with occupancies:manage)
+router.post("/holds/expire", authenticateToken, requirePermission("occupancies:manage"), async (req, res) => {
+  try {
+    const expired = await expireHolds(await roomFilter(req.hostelScope))
+
+    res.json({
+      success: true,
+      message: `Released ${expired.length} bed(s) with expired holds`,
+      data: { expired },
+    })
+  } catch (error) {
+    console.error("Expire holds error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to expire holds",
+    })
+  }
+})
+
+// @route   GET /api/occupancies/:id
+// @desc    Get single occupancy
+// @access  Private (Student for own occupancy, staff with occupancies:read in their hostels)
+router.get("/:id", authenticateToken, requireStudentOrPermission("occupancies:read"), async (req, res) => {
+  try {
+    const occupancy = await populateOccupancy(Occupancy.findById(req.params.id))
+
+    if (!occupancy) {
+      return res.status(404).json({
+        success: false,
+        message: "Occupancy not found",
+      })
+    }
+
+    if (req.user.role === "student" && occupancy.student._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      })
+    }
+
+    if (!(await matchesScope(Occupancy, occupancy._id, await roomFilter(req.hostelScope)))) {
+      return res.status(403).json({
+        success: false,
+        message: "This occupancy is in a hostel you do not manage",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: { occupancy },
+    })
+  } catch (error) {
+    console.error("Fetch occupancy error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch occupancy",
+    })
+  }
+})
+
+// @route   POST /api/occupancies/:id/check-in
+// @desc    Check a student in, recording the key issued and room condition acknowledged
+// @access  Private (Staff with occupancies:check_in)
+router.post("/:id/check-in", authenticateToken, requirePermission("occupancies:check_in"), async (req, res) => {
+  try {
+    const occupancy = await findOccupancy(req, res)
+    if (!occupancy) return
+
+    await checkIn(occupancy, req.body, req.user._id)
+
+    res.json({
+      success: true,
+      message: "Student checked in successfully",
+      data: { occupancy: await populateOccupancy(Occupancy.findById(occupancy._id)) },
+    })
+  } catch (error) {
+    console.error("Check-in error:", error)
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors,
+      })
+    }
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Failed to check student in",
+    })
+  }
+})
+
+// @route   POST /api/occupancies/:id/waive-hold
+// @desc    Confirm a provisional bed hold without payment
+// @access  Private (Staff with occupancies:manage)
+router.post("/:id/waive-hold", authenticateToken, requirePermission("occupancies:manage"), async (req, res) => {
+  try {
+    const { reason } = req.body
+
+    if (!reason || reason.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason is required to waive payment",
+      })
+    }
+
+    const occupancy = await findOccupancy(req, res)
+    if (!occupancy) return
+
+    await waiveHold(occupancy, { reason, by: req.user._id })
+
+    res.json({
+      success: true,
+      message: "Hold confirmed without payment",
+      data: { occupancy: await populateOccupancy(Occupancy.findById(occupancy._id)) },
+    })
+  } catch (error) {
+    console.error("Waive hold error:", error)
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Failed to waive hold",
+    })
+  }
+})
+
+// @route   POST /api/occupancies/:id/check-out
+// @desc    Check a student out, recording clearance, key return and damages, and free the bed
+// @access  Private (Staff with occupancies:check_in)
+router.post("/:id/check-out", authenticateToken, requirePermission("occupancies:check_in"), async (req, res) => {
+  try {
+    const occupancy = await findOccupancy(req, res)
+    if (!occupancy) return
+
+    await checkOut(occupancy, req.body, req.user._id)
+
+    res.json({
+      success: true,
+      message: "Student checked out successfully",
+      data: { occupancy: await populateOccupancy(Occupancy.findById(occupancy._id)) },
+    })
+  } catch (error) {
+    console.error("Check-out error:", error)
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors,
+      })
+    }
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Failed to check student out",
+    })
+  }
+})
+
+// @route   POST /api/occupancies/:id/release
+// @desc    Release the bed of a student who has not checked in
+// @access  Private (Staff with occupancies:manage)
+router.post("/:id/release", authenticateToken, requirePermission("occupancies:manage"), async (req, res) => {
+  try {
+    const occupancy = await findOccupancy(req, res)
+    if (!occupancy) return
+
+    await releaseOccupancy(occupancy, req.user._id, req.body.reason)
+
+    res.json({
+      success: true,
+      message: "Bed released successfully",
+      data: { occupancy: await populateOccupancy(Occupancy.findById(occupancy._id)) },
+    })
+  } catch (error) {
+    console.error("Release occupancy error:", error)
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Failed to release bed",
+    })
+  }
+})
+
+module.exports = router
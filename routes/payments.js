@@ -0,0 +1,154 @@
+const express = require("express")
+const Invoice = require("../models/Invoice")
+const Payment = require("../models/Payment")
+const { authenticateToken, requireStudent, requireStudentOrPermission } = require("../middleware/auth")
+const { initializePayment, handleWebhook } = require("../services/payments")
+
+const router = express.Router()
+
+// @route   POST /api/payments/initialize
+// @desc    Start a gateway payment for the outstanding amount on an invoice
+// @access  Private (Student only)
+router.post("/initialize", authenticateToken, requireStudent, async (req, res) => {
+  try {
+    const { invoiceId, callbackUrl } = req.body
+
+    const invoice = invoiceId ? await Invoice.findById(invoiceId) : null
+
+    if (!invoice || invoice.student.toString() !== req.user._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: "Invoice not found",
+      })
+    }
+
+    const payment = await initializePayment({ invoice, student: req.user, callbackUrl })
+
+    res.status(201).json({
+      success: true,
+      message: "Payment initialised. Complete it at the authorization URL",
+      data: {
+        payment,
+        reference: payment.reference,
+        authorizationUrl: payment.authorizationUrl,
+      },
+    })
+  } catch (error) {
+    console.error("Initialise payment error:", error)
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Failed to initialise payment",
+    })
+  }
+})
+
+// @route   POST /api/payments/webhook
+// @desc    Receive payment callbacks from the gateway
+// @access  Public (verified by the gateway signature)
+router.post("/webhook", async (req, res) => {
+  try {
+    const { outcome } = await handleWebhook({ rawBody: req.rawBody, headers: req.headers, body: req.body })
+
+    res.json({
+      success: true,
+      data: { outcome },
+    })
+  } catch (error) {
+    console.error("Payment webhook error:", error)
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Failed to process payment callback",
+    })
+  }
+})
+
+// @route   GET /api/payments
+// @desc    Get payments (staff) or the student's own payments
+// @access  Private (Students, staff with payments:read)
+router.get("/", authenticateToken, requireStudentOrPermission("payments:read"), async (req, res) => {
+  try {
+    const { student, invoice, status, page = 1, limit = 20 } = req.query
+
+    const filter = {}
+
+    if (req.user.role === "student") {
+      filter.student = req.user._id
+    } else if (student) {
+      filter.student = student
+    }
+
+    if (invoice) filter.invoice = invoice
+    if (status) filter.status = status
+
+    const skip = (Number.parseInt(page) - 1) * Number.parseInt(limit)
+
+    const payments = await Payment.find(filter)
+      .select("-events")
+      .populate("student", "name matricNumber email")
+      .populate("invoice", "number kind total dueDate")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number.parseInt(limit))
+
+    const total = await Payment.countDocuments(filter)
+
+    res.json({
+      success: true,
+      data: {
+        payments,
+        pagination: {
+          current: Number.parseInt(page),
+          pages: Math.ceil(total / Number.parseInt(limit)),
+          total,
+          limit: Number.parseInt(limit),
+        },
+      },
+    })
+  } catch (error) {
+    console.error("Fetch payments error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch payments",
+    })
+  }
+})
+
+// @route   GET /api/payments/:reference
+// @desc    Get a payment by its reference
+// @access  Private (Student for own payment, staff with payments:read)
+router.get("/:reference", authenticateToken, async (req, res) => {
+  try {
+    const payment = await Payment.findOne({ reference: req.params.reference })
+      .populate("student", "name matricNumber email")
+      .populate("invoice", "number kind total dueDate")
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: "Payment not found",
+      })
+    }
+
+    const isOwnPayment = payment.student._id.toString() === req.user._id.toString()
+
+    if (req.user.role === "student" ? !isOwnPayment : !req.user.can("payments:read")) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: { payment },
+    })
+  } catch (error) {
+    console.error("Fetch payment error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch payment",
+    })
+  }
+})
+
+module.exports = router
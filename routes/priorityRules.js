@@ -0,0 +1,173 @@
+const express = require("express")
+const PriorityRule = require("../models/PriorityRule")
+const { authenticateToken, requirePermission } = require("../middleware/auth")
+const { rescoreApplications } = require("../services/priority")
+
+const router = express.Router()
+
+// @route   GET /api/priority-rules
+// @desc    Get all priority rules
+// @access  Private (Staff with priority_rules:read)
+router.get("/", authenticateToken, requirePermission("priority_rules:read"), async (req, res) => {
+  try {
+    const rules = await PriorityRule.find().sort({ points: -1, name: 1 })
+
+    res.json({
+      success: true,
+      data: {
+        rules,
+        count: rules.length,
+      },
+    })
+  } catch (error) {
+    console.error("Fetch priority rules error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch priority rules",
+    })
+  }
+})
+
+// @route   POST /api/priority-rules
+// @desc    Create priority rule
+// @access  Private (Staff with priority_rules:manage)
+router.post("/", authenticateToken, requirePermission("priority_rules:manage"), async (req, res) => {
+  try {
+    const rule = new PriorityRule(req.body)
+    await rule.save()
+
+    res.status(201).json({
+      success: true,
+      message: "Priority rule created successfully",
+      data: { rule },
+    })
+  } catch (error) {
+    console.error("Create priority rule error:", error)
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors,
+      })
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "A priority rule with this name already exists",
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to create priority rule",
+    })
+  }
+})
+
+// @route   PUT /api/priority-rules/:id
+// @desc    Update priority rule
+// @access  Private (Staff with priority_rules:manage)
+router.put("/:id", authenticateToken, requirePermission("priority_rules:manage"), async (req, res) => {
+  try {
+    const rule = await PriorityRule.findById(req.params.id)
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Priority rule not found",
+      })
+    }
+
+    rule.set(req.body)
+    await rule.save()
+
+    res.json({
+      success: true,
+      message: "Priority rule updated successfully. Re-score applications to apply it",
+      data: { rule },
+    })
+  } catch (error) {
+    console.error("Update priority rule error:", error)
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors,
+      })
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "A priority rule with this name already exists",
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to update priority rule",
+    })
+  }
+})
+
+// @route   DELETE /api/priority-rules/:id
+// @desc    Delete priority rule
+// @access  Private (Staff with priority_rules:manage)
+router.delete("/:id", authenticateToken, requirePermission("priority_rules:manage"), async (req, res) => {
+  try {
+    const rule = await PriorityRule.findByIdAndDelete(req.params.id)
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Priority rule not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      message: "Priority rule deleted successfully",
+    })
+  } catch (error) {
+    console.error("Delete priority rule error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete priority rule",
+    })
+  }
+})
+
+// @route   POST /api/priority-rules/rescore
+// @desc    Re-score existing applications with the current rules
+// @access  Private (Staff with priority_rules:manage)
+router.post("/rescore", authenticateToken, requirePermission("priority_rules:manage"), async (req, res) => {
+  try {
+    const { academicYear, semester, status } = req.body
+
+    const filter = {}
+    if (academicYear) filter.academicYear = academicYear
+    if (semester) filter.semester = semester
+    if (status) filter.status = status
+
+    const count = await rescoreApplications(filter)
+
+    res.json({
+      success: true,
+      message: `${count} application(s) re-scored`,
+      data: { count, filters: filter },
+    })
+  } catch (error) {
+    console.error("Rescore applications error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to re-score applications",
+    })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,443 @@
+const express = require("express")
+const RoomChangeRequest = require("../models/RoomChangeRequest")
+const User = require("../models/User")
+const Room = require("../models/Room")
+const {
+  authenticateToken,
+  requirePermission,
+  requireStudent,
+  requireStudentOrPermission,
+} = require("../middleware/auth")
+const { moveStudent, swapStudents } = require("../services/roomAssignment")
+const { hostelFilter, roomFilter, matchesScope } = require("../services/hostelScope")
+
+const router = express.Router()
+
+const populateRequest = (query) =>
+  query
+    .populate("student", "name matricNumber email gender")
+    .populate("swapWith", "name matricNumber email gender")
+    .populate("currentRoom", "number hostelName type")
+    .populate("swapWithRoom", "number hostelName type")
+    .populate("targetRoom", "number hostelName type")
+    .populate("targetHostel", "name")
+    .populate("newRoom", "number hostelName type")
+    .populate("reviewedBy", "name email")
+
+// Whether a room is in one of the hostels the reviewer manages
+const roomInScope = (req, roomId) => matchesScope(Room, roomId, hostelFilter(req.hostelScope))
+
+// @route   POST /api/room-changes
+// @desc    Request a move to another room, or a swap with another student
+// @access  Private (Student only)
+router.post("/", authenticateToken, requireStudent, async (req, res) => {
+  try {
+    const { type, targetRoom, targetHostel, targetRoomType, swapWithMatricNumber, reason } = req.body
+
+    if (!req.user.roomAssigned) {
+      return res.status(400).json({
+        success: false,
+        message: "You must be assigned to a room to request a change",
+      })
+    }
+
+    const openRequest = await RoomChangeRequest.findOne({
+      student: req.user._id,
+      status: { $in: RoomChangeRequest.OPEN_STATUSES },
+    })
+
+    if (openRequest) {
+      return res.status(400).json({
+        success: false,
+        message: "You already have an open room change request",
+      })
+    }
+
+    const requestData = {
+      student: req.user._id,
+      type,
+      currentRoom: req.user.roomAssigned,
+      reason,
+    }
+
+    if (type === "swap") {
+      const other = swapWithMatricNumber
+        ? await User.findOne({ matricNumber: String(swapWithMatricNumber).toUpperCase(), role: "student" })
+        : null
+
+      if (!other || !other.roomAssigned) {
+        return res.status(400).json({
+          success: false,
+          message: "The student to swap with was not found or has no room",
+        })
+      }
+
+      if (other._id.toString() === req.user._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: "You cannot swap with yourself",
+        })
+      }
+
+      if (other.gender !== req.user.gender) {
+        return res.status(400).json({
+          success: false,
+          message: "You can only swap with a student of the same gender",
+        })
+      }
+
+      requestData.swapWith = other._id
+      requestData.swapWithRoom = other.roomAssigned
+      requestData.status = "awaiting_counterparty"
+    } else {
+      if (targetRoom) {
+        const room = await Room.findById(targetRoom)
+        if (!room || room.gender !== req.user.gender) {
+          return res.status(400).json({
+            success: false,
+            message: "Target room not found or not available for your gender",
+          })
+        }
+      }
+
+      Object.assign(requestData, { targetRoom, targetHostel, targetRoomType })
+    }
+
+    const request = new RoomChangeRequest(requestData)
+    request.history.push({ status: request.status, by: req.user._id, note: "Request submitted" })
+    await request.save()
+
+    res.status(201).json({
+      success: true,
+      message:
+        request.status === "awaiting_counterparty"
+          ? "Swap request sent. The other student must accept it before review"
+          : "Room change request submitted successfully",
+      data: { request: await populateRequest(RoomChangeRequest.findById(request._id)) },
+    })
+  } catch (error) {
+    console.error("Create room change request error:", error)
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors,
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to submit room change request",
+    })
+  }
+})
+
+// @route   GET /api/room-changes
+// @desc    Get room change requests (staff, from rooms in their hostels) or the student's own and incoming swap
+//          requests
+// @access  Private (Students, staff with room_changes:review)
+router.get("/", authenticateToken, requireStudentOrPermission("room_changes:review"), async (req, res) => {
+  try {
+    const { status, type, student, page = 1, limit = 20 } = req.query
+
+    const filter = {}
+
+    if (req.user.role === "student") {
+      filter.$or = [{ student: req.user._id }, { swapWith: req.user._id }]
+    } else {
+      if (student) filter.$or = [{ student }, { swapWith: student }]
+      Object.assign(filter, await roomFilter(req.hostelScope, "currentRoom"))
+    }
+
+    if (status) filter.status = status
+    if (type) filter.type = type
+
+    const skip = (Number.parseInt(page) - 1) * Number.parseInt(limit)
+
+    const requests = await populateRequest(RoomChangeRequest.find(filter))
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number.parseInt(limit))
+
+    const total = await RoomChangeRequest.countDocuments(filter)
+
+    res.json({
+      success: true,
+      data: {
+        requests,
+        pagination: {
+          current: Number.parseInt(page),
+          pages: Math.ceil(total / Number.parseInt(limit)),
+          total,
+          limit: Number.parseInt(limit),
+        },
+      },
+    })
+  } catch (error) {
+    console.error("Fetch room change requests error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch room change requests",
+    })
+  }
+})
+
+// @route   POST /api/room-changes/:id/respond
+// @desc    Accept or decline a swap request addressed to the current student
+// @access  Private (Student only)
+router.post("/:id/respond", authenticateToken, requireStudent, async (req, res) => {
+  try {
+    const { accept } = req.body
+
+    const request = await RoomChangeRequest.findById(req.params.id)
+
+    if (!request || !request.swapWith || request.swapWith.toString() !== req.user._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: "Swap request not found",
+      })
+    }
+
+    if (request.status !== "awaiting_counterparty") {
+      return res.status(400).json({
+        success: false,
+        message: "This swap request is no longer awaiting your response",
+      })
+    }
+
+    const accepted = accept === true || accept === "true"
+    await request.transition(
+      accepted ? "pending" : "declined",
+      req.user._id,
+      accepted ? "Swap accepted by the other student" : "Swap declined by the other student",
+    )
+
+    res.json({
+      success: true,
+      message: accepted ? "Swap accepted and sent for admin approval" : "Swap declined",
+      data: { request: await populateRequest(RoomChangeRequest.findById(request._id)) },
+    })
+  } catch (error) {
+    console.error("Respond to swap request error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to respond to swap request",
+    })
+  }
+})
+
+// @route   POST /api/room-changes/:id/cancel
+// @desc    Cancel an open room change request
+// @access  Private (Student only)
+router.post("/:id/cancel", authenticateToken, requireStudent, async (req, res) => {
+  try {
+    const request = await RoomChangeRequest.findById(req.params.id)
+
+    if (!request || request.student.toString() !== req.user._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: "Room change request not found",
+      })
+    }
+
+    if (!request.isOpen) {
+      return res.status(400).json({
+        success: false,
+        message: "Only open requests can be cancelled",
+      })
+    }
+
+    await request.transition("cancelled", req.user._id, "Cancelled by student")
+
+    res.json({
+      success: true,
+      message: "Room change request cancelled",
+      data: { request },
+    })
+  } catch (error) {
+    console.error("Cancel room change request error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel room change request",
+    })
+  }
+})
+
+// @route   POST /api/room-changes/:id/approve
+// @desc    Approve a room change request and carry out the move or swap
+// @access  Private (Staff with room_changes:review)
+router.post("/:id/approve", authenticateToken, requirePermission("room_changes:review"), async (req, res) => {
+  try {
+    const { roomId, comments } = req.body
+
+    const request = await RoomChangeRequest.findById(req.params.id)
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: "Room change request not found",
+      })
+    }
+
+    if (request.status !== "pending") {
+      return res.status(400).json({
+        success: false,
+        message: "Only pending requests can be approved",
+      })
+    }
+
+    if (!(await roomInScope(req, request.currentRoom))) {
+      return res.status(403).json({
+        success: false,
+        message: "This request is for a room in a hostel you do not manage",
+      })
+    }
+
+    const student = await User.findById(request.student)
+
+    if (!student || !student.roomAssigned || student.roomAssigned.toString() !== request.currentRoom.toString()) {
+      return res.status(409).json({
+        success: false,
+        message: "The student's room has changed since the request was made",
+      })
+    }
+
+    let newRoomId
+
+    if (request.type === "swap") {
+      if (!(await roomInScope(req, request.swapWithRoom))) {
+        return res.status(403).json({
+          success: false,
+          message: "The other student's room is in a hostel you do not manage",
+        })
+      }
+
+      const other = await User.findById(request.swapWith)
+
+      if (!other || !other.roomAssigned || other.roomAssigned.toString() !== request.swapWithRoom.toString()) {
+        return res.status(409).json({
+          success: false,
+          message: "The other student's room has changed since the request was made",
+        })
+      }
+
+      await swapStudents({
+        studentId: request.student,
+        otherStudentId: request.swapWith,
+        otherRoomId: request.swapWithRoom,
+        by: req.user._id,
+      })
+      newRoomId = request.swapWithRoom
+    } else {
+      // An admin-chosen room wins, then the requested room, then any free room matching the request
+      newRoomId = roomId || request.targetRoom
+
+      if (!newRoomId) {
+        const filter = {
+          gender: student.gender,
+          isActive: true,
+          _id: { $ne: request.currentRoom },
+          availableBeds: { $gt: 0 },
+        }
+        if (request.targetHostel) filter.hostel = request.targetHostel
+        if (request.targetRoomType) filter.type = request.targetRoomType
+        if (req.hostelScope) filter.$and = [hostelFilter(req.hostelScope)]
+
+        const room = await Room.findOne(filter).sort({ hostelName: 1, number: 1 })
+        if (!room) {
+          return res.status(400).json({
+            success: false,
+            message: "No available room matches this request",
+          })
+        }
+        newRoomId = room._id
+      } else if (!(await roomInScope(req, newRoomId))) {
+        return res.status(403).json({
+          success: false,
+          message: "The new room is in a hostel you do not manage",
+        })
+      }
+
+      await moveStudent({ studentId: request.student, toRoomId: newRoomId, by: req.user._id })
+    }
+
+    request.reviewedBy = req.user._id
+    request.reviewedAt = new Date()
+    request.reviewComments = comments
+    request.newRoom = newRoomId
+    request.completedAt = new Date()
+    await request.transition("approved", req.user._id, comments || "Approved and carried out")
+
+    res.json({
+      success: true,
+      message: request.type === "swap" ? "Rooms swapped successfully" : "Student moved successfully",
+      data: { request: await populateRequest(RoomChangeRequest.findById(request._id)) },
+    })
+  } catch (error) {
+    console.error("Approve room change request error:", error)
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Failed to approve room change request",
+    })
+  }
+})
+
+// @route   POST /api/room-changes/:id/reject
+// @desc    Reject a room change request
+// @access  Private (Staff with room_changes:review)
+router.post("/:id/reject", authenticateToken, requirePermission("room_changes:review"), async (req, res) => {
+  try {
+    const { comments } = req.body
+
+    if (!comments || comments.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Rejection reason is required",
+      })
+    }
+
+    const request = await RoomChangeRequest.findById(req.params.id)
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: "Room change request not found",
+      })
+    }
+
+    if (!request.isOpen) {
+      return res.status(400).json({
+        success: false,
+        message: "Only open requests can be rejected",
+      })
+    }
+
+    if (!(await roomInScope(req, request.currentRoom))) {
+      return res.status(403).json({
+        success: false,
+        message: "This request is for a room in a hostel you do not manage",
+      })
+    }
+
+    request.reviewedBy = req.user._id
+    request.reviewedAt = new Date()
+    request.reviewComments = comments
+    await request.transition("rejected", req.user._id, comments)
+
+    res.json({
+      success: true,
+      message: "Room change request rejected",
+      data: { request },
+    })
+  } catch (error) {
+    console.error("Reject room change request error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to reject room change request",
+    })
+  }
+})
+
+module.exports = router
@@ -1,24 +1,42 @@
 const express = require("express")
 const Room = require("../models/Room")
-const User = require("../models/User")
 const Application = require("../models/Application")
-const { authenticateToken, requireAdmin } = require("../middleware/auth")
+const { authenticateToken, requirePermission } = require("../middleware/auth")
+const { assignStudentToRoom, removeStudentFromRoom } = require("../services/roomAssignment")
+const { offerFreedBeds } = require("../services/waitlist")
+const { snapshot, recordAudit } = require("../services/audit")
+const {
+  loadHostelScope,
+  hostelInScope,
+  hostelFilter,
+  applicationFilter,
+  matchesScope,
+} = require("../services/hostelScope")
+const {
+  NEUTRAL_COMPATIBILITY,
+  hasAnswers,
+  scoreAgainstOccupants,
+  loadOccupantLifestyles,
+} = require("../services/compatibility")
 
 const router = express.Router()
 
 // @route   GET /api/rooms
-// @desc    Get all rooms
+// @desc    Get all rooms (wardens and porters only see rooms in their hostels)
 // @access  Private
 router.get("/", authenticateToken, async (req, res) => {
   try {
     const { hostel, gender, type, available, page = 1, limit = 20 } = req.query
 
+    const scope = await loadHostelScope(req.user)
+
     const filter = {}
+    if (scope) filter.$and = [hostelFilter(scope)]
     if (hostel) filter.hostel = hostel
     if (gender) filter.gender = gender
     if (type) filter.type = type
     if (available === "true") {
-      filter.$expr = { $lt: ["$occupiedBeds", "$capacity"] }
+      filter.availableBeds = { $gt: 0 }
       filter.isActive = true
     }
 
@@ -26,7 +44,7 @@ router.get("/", authenticateToken, async (req, res) => {
 
     const rooms = await Room.find(filter)
       .populate("hostel", "name gender")
-      .populate("occupants.student", "name matricNumber email phoneNumber")
+      .populate("beds.occupant", "name matricNumber email phoneNumber")
       .sort({ hostelName: 1, number: 1 })
       .skip(skip)
       .limit(Number.parseInt(limit))
@@ -59,7 +77,7 @@ router.get("/", authenticateToken, async (req, res) => {
 // @access  Private
 router.get("/available", authenticateToken, async (req, res) => {
   try {
-    const { gender, type, hostel } = req.query
+    const { gender, type, hostel, rankBy } = req.query
 
     if (!gender) {
       return res.status(400).json({
@@ -71,16 +89,49 @@ router.get("/available", authenticateToken, async (req, res) => {
     const filter = {
       gender,
       isActive: true,
-      $expr: { $lt: ["$occupiedBeds", "$capacity"] },
+      availableBeds: { $gt: 0 },
     }
 
     if (type) filter.type = type
     if (hostel) filter.hostel = hostel
 
-    const availableRooms = await Room.find(filter)
+    const scope = await loadHostelScope(req.user)
+    if (scope) filter.$and = [hostelFilter(scope)]
+
+    let availableRooms = await Room.find(filter)
       .populate("hostel", "name gender facilities")
       .sort({ hostelName: 1, type: 1, number: 1 })
 
+    // Optionally rank rooms by how well the student's questionnaire matches the current occupants
+    if (rankBy === "compatibility") {
+      const studentId = req.user.can("rooms:assign") && req.query.studentId ? req.query.studentId : req.user._id
+      const application = await Application.findOne({ student: studentId }).sort({ createdAt: -1 }).select("lifestyle")
+
+      // Staff may only read the questionnaire of a student applying to or housed in one of their hostels
+      if (application && !(await matchesScope(Application, application._id, await applicationFilter(scope)))) {
+        return res.status(403).json({
+          success: false,
+          message: "This student's application is for a hostel you do not manage",
+        })
+      }
+
+      if (!application || !hasAnswers(application.lifestyle)) {
+        return res.status(400).json({
+          success: false,
+          message: "The student has not completed the lifestyle questionnaire",
+        })
+      }
+
+      const occupantLifestyles = await loadOccupantLifestyles(availableRooms.map((room) => room._id))
+
+      availableRooms = availableRooms
+        .map((room) => ({
+          ...room.toObject(),
+          compatibility: scoreAgainstOccupants(application.lifestyle, occupantLifestyles[room._id.toString()] || []),
+        }))
+        .sort((a, b) => (b.compatibility ?? NEUTRAL_COMPATIBILITY) - (a.compatibility ?? NEUTRAL_COMPATIBILITY))
+    }
+
     // Group by hostel for better organization
     const roomsByHostel = availableRooms.reduce((acc, room) => {
       const hostelName = room.hostelName
@@ -118,9 +169,9 @@ router.get("/:id", authenticateToken, async (req, res) => {
   try {
     const room = await Room.findById(req.params.id)
       .populate("hostel", "name gender facilities rules warden")
-      .populate("occupants.student", "name matricNumber email phoneNumber level department")
+      .populate("beds.occupant", "name matricNumber email phoneNumber level department")
 
-    if (!room) {
+    if (!room || !hostelInScope(await loadHostelScope(req.user), room.hostel)) {
       return res.status(404).json({
         success: false,
         message: "Room not found",
@@ -142,10 +193,10 @@ router.get("/:id", authenticateToken, async (req, res) => {
 
 // @route   POST /api/rooms/assign
 // @desc    Assign student to room
-// @access  Private (Admin only)
-router.post("/assign", authenticateToken, requireAdmin, async (req, res) => {
+// @access  Private (Staff with rooms:assign)
+router.post("/assign", authenticateToken, requirePermission("rooms:assign"), async (req, res) => {
   try {
-    const { studentId, roomId, applicationId } = req.body
+    const { studentId, roomId, applicationId, bedLabel } = req.body
 
     if (!studentId || !roomId) {
       return res.status(400).json({
@@ -154,66 +205,37 @@ router.post("/assign", authenticateToken, requireAdmin, async (req, res) => {
       })
     }
 
-    // Check if student exists and is not already assigned
-    const student = await User.findById(studentId)
-    if (!student) {
-      return res.status(404).json({
-        success: false,
-        message: "Student not found",
-      })
-    }
-
-    if (student.roomAssigned) {
-      return res.status(400).json({
-        success: false,
-        message: "Student is already assigned to a room",
-      })
-    }
-
-    // Check if room exists and is available
-    const room = await Room.findById(roomId)
-    if (!room) {
-      return res.status(404).json({
-        success: false,
-        message: "Room not found",
-      })
-    }
-
-    if (!room.isAvailable()) {
-      return res.status(400).json({
-        success: false,
-        message: "Room is not available",
-      })
-    }
-
-    // Check gender compatibility
-    if (student.gender !== room.gender) {
-      return res.status(400).json({
+    if (!(await matchesScope(Room, roomId, hostelFilter(req.hostelScope)))) {
+      return res.status(403).json({
         success: false,
-        message: "Student gender does not match room gender",
+        message: "This room is in a hostel you do not manage",
       })
     }
 
-    // Assign student to room
-    await room.assignStudent(studentId)
-
-    // Update student record
-    student.roomAssigned = roomId
-    await student.save()
+    const before = snapshot(await Room.findById(roomId))
 
-    // Update application if provided
-    if (applicationId) {
-      const application = await Application.findById(applicationId)
-      if (application) {
-        await application.assignRoom(roomId)
-      }
-    }
+    const { student, occupancy } = await assignStudentToRoom({
+      studentId,
+      roomId,
+      applicationId,
+      bedLabel,
+      assignedBy: req.user._id,
+    })
 
     // Populate the updated room
     const updatedRoom = await Room.findById(roomId)
-      .populate("occupants.student", "name matricNumber email")
+      .populate("beds.occupant", "name matricNumber email")
       .populate("hostel", "name")
 
+    await recordAudit(req, {
+      action: "room.assign_student",
+      entityType: "Room",
+      entityId: updatedRoom._id,
+      before,
+      after: snapshot(updatedRoom),
+      metadata: { student: student._id, application: applicationId || null, bedLabel: occupancy.bedLabel },
+    })
+
     res.json({
       success: true,
       message: "Student assigned to room successfully",
@@ -224,17 +246,17 @@ router.post("/assign", authenticateToken, requireAdmin, async (req, res) => {
     })
   } catch (error) {
     console.error("Room assignment error:", error)
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      message: error.message || "Failed to assign student to room",
+      message: error.status ? error.message : "Failed to assign student to room",
     })
   }
 })
 
 // @route   POST /api/rooms/:id/remove-student
 // @desc    Remove student from room
-// @access  Private (Admin only)
-router.post("/:id/remove-student", authenticateToken, requireAdmin, async (req, res) => {
+// @access  Private (Staff with rooms:assign)
+router.post("/:id/remove-student", authenticateToken, requirePermission("rooms:assign"), async (req, res) => {
   try {
     const { studentId } = req.body
 
@@ -245,34 +267,35 @@ router.post("/:id/remove-student", authenticateToken, requireAdmin, async (req,
       })
     }
 
-    const room = await Room.findById(req.params.id)
-    if (!room) {
-      return res.status(404).json({
+    if (!(await matchesScope(Room, req.params.id, hostelFilter(req.hostelScope)))) {
+      return res.status(403).json({
         success: false,
-        message: "Room not found",
+        message: "This room is in a hostel you do not manage",
       })
     }
 
-    // Remove student from room
-    await room.removeStudent(studentId)
-
-    // Update student record
-    const student = await User.findById(studentId)
-    if (student) {
-      student.roomAssigned = null
-      await student.save()
-    }
+    const before = snapshot(await Room.findById(req.params.id))
 
-    // Update any related applications
-    await Application.updateMany(
-      { student: studentId, assignedRoom: room._id },
-      { $unset: { assignedRoom: 1 }, status: "approved" },
-    )
+    const { occupancy } = await removeStudentFromRoom({
+      studentId,
+      roomId: req.params.id,
+      by: req.user._id,
+      note: "Removed by admin",
+    })
 
     const updatedRoom = await Room.findById(req.params.id)
-      .populate("occupants.student", "name matricNumber email")
+      .populate("beds.occupant", "name matricNumber email")
       .populate("hostel", "name")
 
+    await recordAudit(req, {
+      action: "room.remove_student",
+      entityType: "Room",
+      entityId: updatedRoom._id,
+      before,
+      after: snapshot(updatedRoom),
+      metadata: { student: studentId, bedLabel: occupancy ? occupancy.bedLabel : null },
+    })
+
     res.json({
       success: true,
       message: "Student removed from room successfully",
@@ -280,21 +303,30 @@ router.post("/:id/remove-student", authenticateToken, requireAdmin, async (req,
     })
   } catch (error) {
     console.error("Remove student error:", error)
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      message: error.message || "Failed to remove student from room",
+      message: error.status ? error.message : "Failed to remove student from room",
     })
   }
 })
 
 // @route   POST /api/rooms
 // @desc    Create new room
-// @access  Private (Admin only)
-router.post("/", authenticateToken, requireAdmin, async (req, res) => {
+// @access  Private (Staff with rooms:manage)
+router.post("/", authenticateToken, requirePermission("rooms:manage"), async (req, res) => {
   try {
+    if (!hostelInScope(req.hostelScope, req.body.hostel)) {
+      return res.status(403).json({
+        success: false,
+        message: "This hostel is not one you manage",
+      })
+    }
+
     const room = new Room(req.body)
     await room.save()
 
+    await recordAudit(req, { action: "room.create", entityType: "Room", entityId: room._id, after: snapshot(room) })
+
     const populatedRoom = await Room.findById(room._id).populate("hostel", "name gender")
 
     res.status(201).json({
@@ -330,16 +362,13 @@ router.post("/", authenticateToken, requireAdmin, async (req, res) => {
 
 // @route   PUT /api/rooms/:id
 // @desc    Update room
-// @access  Private (Admin only)
-router.put("/:id", authenticateToken, requireAdmin, async (req, res) => {
+// @access  Private (Staff with rooms:manage)
+router.put("/:id", authenticateToken, requirePermission("rooms:manage"), async (req, res) => {
   try {
-    // Don't allow updating occupants directly through this endpoint
-    const { occupants, occupiedBeds, ...updateData } = req.body
+    // Don't allow updating beds or their counters directly through this endpoint
+    const { beds, occupiedBeds, availableBeds, ...updateData } = req.body
 
-    const room = await Room.findByIdAndUpdate(req.params.id, updateData, { new: true, runValidators: true }).populate(
-      "hostel",
-      "name gender",
-    )
+    const room = await Room.findById(req.params.id)
 
     if (!room) {
       return res.status(404).json({
@@ -348,6 +377,40 @@ router.put("/:id", authenticateToken, requireAdmin, async (req, res) => {
       })
     }
 
+    if (!hostelInScope(req.hostelScope, room.hostel)) {
+      return res.status(403).json({
+        success: false,
+        message: "This room is in a hostel you do not manage",
+      })
+    }
+
+    if (updateData.hostel !== undefined && !hostelInScope(req.hostelScope, updateData.hostel)) {
+      return res.status(403).json({
+        success: false,
+        message: "Rooms can only be moved to a hostel you manage",
+      })
+    }
+
+    const before = snapshot(room)
+
+    // Saving runs the bed sync hook and the version check against concurrent assignments
+    room.set(updateData)
+    await room.save()
+
+    await recordAudit(req, {
+      action: "room.update",
+      entityType: "Room",
+      entityId: room._id,
+      before,
+      after: snapshot(room),
+    })
+    await room.populate("hostel", "name gender")
+
+    // Reactivating a room or adding beds frees capacity for the waitlist
+    if (updateData.isActive !== undefined || updateData.capacity !== undefined) {
+      await offerFreedBeds(room._id).catch((error) => console.error("Waitlist offer error:", error))
+    }
+
     res.json({
       success: true,
       message: "Room updated successfully",
@@ -365,6 +428,13 @@ router.put("/:id", authenticateToken, requireAdmin, async (req, res) => {
       })
     }
 
+    if (error.name === "VersionError") {
+      return res.status(409).json({
+        success: false,
+        message: "Room was changed by another request, please try again",
+      })
+    }
+
     res.status(500).json({
       success: false,
       message: "Failed to update room",
@@ -372,10 +442,74 @@ router.put("/:id", authenticateToken, requireAdmin, async (req, res) => {
   }
 })
 
+// @route   PUT /api/rooms/:id/beds/:label
+// @desc    Update a bed's status or attributes
+// @access  Private (Staff with rooms:manage)
+router.put("/:id/beds/:label", authenticateToken, requirePermission("rooms:manage"), async (req, res) => {
+  try {
+    const { status, attributes } = req.body
+
+    const room = await Room.findById(req.params.id)
+
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: "Room not found",
+      })
+    }
+
+    if (!hostelInScope(req.hostelScope, room.hostel)) {
+      return res.status(403).json({
+        success: false,
+        message: "This room is in a hostel you do not manage",
+      })
+    }
+
+    const before = snapshot(room)
+    await room.updateBed(req.params.label, { status, attributes })
+
+    await recordAudit(req, {
+      action: "room.update_bed",
+      entityType: "Room",
+      entityId: room._id,
+      before,
+      after: snapshot(room),
+      metadata: { bedLabel: req.params.label },
+    })
+
+    // A bed brought back into service can go to the waitlist
+    if (status === "available") {
+      await offerFreedBeds(room._id).catch((error) => console.error("Waitlist offer error:", error))
+    }
+
+    res.json({
+      success: true,
+      message: "Bed updated successfully",
+      data: { bed: room.beds.find((bed) => bed.label === req.params.label), room },
+    })
+  } catch (error) {
+    console.error("Update bed error:", error)
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors,
+      })
+    }
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Failed to update bed",
+    })
+  }
+})
+
 // @route   DELETE /api/rooms/:id
 // @desc    Delete room
-// @access  Private (Admin only)
-router.delete("/:id", authenticateToken, requireAdmin, async (req, res) => {
+// @access  Private (Staff with rooms:manage)
+router.delete("/:id", authenticateToken, requirePermission("rooms:manage"), async (req, res) => {
   try {
     const room = await Room.findById(req.params.id)
 
@@ -386,6 +520,13 @@ router.delete("/:id", authenticateToken, requireAdmin, async (req, res) => {
       })
     }
 
+    if (!hostelInScope(req.hostelScope, room.hostel)) {
+      return res.status(403).json({
+        success: false,
+        message: "This room is in a hostel you do not manage",
+      })
+    }
+
     if (room.occupiedBeds > 0) {
       return res.status(400).json({
         success: false,
@@ -395,6 +536,8 @@ router.delete("/:id", authenticateToken, requireAdmin, async (req, res) => {
 
     await Room.findByIdAndDelete(req.params.id)
 
+    await recordAudit(req, { action: "room.delete", entityType: "Room", entityId: room._id, before: snapshot(room) })
+
     res.json({
       success: true,
       message: "Room deleted successfully",
@@ -0,0 +1,177 @@
+const express = require("express")
+const AcademicSession = require("../models/AcademicSession")
+const SelectionWindow = require("../models/SelectionWindow")
+const { authenticateToken, requirePermission, requireStudent } = require("../middleware/auth")
+const { scheduleSelection, claimBed, releaseClaim } = require("../services/selection")
+
+const router = express.Router()
+
+// @route   POST /api/selection/schedule
+// @desc    Schedule selection windows for a session's approved applicants in priority order
+// @access  Private (Staff with selection:manage)
+router.post("/schedule", authenticateToken, requirePermission("selection:manage"), async (req, res) => {
+  try {
+    let { academicYear, semester } = req.body
+    const { startsAt, slotMinutes, batchSize, windowMinutes } = req.body
+
+    if (!academicYear || !semester) {
+      const currentSession = await AcademicSession.getCurrent()
+      if (!currentSession) {
+        return res.status(400).json({
+          success: false,
+          message: "No current academic session is set. Provide academicYear and semester",
+        })
+      }
+      academicYear = currentSession.academicYear
+      semester = currentSession.semester
+    }
+
+    const windows = await scheduleSelection({
+      academicYear,
+      semester,
+      startsAt,
+      slotMinutes: slotMinutes !== undefined ? Number(slotMinutes) : undefined,
+      batchSize: batchSize !== undefined ? Number(batchSize) : undefined,
+      windowMinutes: windowMinutes !== undefined ? Number(windowMinutes) : undefined,
+    })
+
+    res.status(201).json({
+      success: true,
+      message: `Scheduled ${windows.length} selection window(s)`,
+      data: {
+        academicYear,
+        semester,
+        count: windows.length,
+        firstOpensAt: windows.length > 0 ? windows[0].opensAt : null,
+        lastClosesAt: windows.length > 0 ? windows[windows.length - 1].closesAt : null,
+      },
+    })
+  } catch (error) {
+    console.error("Schedule selection error:", error)
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Failed to schedule selection windows",
+    })
+  }
+})
+
+// @route   GET /api/selection/windows
+// @desc    Get selection windows
+// @access  Private (Staff with selection:read)
+router.get("/windows", authenticateToken, requirePermission("selection:read"), async (req, res) => {
+  try {
+    const { academicYear, semester, claimed, page = 1, limit = 50 } = req.query
+
+    const filter = {}
+
+    if (academicYear) filter.academicYear = academicYear
+    if (semester) filter.semester = semester
+    if (claimed === "true") filter["claim.room"] = { $ne: null }
+    if (claimed === "false") filter["claim.room"] = null
+
+    const skip = (Number.parseInt(page) - 1) * Number.parseInt(limit)
+
+    const windows = await SelectionWindow.find(filter)
+      .populate("student", "name matricNumber email gender")
+      .populate("claim.room", "number hostelName type")
+      .sort({ academicYear: -1, semester: 1, rank: 1 })
+      .skip(skip)
+      .limit(Number.parseInt(limit))
+
+    const total = await SelectionWindow.countDocuments(filter)
+
+    res.json({
+      success: true,
+      data: {
+        windows,
+        pagination: {
+          current: Number.parseInt(page),
+          pages: Math.ceil(total / Number.parseInt(limit)),
+          total,
+          limit: Number.parseInt(limit),
+        },
+      },
+    })
+  } catch (error) {
+    console.error("Fetch selection windows error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch selection windows",
+    })
+  }
+})
+
+// @route   GET /api/selection/my-window
+// @desc    Get the current student's selection windows and claims
+// @access  Private (Student only)
+router.get("/my-window", authenticateToken, requireStudent, async (req, res) => {
+  try {
+    const windows = await SelectionWindow.find({ student: req.user._id })
+      .populate("claim.room", "number hostelName type")
+      .sort({ opensAt: -1 })
+
+    res.json({
+      success: true,
+      data: { windows },
+    })
+  } catch (error) {
+    console.error("Fetch selection window error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch selection window",
+    })
+  }
+})
+
+// @route   POST /api/selection/claim
+// @desc    Claim an available bed during the student's selection window
+// @access  Private (Student only)
+router.post("/claim", authenticateToken, requireStudent, async (req, res) => {
+  try {
+    const { roomId, bedLabel } = req.body
+
+    if (!roomId) {
+      return res.status(400).json({
+        success: false,
+        message: "Room ID is required",
+      })
+    }
+
+    const { window, room } = await claimBed({ student: req.user, roomId, bedLabel })
+
+    res.status(201).json({
+      success: true,
+      message: `Bed ${window.claim.bedLabel} in room ${room.number}, ${room.hostelName} claimed`,
+      data: { window, room },
+    })
+  } catch (error) {
+    console.error("Claim bed error:", error)
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Failed to claim bed",
+    })
+  }
+})
+
+// @route   DELETE /api/selection/claim
+// @desc    Release the student's unpaid claim so they can choose another bed
+// @access  Private (Student only)
+router.delete("/claim", authenticateToken, requireStudent, async (req, res) => {
+  try {
+    const window = await releaseClaim({ student: req.user })
+
+    res.json({
+      success: true,
+      message: "Claim released",
+      data: { window },
+    })
+  } catch (error) {
+    console.error("Release claim error:", error)
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Failed to release claim",
+    })
+  }
+})
+
+module.exports = router
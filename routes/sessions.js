@@ -0,0 +1,217 @@
+const express = require("express")
+const AcademicSession = require("../models/AcademicSession")
+const { authenticateToken, requirePermission } = require("../middleware/auth")
+
+const router = express.Router()
+
+// @route   GET /api/sessions/current
+// @desc    Get the current academic session
+// @access  Private
+router.get("/current", authenticateToken, async (req, res) => {
+  try {
+    const academicSession = await AcademicSession.getCurrent()
+
+    if (!academicSession) {
+      return res.status(404).json({
+        success: false,
+        message: "No current academic session has been set",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: { session: academicSession },
+    })
+  } catch (error) {
+    console.error("Fetch current session error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch current session",
+    })
+  }
+})
+
+// @route   GET /api/sessions
+// @desc    Get all academic sessions
+// @access  Private (Staff with sessions:read)
+router.get("/", authenticateToken, requirePermission("sessions:read"), async (req, res) => {
+  try {
+    const sessions = await AcademicSession.find().sort({ academicYear: -1, semester: -1 })
+
+    res.json({
+      success: true,
+      data: {
+        sessions,
+        count: sessions.length,
+      },
+    })
+  } catch (error) {
+    console.error("Fetch sessions error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch sessions",
+    })
+  }
+})
+
+// @route   POST /api/sessions
+// @desc    Create academic session
+// @access  Private (Staff with sessions:manage)
+router.post("/", authenticateToken, requirePermission("sessions:manage"), async (req, res) => {
+  try {
+    const { isCurrent, ...sessionData } = req.body
+
+    let academicSession = new AcademicSession(sessionData)
+    await academicSession.save()
+
+    if (isCurrent === true || isCurrent === "true") {
+      academicSession = await AcademicSession.setCurrent(academicSession._id)
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Academic session created successfully",
+      data: { session: academicSession },
+    })
+  } catch (error) {
+    console.error("Create session error:", error)
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors,
+      })
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "A session for this academic year and semester already exists",
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to create session",
+    })
+  }
+})
+
+// @route   PUT /api/sessions/:id
+// @desc    Update academic session
+// @access  Private (Staff with sessions:manage)
+router.put("/:id", authenticateToken, requirePermission("sessions:manage"), async (req, res) => {
+  try {
+    // The current flag is changed through set-current so only one session is ever current
+    const { isCurrent, ...updateData } = req.body
+
+    const academicSession = await AcademicSession.findById(req.params.id)
+
+    if (!academicSession) {
+      return res.status(404).json({
+        success: false,
+        message: "Academic session not found",
+      })
+    }
+
+    academicSession.set(updateData)
+    await academicSession.save()
+
+    res.json({
+      success: true,
+      message: "Academic session updated successfully",
+      data: { session: academicSession },
+    })
+  } catch (error) {
+    console.error("Update session error:", error)
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors,
+      })
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "A session for this academic year and semester already exists",
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to update session",
+    })
+  }
+})
+
+// @route   POST /api/sessions/:id/set-current
+// @desc    Make a session the current academic session
+// @access  Private (Staff with sessions:manage)
+router.post("/:id/set-current", authenticateToken, requirePermission("sessions:manage"), async (req, res) => {
+  try {
+    const academicSession = await AcademicSession.setCurrent(req.params.id)
+
+    if (!academicSession) {
+      return res.status(404).json({
+        success: false,
+        message: "Academic session not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      message: `${academicSession.academicYear} ${academicSession.semester} semester is now the current session`,
+      data: { session: academicSession },
+    })
+  } catch (error) {
+    console.error("Set current session error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to set current session",
+    })
+  }
+})
+
+// @route   DELETE /api/sessions/:id
+// @desc    Delete academic session
+// @access  Private (Staff with sessions:manage)
+router.delete("/:id", authenticateToken, requirePermission("sessions:manage"), async (req, res) => {
+  try {
+    const academicSession = await AcademicSession.findById(req.params.id)
+
+    if (!academicSession) {
+      return res.status(404).json({
+        success: false,
+        message: "Academic session not found",
+      })
+    }
+
+    if (academicSession.isCurrent) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot delete the current session",
+      })
+    }
+
+    await AcademicSession.findByIdAndDelete(req.params.id)
+
+    res.json({
+      success: true,
+      message: "Academic session deleted successfully",
+    })
+  } catch (error) {
+    console.error("Delete session error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete session",
+    })
+  }
+})
+
+module.exports = router
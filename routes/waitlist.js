@@ -0,0 +1,242 @@
+const express = require("express")
+const Application = require("../models/Application")
+const WaitlistEntry = require("../models/WaitlistEntry")
+const { authenticateToken, requirePermission, requireStudentOrPermission } = require("../middleware/auth")
+const { acceptOffer } = require("../services/roomAssignment")
+const { joinWaitlist, declineOffer, withdrawEntry, expireOffers } = require("../services/waitlist")
+const { hostelFilter } = require("../services/hostelScope")
+
+const router = express.Router()
+
+// Whether the user is the student, or staff who may manage anyone's waitlist entries
+const canActFor = (user, studentId) =>
+  user.role === "student" ? studentId.toString() === user._id.toString() : user.can("waitlist:manage")
+
+// Load a waitlist entry the current user may act on
+const findEntryForUser = async (req, res) => {
+  const entry = await WaitlistEntry.findById(req.params.id)
+
+  if (!entry) {
+    res.status(404).json({
+      success: false,
+      message: "Waitlist entry not found",
+    })
+    return null
+  }
+
+  if (!canActFor(req.user, entry.student)) {
+    res.status(403).json({
+      success: false,
+      message: "Access denied",
+    })
+    return null
+  }
+
+  return entry
+}
+
+// @route   GET /api/waitlist
+// @desc    Get waitlist entries (staff, for their hostels) or the student's own entries
+// @access  Private (Students, staff with applications:read)
+router.get("/", authenticateToken, requireStudentOrPermission("applications:read"), async (req, res) => {
+  try {
+    const { hostel, roomType, gender, status, academicYear, semester, page = 1, limit = 50 } = req.query
+
+    const filter = {}
+
+    if (req.user.role === "student") {
+      filter.student = req.user._id
+    } else if (req.hostelScope) {
+      filter.$and = [hostelFilter(req.hostelScope)]
+    }
+
+    if (hostel) filter.hostel = hostel
+    if (roomType) filter.roomType = roomType
+    if (gender) filter.gender = gender
+    if (status) filter.status = status
+    if (academicYear) filter.academicYear = academicYear
+    if (semester) filter.semester = semester
+
+    const skip = (Number.parseInt(page) - 1) * Number.parseInt(limit)
+
+    const entries = await WaitlistEntry.find(filter)
+      .populate("student", "name matricNumber email gender level")
+      .populate("hostel", "name gender")
+      .populate("offer.room", "number hostelName type")
+      .sort({ hostel: 1, roomType: 1, gender: 1, position: 1 })
+      .skip(skip)
+      .limit(Number.parseInt(limit))
+
+    const total = await WaitlistEntry.countDocuments(filter)
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          current: Number.parseInt(page),
+          pages: Math.ceil(total / Number.parseInt(limit)),
+          total,
+          limit: Number.parseInt(limit),
+        },
+      },
+    })
+  } catch (error) {
+    console.error("Fetch waitlist error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch waitlist",
+    })
+  }
+})
+
+// @route   POST /api/waitlist/join
+// @desc    Put an approved application on the waitlist for its preferred hostel and room type
+// @access  Private (Student for own application, staff with waitlist:manage)
+router.post("/join", authenticateToken, async (req, res) => {
+  try {
+    const { applicationId } = req.body
+
+    if (!applicationId) {
+      return res.status(400).json({
+        success: false,
+        message: "Application ID is required",
+      })
+    }
+
+    const application = await Application.findById(applicationId).populate("student", "gender roomAssigned")
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: "Application not found",
+      })
+    }
+
+    if (!canActFor(req.user, application.student._id)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      })
+    }
+
+    if (application.student.roomAssigned) {
+      return res.status(400).json({
+        success: false,
+        message: "Student is already assigned to a room",
+      })
+    }
+
+    const entry = await joinWaitlist(application, application.student)
+
+    res.status(201).json({
+      success: true,
+      message:
+        entry.status === "offered"
+          ? "A bed is available and has been offered to you"
+          : `Added to the waitlist at position ${entry.position}`,
+      data: { entry },
+    })
+  } catch (error) {
+    console.error("Join waitlist error:", error)
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Failed to join waitlist",
+    })
+  }
+})
+
+// @route   POST /api/waitlist/:id/accept
+// @desc    Accept an offered bed
+// @access  Private (Student for own entry, staff with waitlist:manage)
+router.post("/:id/accept", authenticateToken, async (req, res) => {
+  try {
+    const entry = await findEntryForUser(req, res)
+    if (!entry) return
+
+    const { room } = await acceptOffer(entry, { assignedBy: req.user._id })
+
+    res.json({
+      success: true,
+      message: `Room ${room.number} in ${room.hostelName} accepted`,
+      data: { entry: await WaitlistEntry.findById(entry._id), room },
+    })
+  } catch (error) {
+    console.error("Accept offer error:", error)
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Failed to accept offer",
+    })
+  }
+})
+
+// @route   POST /api/waitlist/:id/decline
+// @desc    Decline an offered bed; it rolls to the next student
+// @access  Private (Student for own entry, staff with waitlist:manage)
+router.post("/:id/decline", authenticateToken, async (req, res) => {
+  try {
+    const entry = await findEntryForUser(req, res)
+    if (!entry) return
+
+    await declineOffer(entry)
+
+    res.json({
+      success: true,
+      message: "Offer declined",
+      data: { entry },
+    })
+  } catch (error) {
+    console.error("Decline offer error:", error)
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Failed to decline offer",
+    })
+  }
+})
+
+// @route   DELETE /api/waitlist/:id
+// @desc    Leave the waitlist
+// @access  Private (Student for own entry, staff with waitlist:manage)
+router.delete("/:id", authenticateToken, async (req, res) => {
+  try {
+    const entry = await findEntryForUser(req, res)
+    if (!entry) return
+
+    await withdrawEntry(entry)
+
+    res.json({
+      success: true,
+      message: "Removed from the waitlist",
+      data: { entry },
+    })
+  } catch (error) {
+    console.error("Withdraw waitlist entry error:", error)
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Failed to leave waitlist",
+    })
+  }
+})
+
+// @route   POST /api/waitlist/expire-offers
+// @desc    Expire stale offers now and roll them to the next students
+// @access  Private (Staff with waitlist:manage)
+router.post("/expire-offers", authenticateToken, requirePermission("waitlist:manage"), async (req, res) => {
+  try {
+    const expired = await expireOffers()
+
+    res.json({
+      success: true,
+      message: `${expired.length} offer(s) expired`,
+      data: { expired: expired.length },
+    })
+  } catch (error) {
+    console.error("Expire offers error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to expire offers",
+    })
+  }
+})
+
+module.exports = router
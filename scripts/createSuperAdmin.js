@@ -0,0 +1,74 @@
+const mongoose = require("mongoose")
+const dotenv = require("dotenv")
+
+// Load environment variables
+dotenv.config()
+
+const User = require("../models/User")
+const { connectDB } = require("./seed")
+
+// Read --key=value arguments, falling back to SUPER_ADMIN_<KEY> environment variables. The password is
+// best passed through the environment so it does not end up in shell history.
+const readOptions = (argv) => {
+  const args = Object.fromEntries(
+    argv
+      .filter((arg) => arg.startsWith("--") && arg.includes("="))
+      .map((arg) => {
+        const [key, ...value] = arg.slice(2).split("=")
+        return [key, value.join("=")]
+      }),
+  )
+
+  const option = (key) => args[key] || process.env[`SUPER_ADMIN_${key.toUpperCase()}`]
+
+  return {
+    name: option("name"),
+    email: option("email"),
+    password: option("password"),
+    gender: option("gender"),
+    phoneNumber: option("phone"),
+  }
+}
+
+// Create the first super admin. Every other admin account is invited by an existing admin, so this only
+// runs while no super admin exists.
+const createSuperAdmin = async ({ name, email, password, gender, phoneNumber }) => {
+  if (await User.exists({ role: "super_admin" })) {
+    throw new Error("A super admin already exists. Invite further admins from the admin API")
+  }
+
+  const user = new User({
+    name,
+    email,
+    password,
+    role: "super_admin",
+    gender,
+    phoneNumber,
+    emailVerified: true,
+    emailVerifiedAt: new Date(),
+  })
+  await user.save()
+
+  console.log(`✅ Created super admin ${user.email}`)
+  return user
+}
+
+const run = async () => {
+  await connectDB()
+
+  try {
+    await createSuperAdmin(readOptions(process.argv.slice(2)))
+  } catch (error) {
+    console.error("❌ Super admin creation error:", error.message)
+    process.exitCode = 1
+  } finally {
+    await mongoose.connection.close()
+    console.log("🔌 Database connection closed")
+  }
+}
+
+if (require.main === module) {
+  run()
+}
+
+module.exports = { createSuperAdmin }
@@ -0,0 +1,95 @@
+const mongoose = require("mongoose")
+const dotenv = require("dotenv")
+
+// Load environment variables
+dotenv.config()
+
+const Room = require("../models/Room")
+const { connectDB } = require("./seed")
+
+const occupy = (bed, occupant) =>
+  Object.assign(bed, { status: "occupied", occupant: occupant.student, assignedDate: occupant.assignedDate || null })
+
+// Build the beds of a room stored in the old format, where occupants held a bedNumber
+const buildBeds = (room) => {
+  const capacity = room.capacity || 0
+  const occupants = room.occupants || []
+  const beds = Room.BED_LABELS.slice(0, capacity).map((label) => ({
+    _id: new mongoose.Types.ObjectId(),
+    label,
+    status: "available",
+    occupant: null,
+    assignedDate: null,
+    attributes: { bunk: "none", notes: "" },
+  }))
+
+  const leftovers = []
+
+  for (const occupant of occupants) {
+    const bed = beds[(occupant.bedNumber || 0) - 1]
+
+    if (bed && bed.status === "available") {
+      occupy(bed, occupant)
+    } else {
+      leftovers.push(occupant)
+    }
+  }
+
+  // Occupants without a usable bed number take the first free bed
+  for (const occupant of leftovers) {
+    const bed = beds.find((candidate) => candidate.status === "available")
+
+    if (!bed) {
+      console.warn(`⚠️  Room ${room.hostelName} ${room.number} is over capacity, skipping ${occupant.student}`)
+      continue
+    }
+
+    occupy(bed, occupant)
+  }
+
+  return beds
+}
+
+// Convert every room without beds to the bed-level format
+const migrateBeds = async () => {
+  const rooms = await Room.collection.find({ beds: { $exists: false } }).toArray()
+
+  console.log(`🛏️  ${rooms.length} room(s) to migrate`)
+
+  for (const room of rooms) {
+    const beds = buildBeds(room)
+    const occupiedBeds = beds.filter((bed) => bed.status === "occupied").length
+
+    await Room.collection.updateOne(
+      { _id: room._id },
+      {
+        $set: { beds, occupiedBeds, availableBeds: beds.length - occupiedBeds },
+        $unset: { occupants: "" },
+      },
+    )
+  }
+
+  await Room.syncIndexes()
+
+  console.log("✅ Bed migration completed")
+}
+
+const runMigration = async () => {
+  await connectDB()
+
+  try {
+    await migrateBeds()
+  } catch (error) {
+    console.error("❌ Bed migration error:", error)
+    process.exitCode = 1
+  } finally {
+    await mongoose.connection.close()
+    console.log("🔌 Database connection closed")
+  }
+}
+
+if (require.main === module) {
+  runMigration()
+}
+
+module.exports = { migrateBeds }
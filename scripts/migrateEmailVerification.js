@@ -0,0 +1,39 @@
+const mongoose = require("mongoose")
+const dotenv = require("dotenv")
+
+// Load environment variables
+dotenv.config()
+
+const User = require("../models/User")
+const { connectDB } = require("./seed")
+
+// Accounts created before email verification existed have no emailVerified field. They are treated as
+// verified, so existing students are not blocked from applying.
+const migrateEmailVerification = async () => {
+  const result = await User.collection.updateMany({ emailVerified: { $exists: false } }, [
+    { $set: { emailVerified: true, emailVerifiedAt: "$createdAt" } },
+  ])
+
+  console.log(`📧 Marked ${result.modifiedCount} existing user(s) as verified`)
+  console.log("✅ Email verification migration completed")
+}
+
+const runMigration = async () => {
+  await connectDB()
+
+  try {
+    await migrateEmailVerification()
+  } catch (error) {
+    console.error("❌ Email verification migration error:", error)
+    process.exitCode = 1
+  } finally {
+    await mongoose.connection.close()
+    console.log("🔌 Database connection closed")
+  }
+}
+
+if (require.main === module) {
+  runMigration()
+}
+
+module.exports = { migrateEmailVerification }
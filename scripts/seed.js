@@ -10,6 +10,58 @@ const User = require("../models/User")
 const Hostel = require("../models/Hostel")
 const Room = require("../models/Room")
 const Application = require("../models/Application")
+const AcademicSession = require("../models/AcademicSession")
+const PriorityRule = require("../models/PriorityRule")
+const Occupancy = require("../models/Occupancy")
+const Invoice = require("../models/Invoice")
+const LedgerEntry = require("../models/LedgerEntry")
+const { rescoreApplications } = require("../services/priority")
+
+// Default priority rules, editable later through /api/priority-rules
+const samplePriorityRules = [
+  {
+    name: "Final year",
+    description: "Final-year students need stable accommodation for projects and exams",
+    criterion: "level",
+    values: ["400", "500"],
+    points: 30,
+  },
+  {
+    name: "Fresher",
+    description: "New students are guaranteed a first-year bed",
+    criterion: "level",
+    values: ["100"],
+    points: 25,
+  },
+  {
+    name: "Medical need",
+    description: "Special requests that mention a medical condition or disability",
+    criterion: "specialRequests",
+    values: ["medical", "disability", "asthma", "sickle cell"],
+    points: 40,
+  },
+  {
+    name: "Medical report",
+    description: "A verified medical report is attached to the application",
+    criterion: "document",
+    values: ["medical_report"],
+    points: 20,
+  },
+  {
+    name: "Scholarship",
+    description: "A verified scholarship award letter is attached to the application",
+    criterion: "document",
+    values: ["scholarship_letter"],
+    points: 20,
+  },
+  {
+    name: "Early application",
+    description: "Submitted within the first week of the application window",
+    criterion: "submittedWithinDays",
+    values: ["7"],
+    points: 10,
+  },
+]
 
 // Connect to database
 const connectDB = async () => {
@@ -114,7 +166,7 @@ const sampleUsers = [
     name: "Admin User",
     email: "admin@calebu.edu.ng",
     password: "admin123",
-    role: "admin",
+    role: "super_admin",
     gender: "male",
     phoneNumber: "08012345678",
   },
@@ -188,8 +240,6 @@ const generateRooms = (hostel, hostelId) => {
         type: roomType.type,
         isEnsuite: Math.random() > 0.6, // 40% chance of ensuite
         gender: hostel.gender,
-        occupiedBeds: 0,
-        occupants: [],
         price: roomType.price,
         amenities: generateAmenities(),
         condition: getRandomCondition(),
@@ -235,7 +285,31 @@ const seedDatabase = async () => {
 
     // Clear existing data
     console.log("🗑️  Clearing existing data...")
-    await Promise.all([User.deleteMany({}), Hostel.deleteMany({}), Room.deleteMany({}), Application.deleteMany({})])
+    await Promise.all([
+      User.deleteMany({}),
+      Hostel.deleteMany({}),
+      Room.deleteMany({}),
+      Application.deleteMany({}),
+      AcademicSession.deleteMany({}),
+      PriorityRule.deleteMany({}),
+      Occupancy.deleteMany({}),
+      Invoice.deleteMany({}),
+      LedgerEntry.deleteMany({}),
+    ])
+
+    // Create the current academic session with its application window open
+    console.log("📅 Creating academic session...")
+    const now = new Date()
+    const academicSession = await AcademicSession.create({
+      academicYear: "2024/2025",
+      semester: "first",
+      startDate: now,
+      endDate: new Date(now.getTime() + 120 * 24 * 60 * 60 * 1000),
+      applicationOpenDate: new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000),
+      applicationCloseDate: new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000),
+      isCurrent: true,
+    })
+    console.log(`✅ Created session ${academicSession.academicYear} (${academicSession.semester} semester)`)
 
     // Create hostels
     console.log("🏠 Creating hostels...")
@@ -256,7 +330,10 @@ const seedDatabase = async () => {
 
     // Create users
     console.log("👥 Creating users...")
-    const createdUsers = await User.insertMany(sampleUsers)
+    // Sample accounts skip email verification so they can be used straight away
+    const createdUsers = await User.insertMany(
+      sampleUsers.map((user) => ({ ...user, emailVerified: true, emailVerifiedAt: new Date() })),
+    )
     console.log(`✅ Created ${createdUsers.length} users`)
 
     // Assign some students to rooms (simulate occupancy)
@@ -276,6 +353,11 @@ const seedDatabase = async () => {
           await randomRoom.assignStudent(student._id)
           student.roomAssigned = randomRoom._id
           await student.save()
+
+          // Seeded residents have already moved in
+          const occupancy = await Occupancy.open({ studentId: student._id, room: randomRoom })
+          occupancy.checkIn = { date: new Date(), keyIssued: true, conditionAcknowledged: true }
+          await occupancy.transition("checked_in", null, "Checked in by seed")
           assignedCount++
         } catch (error) {
           console.log(`Failed to assign student ${student.name} to room: ${error.message}`)
@@ -295,8 +377,8 @@ const seedDatabase = async () => {
 
       return {
         student: student._id,
-        academicYear: "2024/2025",
-        semester: "first",
+        academicYear: academicSession.academicYear,
+        semester: academicSession.semester,
         personalInfo: {
           guardianName: `Guardian of ${student.name}`,
           guardianPhone: "08099999999",
@@ -321,6 +403,12 @@ const seedDatabase = async () => {
     const createdApplications = await Application.insertMany(sampleApplications)
     console.log(`✅ Created ${createdApplications.length} applications`)
 
+    // Create priority rules and score the sample applications
+    console.log("⚖️  Creating priority rules...")
+    const createdRules = await PriorityRule.insertMany(samplePriorityRules)
+    const scoredCount = await rescoreApplications()
+    console.log(`✅ Created ${createdRules.length} priority rules and scored ${scoredCount} applications`)
+
     console.log("🎉 Database seeding completed successfully!")
     console.log("\n📊 Summary:")
     console.log(`   Hostels: ${createdHostels.length}`)
@@ -330,7 +418,7 @@ const seedDatabase = async () => {
     console.log(`   Room Assignments: ${assignedCount}`)
 
     console.log("\n🔑 Sample Login Credentials:")
-    console.log("   Admin: admin@calebu.edu.ng / admin123")
+    console.log("   Super admin: admin@calebu.edu.ng / admin123")
     console.log("   Student: john.doe@student.calebu.edu.ng / student123")
   } catch (error) {
     console.error("❌ Seeding error:", error)
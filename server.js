@@ -10,7 +10,25 @@ const authRoutes = require("./routes/auth")
 const hostelRoutes = require("./routes/hostels")
 const roomRoutes = require("./routes/rooms")
 const applicationRoutes = require("./routes/applications")
+const documentRoutes = require("./routes/documents")
 const adminRoutes = require("./routes/admin")
+const sessionRoutes = require("./routes/sessions")
+const waitlistRoutes = require("./routes/waitlist")
+const priorityRuleRoutes = require("./routes/priorityRules")
+const roomChangeRoutes = require("./routes/roomChanges")
+const occupancyRoutes = require("./routes/occupancies")
+const billingRoutes = require("./routes/billing")
+const paymentRoutes = require("./routes/payments")
+const selectionRoutes = require("./routes/selection")
+const notificationRoutes = require("./routes/notifications")
+const { startWaitlistJob } = require("./services/waitlist")
+const { startBillingJob } = require("./services/billing")
+const { startHoldJob } = require("./services/occupancy")
+const { startEmailJob } = require("./services/email")
+const { getMailTransport } = require("./services/mailTransports")
+
+// Refuse to start when emails would have nowhere to go
+getMailTransport()
 
 const app = express()
 
@@ -43,8 +61,14 @@ app.use((req, res, next) => {
   next()
 })
 
-// Middlewares
-app.use(express.json())
+// Middlewares (the raw JSON body is kept so payment webhooks can verify the gateway signature)
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString()
+    },
+  })
+)
 app.use(express.urlencoded({ extended: true }))
 
 // ✅ MongoDB connection
@@ -53,15 +77,31 @@ mongoose
     useNewUrlParser: true,
     useUnifiedTopology: true,
   })
-  .then(() => console.log("✅ Connected to MongoDB"))
+  .then(() => {
+    console.log("✅ Connected to MongoDB")
+    startWaitlistJob()
+    startBillingJob()
+    startHoldJob()
+    startEmailJob()
+  })
   .catch((error) => console.error("❌ MongoDB connection error:", error))
 
 // ✅ Routes
 app.use("/api/auth", authRoutes)
 app.use("/api/hostels", hostelRoutes)
 app.use("/api/rooms", roomRoutes)
+app.use("/api/applications/:applicationId/documents", documentRoutes)
 app.use("/api/applications", applicationRoutes)
 app.use("/api/admin", adminRoutes)
+app.use("/api/sessions", sessionRoutes)
+app.use("/api/waitlist", waitlistRoutes)
+app.use("/api/priority-rules", priorityRuleRoutes)
+app.use("/api/room-changes", roomChangeRoutes)
+app.use("/api/occupancies", occupancyRoutes)
+app.use("/api/billing", billingRoutes)
+app.use("/api/payments", paymentRoutes)
+app.use("/api/selection", selectionRoutes)
+app.use("/api/notifications", notificationRoutes)
 
 // ✅ Health check endpoint
 app.get("/api/health", (req, res) => {
@@ -77,7 +117,7 @@ app.use((error, req, res, next) => {
   console.error("Error:", error)
   res.status(error.status || 500).json({
     success: false,
-    message: error.message || "Internal server error",
+    message: error.status ? error.message : "Internal server error",
     ...(process.env.NODE_ENV === "development" && { stack: error.stack }),
   })
 })
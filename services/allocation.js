@@ -0,0 +1,289 @@
+const Application = require("../models/Application")
+const Room = require("../models/Room")
+const User = require("../models/User")
+const { assignStudentsToRooms } = require("./roomAssignment")
+const { joinWaitlist } = require("./waitlist")
+const { findRoommateGroups } = require("./roommates")
+const {
+  NEUTRAL_COMPATIBILITY,
+  hasAnswers,
+  scoreAgainstOccupants,
+  loadOccupantLifestyles,
+} = require("./compatibility")
+
+// Order in which rooms are tried for an application, from best to worst match
+const MATCH_TIERS = ["exact", "hostel", "roomType", "fallback"]
+
+const matchTier = (application, room) => {
+  const { hostelPreference, roomTypePreference } = application.preferences
+  const sameHostel = hostelPreference && room.hostel.toString() === hostelPreference.toString()
+  const sameType = room.type === roomTypePreference
+
+  if (sameHostel && sameType) return "exact"
+  if (sameHostel) return "hostel"
+  if (sameType) return "roomType"
+  return "fallback"
+}
+
+// Pick the best room for an application from the in-memory pool.
+// Within a tier, rooms whose occupants are more compatible win when compatibility is used; otherwise
+// partially filled rooms are preferred so beds are packed before new rooms are opened.
+const pickRoom = (application, gender, pool, useCompatibility = false) => {
+  let best = null
+
+  for (const candidate of pool) {
+    if (candidate.remaining <= 0 || candidate.room.gender !== gender) continue
+
+    const tier = MATCH_TIERS.indexOf(matchTier(application, candidate.room))
+    const occupied = candidate.room.capacity - candidate.remaining
+    const compatibility = useCompatibility
+      ? (scoreAgainstOccupants(application.lifestyle, candidate.lifestyles) ?? NEUTRAL_COMPATIBILITY)
+      : 0
+
+    if (
+      !best ||
+      tier < best.tier ||
+      (tier === best.tier && compatibility > best.compatibility) ||
+      (tier === best.tier && compatibility === best.compatibility && occupied > best.occupied)
+    ) {
+      best = { candidate, tier, compatibility, occupied }
+    }
+  }
+
+  return (
+    best && {
+      candidate: best.candidate,
+      matchType: MATCH_TIERS[best.tier],
+      compatibility: useCompatibility ? best.compatibility : undefined,
+    }
+  )
+}
+
+// Pick a room for a confirmed roommate group: an empty room of exactly the group's size is preferred,
+// in the hostel most members asked for, falling back to any room with enough free beds.
+const pickGroupRoom = (members, gender, pool) => {
+  const votes = {}
+  for (const member of members) {
+    const hostel = member.preferences.hostelPreference && member.preferences.hostelPreference.toString()
+    votes[hostel] = (votes[hostel] || 0) + 1
+  }
+  const preferredHostel = Object.keys(votes).sort((a, b) => votes[b] - votes[a])[0]
+
+  let best = null
+
+  for (const candidate of pool) {
+    const { room } = candidate
+    if (room.gender !== gender || candidate.remaining < members.length) continue
+
+    const exactFit = room.capacity === members.length && candidate.remaining === room.capacity
+    const sameHostel = room.hostel.toString() === preferredHostel
+    const tier = (exactFit ? 0 : 2) + (sameHostel ? 0 : 1)
+
+    if (!best || tier < best.tier) {
+      best = { candidate, tier }
+    }
+  }
+
+  return best && best.candidate
+}
+
+const summariseStudent = (student) => ({
+  _id: student._id,
+  name: student.name,
+  matricNumber: student.matricNumber,
+  gender: student.gender,
+})
+
+const summariseRoom = (room) => ({
+  _id: room._id,
+  number: room.number,
+  hostel: room.hostel,
+  hostelName: room.hostelName,
+  type: room.type,
+})
+
+// Build an allocation plan for all approved, unassigned applications of a session.
+// Confirmed roommate groups are placed together first; everyone else is placed highest priority first,
+// then in submission order. With useCompatibility, shared rooms are matched on the lifestyle questionnaire.
+// Nothing is written to the database.
+const buildAllocationPlan = async ({ academicYear, semester, useCompatibility = false }) => {
+  const applications = await Application.find({
+    academicYear,
+    semester,
+    status: "approved",
+    assignedRoom: null,
+  })
+    .populate("student", "name matricNumber gender isActive roomAssigned")
+    .sort({ "priority.score": -1, createdAt: 1 })
+
+  const rooms = await Room.find({
+    isActive: true,
+    availableBeds: { $gt: 0 },
+  }).sort({ hostelName: 1, number: 1 })
+
+  const occupantLifestyles = useCompatibility ? await loadOccupantLifestyles(rooms.map((room) => room._id)) : {}
+  const pool = rooms.map((room) => ({
+    room,
+    remaining: room.availableBeds,
+    lifestyles: occupantLifestyles[room._id.toString()] || [],
+  }))
+
+  const placements = []
+  const unplaced = []
+
+  const isPlaceable = (application) =>
+    application && application.student && application.student.isActive && !application.student.roomAssigned
+
+  // Roommate groups, only when every member is approved and still waiting for a room
+  const { groups } = await findRoommateGroups({ academicYear, semester })
+  const applicationsById = new Map(applications.map((application) => [application._id.toString(), application]))
+  const grouped = new Set()
+
+  for (const [index, group] of groups.entries()) {
+    const members = group.members.map((member) => applicationsById.get(member.application.toString()))
+    if (!members.every(isPlaceable)) continue
+
+    const candidate = pickGroupRoom(members, group.gender, pool)
+    if (!candidate) continue
+
+    candidate.remaining -= members.length
+    candidate.lifestyles.push(...members.map((member) => member.lifestyle).filter(hasAnswers))
+
+    for (const member of members) {
+      grouped.add(member._id.toString())
+      placements.push({
+        application: member._id,
+        student: summariseStudent(member.student),
+        room: summariseRoom(candidate.room),
+        matchType: "roommateGroup",
+        group: index + 1,
+        roommates: members.filter((other) => other !== member).map((other) => other.student.matricNumber),
+      })
+    }
+  }
+
+  for (const application of applications) {
+    if (grouped.has(application._id.toString())) continue
+
+    const student = application.student
+
+    if (!student) {
+      unplaced.push({ application: application._id, student: null, reason: "Student account not found" })
+      continue
+    }
+
+    const studentSummary = summariseStudent(student)
+
+    if (!student.isActive) {
+      unplaced.push({ application: application._id, student: studentSummary, reason: "Student account is inactive" })
+      continue
+    }
+
+    if (student.roomAssigned) {
+      unplaced.push({
+        application: application._id,
+        student: studentSummary,
+        reason: "Student is already assigned to a room",
+      })
+      continue
+    }
+
+    const match = pickRoom(application, student.gender, pool, useCompatibility)
+
+    if (!match) {
+      unplaced.push({
+        application: application._id,
+        student: studentSummary,
+        reason: `No available ${student.gender} beds`,
+        waitlist: true,
+      })
+      continue
+    }
+
+    match.candidate.remaining -= 1
+    if (hasAnswers(application.lifestyle)) match.candidate.lifestyles.push(application.lifestyle)
+
+    placements.push({
+      application: application._id,
+      student: studentSummary,
+      room: summariseRoom(match.candidate.room),
+      matchType: match.matchType,
+      compatibility: match.compatibility,
+    })
+  }
+
+  return { placements, unplaced }
+}
+
+// Carry out a plan built by buildAllocationPlan.
+// Each placement is assigned on its own, except that a roommate group is assigned as one unit so it is
+// never split: if one member cannot be placed, none are. Failures are reported, not thrown.
+// Students left without a bed because everything is full are then put on the waitlist. That happens only
+// after the placements are committed, so waitlist offers never point at beds the plan is about to fill.
+const commitAllocationPlan = async (plan) => {
+  const placements = []
+  const unplaced = []
+
+  // Placements in the same roommate group are committed together
+  const units = []
+  for (const placement of plan.placements) {
+    const unit = placement.group && units.find((other) => other[0].group === placement.group)
+    if (unit) {
+      unit.push(placement)
+    } else {
+      units.push([placement])
+    }
+  }
+
+  for (const unit of units) {
+    try {
+      const awaiting = await Application.countDocuments({
+        _id: { $in: unit.map((placement) => placement.application) },
+        status: "approved",
+      })
+
+      if (awaiting !== unit.length) {
+        throw new Error("Application is no longer awaiting a room")
+      }
+
+      await assignStudentsToRooms(
+        unit.map((placement) => ({
+          studentId: placement.student._id,
+          roomId: placement.room._id,
+          applicationId: placement.application,
+        })),
+      )
+
+      placements.push(...unit)
+    } catch (error) {
+      const reason = unit.length > 1 ? `Roommate group could not be placed together: ${error.message}` : error.message
+      unplaced.push(
+        ...unit.map((placement) => ({ application: placement.application, student: placement.student, reason })),
+      )
+    }
+  }
+
+  for (const item of plan.unplaced) {
+    if (!item.waitlist) {
+      unplaced.push(item)
+      continue
+    }
+
+    try {
+      const application = await Application.findById(item.application)
+      const student = await User.findById(item.student._id)
+      const entry = await joinWaitlist(application, student)
+
+      unplaced.push({ ...item, waitlistPosition: entry.position })
+    } catch (error) {
+      unplaced.push({ ...item, waitlist: false, waitlistError: error.message })
+    }
+  }
+
+  return { placements, unplaced }
+}
+
+module.exports = {
+  buildAllocationPlan,
+  commitAllocationPlan,
+}
@@ -0,0 +1,91 @@
+const AuditLog = require("../models/AuditLog")
+
+// Never copied into the audit trail
+const HIDDEN_FIELDS = ["password", "tokenHash"]
+
+// Bookkeeping fields left out of diffs
+const IGNORED_PATHS = ["__v", "createdAt", "updatedAt"]
+
+// Plain copy of a document as it is now, safe to keep after the document changes
+const snapshot = (doc) => {
+  if (!doc) return null
+
+  const plain = JSON.parse(JSON.stringify(doc.toObject ? doc.toObject({ depopulate: true }) : doc))
+  for (const field of HIDDEN_FIELDS) delete plain[field]
+
+  return plain
+}
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value)
+
+// List the paths whose values differ between two snapshots. Arrays are compared as a whole.
+const diff = (before, after, prefix = "") => {
+  const changes = []
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})])
+
+  for (const key of keys) {
+    const path = prefix ? `${prefix}.${key}` : key
+    if (IGNORED_PATHS.includes(path)) continue
+
+    const from = before ? before[key] : undefined
+    const to = after ? after[key] : undefined
+
+    if (isPlainObject(from) && isPlainObject(to)) {
+      changes.push(...diff(from, to, path))
+    } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ path, from: from === undefined ? null : from, to: to === undefined ? null : to })
+    }
+  }
+
+  return changes
+}
+
+// Record who did what to an entity from this request. Pass snapshots taken before and after the change.
+// Recording is best effort: a failure is logged and never fails the action itself.
+const recordAudit = async (
+  req,
+  { action, entityType, entityId = null, before = null, after = null, metadata = null },
+) => {
+  try {
+    return await AuditLog.create({
+      actor: req.user ? req.user._id : null,
+      actorRole: req.user ? req.user.role : null,
+      action,
+      entityType,
+      entityId,
+      before,
+      after,
+      changes: before && after ? diff(before, after) : [],
+      metadata,
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    })
+  } catch (error) {
+    console.error(`Failed to record audit entry (${action}):`, error)
+    return null
+  }
+}
+
+// Filter for audit entries from query string parameters
+const auditFilter = ({ actor, action, entityType, entityId, from, to }) => {
+  const filter = {}
+
+  if (actor) filter.actor = actor
+  if (action) filter.action = action
+  if (entityType) filter.entityType = entityType
+  if (entityId) filter.entityId = entityId
+  if (from || to) {
+    filter.createdAt = {}
+    if (from) filter.createdAt.$gte = new Date(from)
+    if (to) filter.createdAt.$lte = new Date(to)
+  }
+
+  return filter
+}
+
+module.exports = {
+  snapshot,
+  diff,
+  recordAudit,
+  auditFilter,
+}
@@ -0,0 +1,90 @@
+const jwt = require("jsonwebtoken")
+const mongoose = require("mongoose")
+const AuthSession = require("../models/AuthSession")
+const User = require("../models/User")
+const createHttpError = require("../utils/httpError")
+const { randomToken, hashToken } = require("../utils/tokens")
+
+// Access tokens are short-lived; the refresh token renews them until the session is revoked or expires
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m"
+const REFRESH_TOKEN_TTL_DAYS = Number.parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30
+
+const requestDetails = (req) => ({ userAgent: req.get("user-agent"), ip: req.ip })
+
+// Tokens handed to the client. The refresh token carries its session ID so it can be looked up,
+// and a secret that is only stored hashed.
+const issueTokens = (user, session, secret) => ({
+  token: jwt.sign({ userId: user._id, sessionId: session._id }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  }),
+  refreshToken: `${session._id}.${secret}`,
+  expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+})
+
+// Start a session for a user who just proved who they are
+const createSession = async (user, req) => {
+  const secret = randomToken()
+
+  const session = await AuthSession.create({
+    user: user._id,
+    tokenHash: hashToken(secret),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    ...requestDetails(req),
+  })
+
+  return { session, ...issueTokens(user, session, secret) }
+}
+
+// Exchange a refresh token for new tokens. The presented token stops working straight away; presenting it
+// again revokes the session, since one of the two holders is not the user.
+const refreshSession = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken || "").split(".")
+
+  if (!secret || !mongoose.isValidObjectId(sessionId)) {
+    throw createHttpError(401, "Invalid refresh token")
+  }
+
+  const hash = hashToken(secret)
+  const nextSecret = randomToken()
+
+  const session = await AuthSession.findOneAndUpdate(
+    { _id: sessionId, tokenHash: hash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { tokenHash: hashToken(nextSecret), previousTokenHash: hash, lastUsedAt: new Date(), ...requestDetails(req) },
+    { new: true },
+  )
+
+  if (!session) {
+    await AuthSession.updateOne(
+      { _id: sessionId, previousTokenHash: hash, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: "Refresh token reused" },
+    )
+    throw createHttpError(401, "Invalid or expired refresh token")
+  }
+
+  const user = await User.findById(session.user)
+
+  if (!user || !user.isActive) {
+    await revokeSession(session.user, session._id, "Account deactivated")
+    throw createHttpError(401, "Invalid or expired refresh token")
+  }
+
+  return { session, user, ...issueTokens(user, session, nextSecret) }
+}
+
+// Sign one of a user's sessions out. Returns whether an active session was revoked.
+const revokeSession = async (userId, sessionId, reason) => {
+  const result = await AuthSession.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+  )
+
+  return result.modifiedCount > 0
+}
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_TTL_DAYS,
+  createSession,
+  refreshSession,
+  revokeSession,
+}
@@ -0,0 +1,288 @@
+const Application = require("../models/Application")
+const Hostel = require("../models/Hostel")
+const Invoice = require("../models/Invoice")
+const LedgerEntry = require("../models/LedgerEntry")
+const Counter = require("../models/Counter")
+const Occupancy = require("../models/Occupancy")
+const createHttpError = require("../utils/httpError")
+const runInTransaction = require("../utils/transaction")
+const { notify } = require("./notifications")
+
+// Days a student has to pay an invoice
+const INVOICE_DUE_DAYS = Number.parseInt(process.env.INVOICE_DUE_DAYS) || 14
+
+// Days before an invoice falls due that the student is reminded to pay
+const PAYMENT_REMINDER_DAYS = Number.parseInt(process.env.PAYMENT_REMINDER_DAYS) || 3
+
+// How often payment statuses are refreshed so that unpaid invoices turn overdue
+const BILLING_SWEEP_INTERVAL_MS = Number.parseInt(process.env.BILLING_SWEEP_INTERVAL_MS) || 60 * 60 * 1000
+
+const defaultDueDate = () => new Date(Date.now() + INVOICE_DUE_DAYS * 24 * 60 * 60 * 1000)
+
+// Totals of an application's ledger and whether part of the balance is past due
+const summariseAccount = async (applicationId, session = null) => {
+  const entries = await LedgerEntry.find({ application: applicationId }).session(session)
+
+  const totals = { charges: 0, payments: 0, refunds: 0, adjustments: 0 }
+  const totalKey = { charge: "charges", payment: "payments", refund: "refunds", adjustment: "adjustments" }
+  let balance = 0
+
+  for (const entry of entries) {
+    totals[totalKey[entry.type]] += entry.amount
+    balance += entry.signedAmount
+  }
+
+  const invoices = await Invoice.find({ application: applicationId, status: "issued" })
+    .sort({ dueDate: 1 })
+    .session(session)
+
+  // Whatever is owed beyond the invoices that are not yet due is past due
+  const now = new Date()
+  const notYetDue = invoices.filter((invoice) => invoice.dueDate > now).reduce((sum, invoice) => sum + invoice.total, 0)
+  const pastDue = Math.max(0, balance - notYetDue)
+  const nextDue = invoices.find((invoice) => invoice.dueDate > now)
+
+  return {
+    ...totals,
+    balance,
+    pastDue,
+    nextDueDate: nextDue ? nextDue.dueDate : null,
+  }
+}
+
+// Payment status follows from the ledger: nothing billed or nothing paid yet is pending,
+// a cleared balance is paid, and an unpaid past-due amount is overdue
+const derivePaymentStatus = (summary) => {
+  const billed = summary.charges + summary.adjustments
+
+  if (billed > 0 && summary.balance <= 0) return "paid"
+  if (summary.pastDue > 0) return "overdue"
+  if (summary.payments > summary.refunds) return "partial"
+  return "pending"
+}
+
+// Recompute and store an application's payment status. A paid application confirms its provisional bed holds.
+const refreshPaymentStatus = async (applicationId, session = null) => {
+  const summary = await summariseAccount(applicationId, session)
+  const paymentStatus = derivePaymentStatus(summary)
+
+  await Application.updateOne({ _id: applicationId }, { paymentStatus }, { session })
+
+  if (paymentStatus === "paid") {
+    await Occupancy.confirmHolds(applicationId, { method: "payment" }, session)
+  }
+
+  return { ...summary, paymentStatus }
+}
+
+// Append an entry to an application's ledger and refresh its payment status
+const recordLedgerEntry = async (
+  { application, type, amount, description, reference, invoice = null, by = null },
+  session = null,
+) => {
+  const entry = new LedgerEntry({
+    student: application.student,
+    application: application._id,
+    academicYear: application.academicYear,
+    semester: application.semester,
+    invoice,
+    type,
+    amount,
+    description,
+    reference,
+    recordedBy: by,
+  })
+  await entry.save({ session })
+
+  const account = await refreshPaymentStatus(application._id, session)
+
+  return { entry, account }
+}
+
+// Issue an invoice and charge its total to the ledger as one unit. Without a session, it runs in a
+// transaction of its own so an invoice is never left without its charge.
+const issueInvoice = async (details, session = null) => {
+  if (!session) {
+    return await runInTransaction((transaction) => issueInvoice(details, transaction))
+  }
+
+  const { application, kind = "other", items, room = null, dueDate = null, by = null } = details
+  const seq = await Counter.next(`invoice-${application.academicYear}`, session)
+
+  const invoice = new Invoice({
+    number: `INV-${application.academicYear.slice(0, 4)}-${String(seq).padStart(6, "0")}`,
+    student: application.student,
+    application: application._id,
+    academicYear: application.academicYear,
+    semester: application.semester,
+    room,
+    kind,
+    items,
+    dueDate: dueDate ? new Date(dueDate) : defaultDueDate(),
+    issuedBy: by,
+  })
+  await invoice.save({ session })
+
+  await recordLedgerEntry(
+    {
+      application,
+      type: "charge",
+      amount: invoice.total,
+      description: `Invoice ${invoice.number}`,
+      invoice: invoice._id,
+      by,
+    },
+    session,
+  )
+
+  return invoice
+}
+
+// Bill an application for the room it was assigned. Later moves keep the original bill.
+const issueRoomInvoice = async ({ application, room, by = null }, session = null) => {
+  const existing = await Invoice.findOne({
+    application: application._id,
+    kind: "accommodation",
+    status: "issued",
+  }).session(session)
+
+  if (existing) return existing
+
+  // Fall back to the hostel's price for the room type when the room has no price of its own
+  let price = room.price
+  if (!price) {
+    const hostel = await Hostel.findById(room.hostel).session(session)
+    const roomType = hostel && hostel.roomTypes.find((candidate) => candidate.type === room.type)
+    price = roomType ? roomType.price : 0
+  }
+
+  if (!price) return null
+
+  const term = `${application.academicYear} ${application.semester} semester`
+  const description = `Accommodation: ${room.hostelName} room ${room.number} (${room.type}), ${term}`
+
+  return await issueInvoice(
+    {
+      application,
+      kind: "accommodation",
+      room: room._id,
+      items: [{ description, amount: price }],
+      by,
+    },
+    session,
+  )
+}
+
+// Void an invoice, reversing its charge with an adjustment
+const voidInvoice = async (invoice, { reason, by = null }) => {
+  if (invoice.status === "void") {
+    throw createHttpError(400, "Invoice is already void")
+  }
+
+  const application = await Application.findById(invoice.application)
+  if (!application) {
+    throw createHttpError(404, "Application not found")
+  }
+
+  return await runInTransaction(async (session) => {
+    invoice.status = "void"
+    invoice.voidedBy = by
+    invoice.voidedAt = new Date()
+    invoice.voidReason = reason
+    await invoice.save({ session })
+
+    await recordLedgerEntry(
+      {
+        application,
+        type: "adjustment",
+        amount: -invoice.total,
+        description: `Void invoice ${invoice.number}`,
+        invoice: invoice._id,
+        by,
+      },
+      session,
+    )
+
+    return invoice
+  })
+}
+
+// Void an application's open accommodation invoice, if it has one, once its bed is given up
+const voidAccommodationInvoice = async (applicationId, { reason, by = null }) => {
+  const invoice = await Invoice.findOne({ application: applicationId, kind: "accommodation", status: "issued" })
+  if (!invoice) return null
+
+  return await voidInvoice(invoice, { reason, by })
+}
+
+// Refresh applications whose invoices have fallen due since their status was last computed
+const refreshOverduePayments = async () => {
+  const dueApplications = await Invoice.distinct("application", { status: "issued", dueDate: { $lte: new Date() } })
+
+  const applications = await Application.find({
+    _id: { $in: dueApplications },
+    paymentStatus: { $in: ["pending", "partial"] },
+  }).select("_id")
+
+  for (const application of applications) {
+    await refreshPaymentStatus(application._id)
+  }
+
+  return applications.length
+}
+
+// Remind students, by email and SMS, once per invoice that it falls due soon or already has
+const sendPaymentReminders = async () => {
+  const cutoff = new Date(Date.now() + PAYMENT_REMINDER_DAYS * 24 * 60 * 60 * 1000)
+
+  const invoices = await Invoice.find({ status: "issued", reminderSentAt: null, dueDate: { $lte: cutoff } }).select(
+    "_id",
+  )
+
+  let sent = 0
+
+  for (const { _id } of invoices) {
+    // Claim the reminder so that overlapping sweeps send it once
+    const invoice = await Invoice.findOneAndUpdate(
+      { _id, reminderSentAt: null },
+      { reminderSentAt: new Date() },
+      { new: true },
+    ).populate("application", "academicYear semester paymentStatus")
+
+    if (!invoice || !invoice.application || invoice.application.paymentStatus === "paid") continue
+
+    await notify(invoice.student, "payment_due", { invoice, application: invoice.application }, { sms: true })
+    sent++
+  }
+
+  return sent
+}
+
+// Periodically mark unpaid invoices overdue and send payment reminders; the timer does not keep the
+// process alive
+const startBillingJob = () => {
+  const timer = setInterval(() => {
+    refreshOverduePayments()
+      .then(() => sendPaymentReminders())
+      .catch((error) => console.error("Billing sweep error:", error))
+  }, BILLING_SWEEP_INTERVAL_MS)
+
+  timer.unref()
+  return timer
+}
+
+module.exports = {
+  INVOICE_DUE_DAYS,
+  PAYMENT_REMINDER_DAYS,
+  summariseAccount,
+  derivePaymentStatus,
+  refreshPaymentStatus,
+  recordLedgerEntry,
+  issueInvoice,
+  issueRoomInvoice,
+  voidInvoice,
+  voidAccommodationInvoice,
+  refreshOverduePayments,
+  sendPaymentReminders,
+  startBillingJob,
+}
@@ -0,0 +1,65 @@
+const Application = require("../models/Application")
+
+// Each answer is placed on a scale so that neighbouring answers count as partly compatible
+const LIFESTYLE_SCALES = {
+  sleepSchedule: ["early", "flexible", "late"],
+  studyHabits: ["in_room", "mixed", "library"],
+  noiseTolerance: ["low", "medium", "high"],
+  cleanliness: ["relaxed", "average", "very_tidy"],
+}
+
+// Score used for rooms where nothing is known about the occupants
+const NEUTRAL_COMPATIBILITY = 50
+
+const hasAnswers = (lifestyle) => Boolean(lifestyle) && Object.keys(LIFESTYLE_SCALES).some((key) => lifestyle[key])
+
+// Compatibility of two questionnaires from 0 to 100, or null when they share no answered questions
+const scorePair = (a, b) => {
+  if (!hasAnswers(a) || !hasAnswers(b)) return null
+
+  const similarities = []
+
+  for (const [key, scale] of Object.entries(LIFESTYLE_SCALES)) {
+    const left = scale.indexOf(a[key])
+    const right = scale.indexOf(b[key])
+    if (left === -1 || right === -1) continue
+
+    similarities.push(1 - Math.abs(left - right) / (scale.length - 1))
+  }
+
+  if (similarities.length === 0) return null
+
+  return Math.round((similarities.reduce((sum, value) => sum + value, 0) / similarities.length) * 100)
+}
+
+// Average compatibility of a student against the occupants of a room, or null when nothing is known
+const scoreAgainstOccupants = (lifestyle, occupantLifestyles) => {
+  const scores = occupantLifestyles.map((other) => scorePair(lifestyle, other)).filter((score) => score !== null)
+  if (scores.length === 0) return null
+
+  return Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length)
+}
+
+// Questionnaires of the current occupants of each room, keyed by room id
+const loadOccupantLifestyles = async (roomIds) => {
+  const applications = await Application.find({
+    assignedRoom: { $in: roomIds },
+    status: "assigned",
+  }).select("assignedRoom lifestyle")
+
+  return applications.reduce((acc, application) => {
+    const key = application.assignedRoom.toString()
+    if (!acc[key]) acc[key] = []
+    if (hasAnswers(application.lifestyle)) acc[key].push(application.lifestyle)
+    return acc
+  }, {})
+}
+
+module.exports = {
+  LIFESTYLE_SCALES,
+  NEUTRAL_COMPATIBILITY,
+  hasAnswers,
+  scorePair,
+  scoreAgainstOccupants,
+  loadOccupantLifestyles,
+}
@@ -0,0 +1,129 @@
+const EmailMessage = require("../models/EmailMessage")
+const { renderEmail } = require("./emailTemplates")
+const { getMailTransport } = require("./mailTransports")
+const createHttpError = require("../utils/httpError")
+
+const EMAIL_FROM = process.env.EMAIL_FROM || "Caleb University Hostels <hostels@calebuniversity.edu.ng>"
+const EMAIL_MAX_ATTEMPTS = Number.parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 5
+const EMAIL_RETRY_BASE_MS = Number.parseInt(process.env.EMAIL_RETRY_BASE_MS) || 60 * 1000
+const EMAIL_SWEEP_INTERVAL_MS = Number.parseInt(process.env.EMAIL_SWEEP_INTERVAL_MS) || 60 * 1000
+
+// Sends still marked as sending after this long were interrupted and are retried
+const SEND_TIMEOUT_MS = 10 * 60 * 1000
+
+// Delay before the next attempt doubles after every failure: 1, 2, 4, 8... times the base delay
+const retryDelay = (attempts) => EMAIL_RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0)
+
+// Claim a due message and try to send it, recording the outcome on the outbox entry
+const deliverEmail = async (messageId) => {
+  const message = await EmailMessage.findOneAndUpdate(
+    { _id: messageId, status: "queued", nextAttemptAt: { $lte: new Date() } },
+    { status: "sending", lockedAt: new Date(), $inc: { attempts: 1 } },
+    { new: true },
+  )
+
+  if (!message) return null
+
+  const transport = getMailTransport()
+
+  try {
+    const { messageId: providerMessageId } = await transport.send({
+      from: EMAIL_FROM,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+    })
+
+    message.set({ status: "sent", sentAt: new Date(), transport: transport.name, providerMessageId, lastError: null })
+  } catch (error) {
+    const exhausted = message.attempts >= message.maxAttempts
+
+    message.set({
+      status: exhausted ? "failed" : "queued",
+      transport: transport.name,
+      lastError: error.message,
+      nextAttemptAt: exhausted ? message.nextAttemptAt : new Date(Date.now() + retryDelay(message.attempts)),
+    })
+  }
+
+  message.lockedAt = null
+  return await message.save()
+}
+
+// Render a template into the outbox and try to send it straight away. Failed sends stay queued for
+// the email job, so callers never wait on or fail because of the mail server.
+const queueEmail = async ({ to, user = null, template, data = {} }) => {
+  const { subject, text, html } = renderEmail(template, data)
+
+  const message = await EmailMessage.create({
+    user,
+    to,
+    template,
+    subject,
+    text,
+    html,
+    maxAttempts: EMAIL_MAX_ATTEMPTS,
+  })
+
+  deliverEmail(message._id).catch((error) => console.error("Email delivery error:", error))
+
+  return message
+}
+
+// Put a failed message back in the queue for a fresh set of attempts
+const retryEmail = async (message) => {
+  if (message.status !== "failed") {
+    throw createHttpError(400, "Only failed emails can be retried")
+  }
+
+  message.set({ status: "queued", attempts: 0, nextAttemptAt: new Date() })
+  await message.save()
+
+  return (await deliverEmail(message._id)) || message
+}
+
+// Send every message that is due, after recovering sends that were interrupted
+const processOutbox = async () => {
+  await EmailMessage.updateMany(
+    { status: "sending", lockedAt: { $lte: new Date(Date.now() - SEND_TIMEOUT_MS) } },
+    { status: "queued", lockedAt: null, nextAttemptAt: new Date() },
+  )
+
+  const due = await EmailMessage.find({ status: "queued", nextAttemptAt: { $lte: new Date() } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(100)
+    .select("_id")
+
+  const results = { sent: 0, failed: 0, retrying: 0 }
+
+  for (const { _id } of due) {
+    const message = await deliverEmail(_id)
+    if (!message) continue
+
+    if (message.status === "sent") results.sent++
+    else if (message.status === "failed") results.failed++
+    else results.retrying++
+  }
+
+  return results
+}
+
+// Periodically work through the outbox; the timer does not keep the process alive
+const startEmailJob = () => {
+  const timer = setInterval(() => {
+    processOutbox().catch((error) => console.error("Email sweep error:", error))
+  }, EMAIL_SWEEP_INTERVAL_MS)
+
+  timer.unref()
+  return timer
+}
+
+module.exports = {
+  EMAIL_MAX_ATTEMPTS,
+  queueEmail,
+  deliverEmail,
+  retryEmail,
+  processOutbox,
+  startEmailJob,
+}
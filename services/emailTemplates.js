@@ -0,0 +1,179 @@
+const APP_NAME = "Caleb University Hostel Allocation System"
+
+const sessionName = ({ academicYear, semester }) => `${academicYear} ${semester} semester`
+
+const roomName = ({ room, bedLabel }) =>
+  `room ${room.number}${bedLabel ? `, bed ${bedLabel}` : ""} in ${room.hostelName}`
+
+// Each template turns its data into a subject and plain-text paragraphs. The same templates back both
+// emails and in-app notifications.
+const templates = {
+  notice: ({ subject, message }) => ({
+    subject,
+    paragraphs: [message],
+  }),
+
+  password_reset: ({ resetUrl, expiresInMinutes }) => ({
+    subject: "Reset your password",
+    paragraphs: [
+      "We received a request to reset the password for your account. Open this link to choose a new password:",
+      resetUrl,
+      `The link can be used once and expires in ${expiresInMinutes} minutes.`,
+      "If you did not ask to reset your password, you can ignore this email. Your password has not changed.",
+    ],
+  }),
+
+  email_verification: ({ verifyUrl, expiresInHours }) => ({
+    subject: "Verify your email address",
+    paragraphs: [
+      "Welcome! Open this link to verify your email address so you can apply for a hostel:",
+      verifyUrl,
+      `The link can be used once and expires in ${expiresInHours} hours.`,
+      "If you did not create an account, you can ignore this email.",
+    ],
+  }),
+
+  invitation: ({ invitedByName, roleName, acceptUrl, expiresInDays }) => ({
+    subject: `You have been invited to the ${APP_NAME}`,
+    paragraphs: [
+      `${invitedByName} has invited you to join the ${APP_NAME} as ${roleName}.`,
+      "Open this link to set your password and create your account:",
+      acceptUrl,
+      `The invitation can be used once and expires in ${expiresInDays} days.`,
+      "If you were not expecting this invitation, you can ignore this email.",
+    ],
+  }),
+
+  password_changed: () => ({
+    subject: "Your password was changed",
+    paragraphs: [
+      "The password for your account was just reset, and every device signed in to it has been signed out.",
+      "If you did not do this, contact the hostel office straight away.",
+    ],
+  }),
+
+  two_factor_enabled: () => ({
+    subject: "Two-factor authentication is on",
+    paragraphs: [
+      "Signing in to your account now needs a code from your authenticator app as well as your password.",
+      "Keep your recovery codes somewhere safe. If you did not do this, contact the hostel office straight away.",
+    ],
+  }),
+
+  two_factor_disabled: ({ byAdmin }) => ({
+    subject: "Two-factor authentication is off",
+    paragraphs: [
+      byAdmin
+        ? "An administrator turned off two-factor authentication for your account and signed out every device."
+        : "Signing in to your account no longer needs a code from your authenticator app.",
+      "If you did not expect this, contact the hostel office straight away.",
+    ],
+  }),
+
+  application_submitted: ({ application }) => ({
+    subject: "We received your hostel application",
+    paragraphs: [
+      `Your hostel application for the ${sessionName(application)} has been submitted.`,
+      "We will email you again once it has been reviewed.",
+    ],
+  }),
+
+  application_approved: ({ application }) => ({
+    subject: "Your hostel application was approved",
+    paragraphs: [
+      `Your hostel application for the ${sessionName(application)} has been approved.`,
+      application.reviewComments ? `Comments from the reviewer: ${application.reviewComments}` : null,
+      "You will be told as soon as a room is assigned to you.",
+    ],
+  }),
+
+  application_rejected: ({ application }) => ({
+    subject: "Your hostel application was not approved",
+    paragraphs: [
+      `Your hostel application for the ${sessionName(application)} was not approved.`,
+      application.reviewComments ? `Reason: ${application.reviewComments}` : null,
+      "Please contact the hostel office if you have any questions.",
+    ],
+  }),
+
+  application_received: ({ application, student, hostel }) => ({
+    subject: `New hostel application from ${student.name}`,
+    paragraphs: [
+      `${student.name} (${student.matricNumber}) applied for accommodation in the ${sessionName(application)}` +
+        (hostel ? `, preferring ${hostel.name}.` : "."),
+      "The application is waiting for review.",
+    ],
+  }),
+
+  payment_due: ({ invoice }) => ({
+    subject: `Payment ${invoice.dueDate <= new Date() ? "overdue" : "due"} for invoice ${invoice.number}`,
+    paragraphs: [
+      `Invoice ${invoice.number} for NGN ${invoice.total.toLocaleString("en-NG")} ` +
+        `${invoice.dueDate <= new Date() ? "was" : "is"} due on ${invoice.dueDate.toDateString()}.`,
+      "Please pay it from your account to avoid losing your bed.",
+    ],
+  }),
+
+  room_assigned: ({ room, bedLabel, holdExpiresAt }) => ({
+    subject: `You have been assigned to room ${room.number}, ${room.hostelName}`,
+    paragraphs: [
+      `You have been assigned to ${roomName({ room, bedLabel })}.`,
+      holdExpiresAt
+        ? `The bed is held for you until ${holdExpiresAt.toUTCString()}. Pay your accommodation invoice before then to keep it.`
+        : "Please check in at the hostel office with your student ID.",
+    ],
+  }),
+
+  room_removed: ({ room, bedLabel, reason }) => ({
+    subject: `You have been removed from room ${room.number}, ${room.hostelName}`,
+    paragraphs: [
+      `You are no longer assigned to ${roomName({ room, bedLabel })}.`,
+      reason ? `Reason: ${reason}` : null,
+      "Please contact the hostel office if you think this is a mistake.",
+    ],
+  }),
+}
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+
+const renderTemplate = (name, data) => {
+  const template = templates[name]
+
+  if (!template) {
+    throw new Error(`Unknown message template: ${name}`)
+  }
+
+  const { subject, paragraphs } = template(data)
+  return { subject, paragraphs: paragraphs.filter(Boolean) }
+}
+
+// Render a template for a recipient into { subject, text, html }
+const renderEmail = (name, { recipientName, ...data }) => {
+  const { subject, paragraphs } = renderTemplate(name, data)
+  const body = [`Dear ${recipientName || "student"},`, ...paragraphs, APP_NAME]
+
+  return {
+    subject,
+    text: body.join("\n\n"),
+    html: body.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`).join("\n"),
+  }
+}
+
+// Render a template into an inbox entry's { title, message }
+const renderNotification = (name, { recipientName, ...data }) => {
+  const { subject, paragraphs } = renderTemplate(name, data)
+
+  return { title: subject, message: paragraphs.join("\n\n") }
+}
+
+module.exports = {
+  templates,
+  renderEmail,
+  renderNotification,
+}
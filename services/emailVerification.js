@@ -0,0 +1,76 @@
+const User = require("../models/User")
+const { issueUserToken, consumeUserToken, issuedRecently } = require("./userTokens")
+const { queueEmail } = require("./email")
+const createHttpError = require("../utils/httpError")
+
+const EMAIL_VERIFICATION_TTL_HOURS = Number.parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48
+
+// A new verification email is not sent while the last one is this recent
+const EMAIL_VERIFICATION_COOLDOWN_MS = 60 * 1000
+
+const APP_URL = process.env.APP_URL || "http://localhost:3000"
+
+// Email the user a link that verifies their address, replacing any link sent before
+const sendVerificationEmail = async (user, { ip } = {}) => {
+  const token = await issueUserToken(user._id, "email_verification", {
+    ttlMs: EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000,
+    ip,
+  })
+
+  await queueEmail({
+    to: user.email,
+    user: user._id,
+    template: "email_verification",
+    data: {
+      recipientName: user.name,
+      verifyUrl: `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`,
+      expiresInHours: EMAIL_VERIFICATION_TTL_HOURS,
+    },
+  })
+}
+
+// Send a fresh verification email when the user asks for one, at most once per cooldown
+const resendVerificationEmail = async (user, { ip } = {}) => {
+  if (user.emailVerified) {
+    throw createHttpError(400, "Your email address is already verified")
+  }
+
+  if (await issuedRecently(user._id, "email_verification", EMAIL_VERIFICATION_COOLDOWN_MS)) {
+    throw createHttpError(429, "A verification email was sent recently. Please wait a minute before asking again")
+  }
+
+  await sendVerificationEmail(user, { ip })
+}
+
+// Mark a user's email as verified. Returns whether it changed.
+const markEmailVerified = async (user) => {
+  if (user.emailVerified) return false
+
+  user.emailVerified = true
+  user.emailVerifiedAt = new Date()
+  await user.save()
+
+  return true
+}
+
+// Verify the email of the user a verification token was sent to
+const verifyEmail = async (token) => {
+  const record = await consumeUserToken(token, "email_verification")
+  const user = record ? await User.findById(record.user) : null
+
+  if (!user || !user.isActive) {
+    throw createHttpError(400, "This verification link is invalid or has expired")
+  }
+
+  await markEmailVerified(user)
+
+  return user
+}
+
+module.exports = {
+  EMAIL_VERIFICATION_TTL_HOURS,
+  sendVerificationEmail,
+  resendVerificationEmail,
+  markEmailVerified,
+  verifyEmail,
+}
@@ -0,0 +1,39 @@
+const Hostel = require("../models/Hostel")
+const Room = require("../models/Room")
+const { isHostelScoped } = require("../config/permissions")
+
+// A hostel scope is the list of hostel IDs a member of staff may see and act on, or null when their access
+// covers every hostel. Wardens and porters are limited to the hostels that list them as managers.
+const loadHostelScope = async (user) =>
+  isHostelScoped(user.role) ? await Hostel.find({ managers: user._id }).distinct("_id") : null
+
+const idOf = (value) => String(value && value._id ? value._id : value)
+
+// Whether a hostel (ID or document) is in scope
+const hostelInScope = (scope, hostel) => !scope || (Boolean(hostel) && scope.some((id) => idOf(id) === idOf(hostel)))
+
+// Filter for documents whose hostel reference at path is in scope
+const hostelFilter = (scope, path = "hostel") => (scope ? { [path]: { $in: scope } } : {})
+
+// Filter for documents whose room reference at path is a room in a hostel in scope
+const roomFilter = async (scope, path = "room") =>
+  scope ? { [path]: { $in: await Room.find({ hostel: { $in: scope } }).distinct("_id") } } : {}
+
+// Applications are in scope when they prefer a hostel in scope or were assigned a room in one
+const applicationFilter = async (scope) =>
+  scope
+    ? { $or: [hostelFilter(scope, "preferences.hostelPreference"), await roomFilter(scope, "assignedRoom")] }
+    : {}
+
+// Whether the document with this ID matches a scope filter
+const matchesScope = async (Model, id, filter) =>
+  Object.keys(filter).length === 0 || Boolean(await Model.exists({ _id: id, ...filter }))
+
+module.exports = {
+  loadHostelScope,
+  hostelInScope,
+  hostelFilter,
+  roomFilter,
+  applicationFilter,
+  matchesScope,
+}
@@ -0,0 +1,123 @@
+const Invitation = require("../models/Invitation")
+const User = require("../models/User")
+const { queueEmail } = require("./email")
+const { resolveManagedHostels, setManagedHostels } = require("./staffRoles")
+const { STAFF_ROLES } = require("../config/permissions")
+const createHttpError = require("../utils/httpError")
+const { randomToken, hashToken } = require("../utils/tokens")
+
+const INVITATION_TTL_DAYS = Number.parseInt(process.env.INVITATION_TTL_DAYS) || 7
+
+const APP_URL = process.env.APP_URL || "http://localhost:3000"
+
+const ROLE_NAMES = {
+  super_admin: "a super admin",
+  admin: "an admin",
+  warden: "a hostel warden",
+  porter: "a hostel porter",
+  bursary: "a bursary officer",
+  auditor: "an auditor",
+}
+
+// Invite someone to create a staff account. Only staff who can manage roles can invite admins and super admins.
+// Any invitation still pending for the same email is revoked, so only the newest link works.
+const createInvitation = async ({ email, name, role, hostels, invitedBy }) => {
+  if (!STAFF_ROLES.includes(role)) {
+    throw createHttpError(400, `Role must be one of: ${STAFF_ROLES.join(", ")}`)
+  }
+
+  if (["super_admin", "admin"].includes(role) && !invitedBy.can("roles:manage")) {
+    throw createHttpError(403, "Only super admins can invite admins")
+  }
+
+  const hostelIds = await resolveManagedHostels(role, hostels)
+
+  const normalizedEmail = String(email).toLowerCase().trim()
+
+  if (await User.exists({ email: normalizedEmail })) {
+    throw createHttpError(400, "A user with this email already exists")
+  }
+
+  await Invitation.updateMany(
+    { email: normalizedEmail, ...Invitation.pendingFilter() },
+    { revokedAt: new Date() },
+  )
+
+  const token = randomToken()
+
+  const invitation = await Invitation.create({
+    email: normalizedEmail,
+    name,
+    role,
+    hostels: hostelIds,
+    invitedBy: invitedBy._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000),
+  })
+
+  await queueEmail({
+    to: invitation.email,
+    template: "invitation",
+    data: {
+      recipientName: name || invitation.email,
+      invitedByName: invitedBy.name,
+      roleName: ROLE_NAMES[role],
+      acceptUrl: `${APP_URL}/accept-invite?token=${encodeURIComponent(token)}`,
+      expiresInDays: INVITATION_TTL_DAYS,
+    },
+  })
+
+  return invitation
+}
+
+// Create the invited staff account with the password and details the invitee chose. The invitation is claimed with
+// a conditional update, so one link cannot create two accounts; it is released again if the account cannot
+// be saved.
+const acceptInvitation = async ({ token, name, password, gender, phoneNumber }) => {
+  const invitation = await Invitation.findOne({ tokenHash: hashToken(token), ...Invitation.pendingFilter() })
+
+  if (!invitation) {
+    throw createHttpError(400, "This invitation is invalid or has expired")
+  }
+
+  // The invitee proved they own the email by opening the link
+  const user = new User({
+    name: name || invitation.name,
+    email: invitation.email,
+    password,
+    role: invitation.role,
+    gender,
+    phoneNumber,
+    emailVerified: true,
+    emailVerifiedAt: new Date(),
+  })
+
+  await user.validate()
+
+  const claimed = await Invitation.findOneAndUpdate(
+    { _id: invitation._id, ...Invitation.pendingFilter() },
+    { acceptedAt: new Date(), acceptedUser: user._id },
+    { new: true },
+  )
+
+  if (!claimed) {
+    throw createHttpError(400, "This invitation is invalid or has expired")
+  }
+
+  try {
+    await user.save()
+  } catch (error) {
+    await Invitation.updateOne({ _id: invitation._id }, { acceptedAt: null, acceptedUser: null })
+    throw error
+  }
+
+  await setManagedHostels(user._id, invitation.hostels)
+
+  return { user, invitation: claimed }
+}
+
+module.exports = {
+  INVITATION_TTL_DAYS,
+  createInvitation,
+  acceptInvitation,
+}
@@ -0,0 +1,15 @@
+const crypto = require("crypto")
+
+// Writes emails to the server log instead of sending them, for local development
+const send = async ({ from, to, subject, text }) => {
+  const messageId = `console-${crypto.randomUUID()}`
+
+  console.log(`📧 Email from ${from} to ${to}: ${subject}\n${text}`)
+
+  return { messageId }
+}
+
+module.exports = {
+  name: "console",
+  send,
+}
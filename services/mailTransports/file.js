@@ -0,0 +1,22 @@
+const crypto = require("crypto")
+const fs = require("fs")
+const path = require("path")
+
+// Saves each email as a JSON file under EMAIL_OUTPUT_PATH, so tests and local runs can inspect what was sent
+const OUTPUT_PATH = path.resolve(process.env.EMAIL_OUTPUT_PATH || "./mail")
+
+const send = async ({ from, to, subject, text, html }) => {
+  const messageId = `file-${crypto.randomUUID()}`
+  const filePath = path.join(OUTPUT_PATH, `${Date.now()}-${messageId}.json`)
+
+  await fs.promises.mkdir(OUTPUT_PATH, { recursive: true })
+  await fs.promises.writeFile(filePath, JSON.stringify({ messageId, from, to, subject, text, html }, null, 2))
+
+  return { messageId }
+}
+
+module.exports = {
+  name: "file",
+  OUTPUT_PATH,
+  send,
+}
@@ -0,0 +1,32 @@
+const consoleTransport = require("./console")
+const file = require("./file")
+const smtp = require("./smtp")
+
+// Every transport exposes the same interface:
+// - send({ from, to, subject, text, html }) -> { messageId }, throwing when the message was not accepted
+const transports = { console: consoleTransport, file, smtp }
+
+// Environments where emails may go to the server log when no transport is chosen
+const LOG_FALLBACK_ENVIRONMENTS = ["development", "test"]
+
+// Transport chosen with EMAIL_TRANSPORT. Only development and test fall back to the server log; anywhere else
+// that would silently lose every email, so a missing choice is an error.
+const getMailTransport = (name = process.env.EMAIL_TRANSPORT) => {
+  if (!name) {
+    if (!LOG_FALLBACK_ENVIRONMENTS.includes(process.env.NODE_ENV)) {
+      throw new Error("EMAIL_TRANSPORT is not configured")
+    }
+
+    return consoleTransport
+  }
+
+  const transport = transports[name]
+
+  if (!transport) {
+    throw new Error(`Unknown email transport: ${name}`)
+  }
+
+  return transport
+}
+
+module.exports = { getMailTransport }
@@ -0,0 +1,76 @@
+const User = require("../models/User")
+const Hostel = require("../models/Hostel")
+const Notification = require("../models/Notification")
+const { queueEmail } = require("./email")
+const { smsUser, smsGuardian } = require("./sms")
+const { renderNotification } = require("./emailTemplates")
+const { rolesWith, unscopedRolesWith } = require("../config/permissions")
+
+const idOf = (value) => (value && value._id) || value || null
+
+// Tell a user about an event using one of the templates in emailTemplates: an entry in their in-app inbox,
+// an email unless email is false and, with sms, a text if they opted in, copied to the guardian on
+// data.application. Notifications are best effort: a failure is logged and never undoes or fails the action
+// that triggered it.
+const notify = async (userId, template, data = {}, { email = true, sms = false } = {}) => {
+  try {
+    const user = await User.findById(userId).select("name email phoneNumber smsOptIn")
+    if (!user) return null
+
+    const templateData = { recipientName: user.name, ...data }
+    const { title, message } = renderNotification(template, templateData)
+
+    const notification = await Notification.create({
+      user: user._id,
+      type: template,
+      title,
+      message,
+      application: idOf(data.application),
+      room: idOf(data.room),
+    })
+
+    if (email) {
+      await queueEmail({ to: user.email, user: user._id, template, data: templateData })
+    }
+
+    if (sms) {
+      const text = message.replace(/\n+/g, " ")
+      await smsUser(user, { purpose: template, message: text })
+
+      // The guardian on the application the event is about gets a copy
+      if (data.application) {
+        await smsGuardian(user, idOf(data.application), { purpose: template, message: text })
+      }
+    }
+
+    return notification
+  } catch (error) {
+    console.error(`Failed to notify user ${userId} (${template}):`, error)
+    return null
+  }
+}
+
+// Tell a user about something that happened to their account in a free-form message
+const notifyUser = async (userId, { subject, message }) => notify(userId, "notice", { subject, message })
+
+// Put an entry in the inbox of the staff managing a hostel who can review applications, or of every admin
+// when none of them can
+const notifyHostelManagers = async (hostelId, template, data = {}) => {
+  try {
+    const hostel = hostelId ? await Hostel.findById(hostelId).select("name managers") : null
+    const active = { role: { $in: rolesWith("applications:review") }, isActive: true }
+
+    let managers = hostel ? await User.find({ ...active, _id: { $in: hostel.managers } }).select("_id") : []
+    if (managers.length === 0) {
+      const admins = { role: { $in: unscopedRolesWith("applications:review") }, isActive: true }
+      managers = await User.find(admins).select("_id")
+    }
+
+    return await Promise.all(managers.map(({ _id }) => notify(_id, template, { ...data, hostel }, { email: false })))
+  } catch (error) {
+    console.error(`Failed to notify managers of hostel ${hostelId} (${template}):`, error)
+    return []
+  }
+}
+
+module.exports = { notify, notifyUser, notifyHostelManagers }
@@ -0,0 +1,214 @@
+const Occupancy = require("../models/Occupancy")
+const Application = require("../models/Application")
+const { removeStudentFromRoom } = require("./roomAssignment")
+const { issueInvoice, voidAccommodationInvoice } = require("./billing")
+const { notifyUser } = require("./notifications")
+const createHttpError = require("../utils/httpError")
+
+// Days an assigned student has to check in before their bed can be released
+const CHECKIN_GRACE_DAYS = Number.parseInt(process.env.CHECKIN_GRACE_DAYS) || 7
+
+// How often expired reservation holds are swept
+const HOLD_SWEEP_INTERVAL_MS = Number.parseInt(process.env.HOLD_SWEEP_INTERVAL_MS) || 5 * 60 * 1000
+
+const graceCutoff = (graceDays = CHECKIN_GRACE_DAYS) => new Date(Date.now() - graceDays * 24 * 60 * 60 * 1000)
+
+// Record the student's arrival: key handed over and room condition acknowledged
+const checkIn = async (occupancy, { date, keyIssued, conditionAcknowledged, notes }, userId) => {
+  if (occupancy.status !== "assigned") {
+    throw createHttpError(400, "Only assigned occupancies can be checked in")
+  }
+
+  if (occupancy.hold.status !== "confirmed") {
+    throw createHttpError(400, "The bed is only held provisionally. It must be paid for or waived before check-in")
+  }
+
+  if (!conditionAcknowledged) {
+    throw createHttpError(400, "The student must acknowledge the room condition to check in")
+  }
+
+  occupancy.checkIn = {
+    date: date ? new Date(date) : new Date(),
+    keyIssued: Boolean(keyIssued),
+    conditionAcknowledged: true,
+    notes,
+    by: userId,
+  }
+
+  return await occupancy.transition("checked_in", userId, notes || "Checked in")
+}
+
+// Record the student's departure and free their bed. Charged damages are billed to the application.
+const checkOut = async (occupancy, { date, cleared, keyReturned, damages = [], notes }, userId) => {
+  if (occupancy.status !== "checked_in") {
+    throw createHttpError(400, "Only checked-in occupancies can be checked out")
+  }
+
+  const { occupancy: closed } = await removeStudentFromRoom({
+    studentId: occupancy.student,
+    roomId: occupancy.room,
+    outcome: "checked_out",
+    by: userId,
+    note: notes || "Checked out",
+    checkOut: {
+      date: date ? new Date(date) : new Date(),
+      cleared: Boolean(cleared),
+      keyReturned: Boolean(keyReturned),
+      damages,
+      notes,
+    },
+  })
+
+  const charged = (closed ? closed.checkOut.damages : []).filter((damage) => damage.charge > 0)
+  const application = occupancy.application ? await Application.findById(occupancy.application) : null
+
+  if (application && charged.length > 0) {
+    await issueInvoice({
+      application,
+      kind: "damages",
+      room: occupancy.room,
+      items: charged.map((damage) => ({ description: `Damage: ${damage.description}`, amount: damage.charge })),
+      by: userId,
+    })
+  }
+
+  return closed
+}
+
+// Take back the bed of a student who never checked in
+const releaseOccupancy = async (occupancy, userId, note = "") => {
+  if (occupancy.status !== "assigned") {
+    throw createHttpError(400, "Only occupancies that have not been checked in can be released")
+  }
+
+  const { occupancy: closed } = await removeStudentFromRoom({
+    studentId: occupancy.student,
+    roomId: occupancy.room,
+    outcome: "released",
+    by: userId,
+    note: note || "Released: not checked in within the grace period",
+  })
+
+  return closed
+}
+
+// Filter for students assigned a bed longer ago than the grace period who have not checked in
+const overdueFilter = (graceDays) => ({
+  status: "assigned",
+  assignedAt: { $lte: graceCutoff(graceDays) },
+})
+
+// Release every overdue occupancy matching scopeFilter, reporting the ones that could not be released
+const releaseOverdue = async (userId, graceDays = CHECKIN_GRACE_DAYS, scopeFilter = {}) => {
+  const overdue = await Occupancy.find({ ...overdueFilter(graceDays), ...scopeFilter })
+
+  const released = []
+  const failed = []
+
+  for (const occupancy of overdue) {
+    try {
+      released.push(await releaseOccupancy(occupancy, userId))
+    } catch (error) {
+      failed.push({ occupancy: occupancy._id, student: occupancy.student, reason: error.message })
+    }
+  }
+
+  return { released, failed }
+}
+
+// Confirm a provisional hold without payment
+const waiveHold = async (occupancy, { reason, by }) => {
+  if (!occupancy.isActive || occupancy.hold.status !== "provisional") {
+    throw createHttpError(400, "Only provisional holds can be waived")
+  }
+
+  occupancy.hold.status = "confirmed"
+  occupancy.hold.confirmedAt = new Date()
+  occupancy.hold.confirmedBy = by
+  occupancy.hold.method = "waiver"
+  occupancy.hold.note = reason
+  occupancy.history.push({ status: occupancy.status, by, note: `Hold confirmed by waiver: ${reason}`, at: new Date() })
+
+  return await occupancy.save()
+}
+
+// Release beds whose provisional hold ran out before payment or a waiver, void their unpaid
+// accommodation invoice and tell the student. Only occupancies matching scopeFilter are considered.
+const expireHolds = async (scopeFilter = {}) => {
+  const due = await Occupancy.find({
+    ...scopeFilter,
+    status: { $in: Occupancy.ACTIVE_STATUSES },
+    "hold.status": "provisional",
+    "hold.expiresAt": { $lte: new Date() },
+  }).select("_id")
+
+  const expired = []
+
+  for (const { _id } of due) {
+    // Claim the hold first so a payment confirming it at the same moment is not overridden
+    const occupancy = await Occupancy.findOneAndUpdate(
+      { _id, "hold.status": "provisional" },
+      { "hold.status": "expired" },
+      { new: true },
+    ).populate("room", "number hostelName")
+
+    if (!occupancy) continue
+
+    try {
+      await removeStudentFromRoom({
+        studentId: occupancy.student,
+        roomId: occupancy.room._id,
+        outcome: "released",
+        note: "Reservation hold expired before payment",
+        notifyStudent: false,
+      })
+    } catch (error) {
+      // The removal rolled back and the bed is still taken, so put the hold back for the next sweep (or a
+      // payment) to pick up instead of leaving it expired on an active occupancy
+      console.error(`Failed to release expired hold ${_id}:`, error)
+      await Occupancy.updateOne({ _id, "hold.status": "expired" }, { "hold.status": "provisional" }).catch(
+        (restoreError) => console.error(`Failed to restore hold ${_id}:`, restoreError),
+      )
+      continue
+    }
+
+    expired.push(occupancy)
+
+    try {
+      if (occupancy.application) {
+        await voidAccommodationInvoice(occupancy.application, { reason: "Reservation hold expired before payment" })
+      }
+
+      await notifyUser(occupancy.student, {
+        subject: "Your bed reservation has expired",
+        message: `Your hold on room ${occupancy.room.number} in ${occupancy.room.hostelName} expired before payment was received, and the bed has been released.`,
+      })
+    } catch (error) {
+      console.error(`Failed to wrap up expired hold ${_id}:`, error)
+    }
+  }
+
+  return expired
+}
+
+// Periodically release expired holds; the timer does not keep the process alive
+const startHoldJob = () => {
+  const timer = setInterval(() => {
+    expireHolds().catch((error) => console.error("Hold sweep error:", error))
+  }, HOLD_SWEEP_INTERVAL_MS)
+
+  timer.unref()
+  return timer
+}
+
+module.exports = {
+  CHECKIN_GRACE_DAYS,
+  checkIn,
+  checkOut,
+  releaseOccupancy,
+  overdueFilter,
+  releaseOverdue,
+  waiveHold,
+  expireHolds,
+  startHoldJob,
+}
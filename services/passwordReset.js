@@ -0,0 +1,67 @@
+const User = require("../models/User")
+const AuthSession = require("../models/AuthSession")
+const { issueUserToken, consumeUserToken, issuedRecently } = require("./userTokens")
+const { queueEmail } = require("./email")
+const createHttpError = require("../utils/httpError")
+
+const PASSWORD_RESET_TTL_MINUTES = Number.parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30
+
+// A new reset email is not sent while the last one is this recent
+const PASSWORD_RESET_COOLDOWN_MS = 60 * 1000
+
+const APP_URL = process.env.APP_URL || "http://localhost:3000"
+
+// Email a reset link to the account with this email, if there is an active one. Callers respond the same
+// way either way, so the result does not reveal whether the email is registered.
+const requestPasswordReset = async ({ email, ip }) => {
+  const user = await User.findOne({ email: String(email).toLowerCase() })
+  if (!user || !user.isActive) return
+
+  if (await issuedRecently(user._id, "password_reset", PASSWORD_RESET_COOLDOWN_MS)) return
+
+  const token = await issueUserToken(user._id, "password_reset", {
+    ttlMs: PASSWORD_RESET_TTL_MINUTES * 60 * 1000,
+    ip,
+  })
+
+  await queueEmail({
+    to: user.email,
+    user: user._id,
+    template: "password_reset",
+    data: {
+      recipientName: user.name,
+      resetUrl: `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`,
+      expiresInMinutes: PASSWORD_RESET_TTL_MINUTES,
+    },
+  })
+}
+
+// Set a new password with a reset token, signing out every session that used the old one
+const resetPassword = async ({ token, password }) => {
+  const record = await consumeUserToken(token, "password_reset")
+  const user = record ? await User.findById(record.user) : null
+
+  if (!user || !user.isActive) {
+    throw createHttpError(400, "This reset link is invalid or has expired")
+  }
+
+  user.password = password
+  await user.save()
+
+  await AuthSession.revokeAll(user._id, "Password reset")
+
+  await queueEmail({
+    to: user.email,
+    user: user._id,
+    template: "password_changed",
+    data: { recipientName: user.name },
+  })
+
+  return user
+}
+
+module.exports = {
+  PASSWORD_RESET_TTL_MINUTES,
+  requestPasswordReset,
+  resetPassword,
+}
@@ -0,0 +1,31 @@
+const mock = require("./mock")
+const paystack = require("./paystack")
+const createHttpError = require("../../utils/httpError")
+
+// Every provider exposes the same interface:
+// - initialize({ reference, amount, email, metadata, callbackUrl }) -> { reference, authorizationUrl }
+// - verifySignature(rawBody, headers) -> Boolean
+// - parseEvent(body) -> { eventId, reference, status: "successful" | "failed", amount, paidAt } or null to ignore
+const providers = { mock, paystack }
+
+// Provider chosen with PAYMENT_PROVIDER. There is no default: falling back to the mock would let anyone who
+// knows its secret mark invoices paid, so it has to be asked for and is refused in production.
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER) => {
+  if (!name) {
+    throw createHttpError(500, "Payment gateway is not configured")
+  }
+
+  const provider = providers[name]
+
+  if (!provider) {
+    throw createHttpError(500, `Unknown payment provider: ${name}`)
+  }
+
+  if (provider === mock && process.env.NODE_ENV === "production") {
+    throw createHttpError(500, "The mock payment provider cannot be used in production")
+  }
+
+  return provider
+}
+
+module.exports = { getPaymentProvider }
@@ -0,0 +1,59 @@
+const crypto = require("crypto")
+const createHttpError = require("../../utils/httpError")
+
+// Local stand-in for a card/bank gateway. Nothing leaves the server: payments are "completed" by posting
+// a webhook signed with MOCK_PAYMENT_SECRET, which buildWebhook produces for tests and local development.
+const SIGNATURE_HEADER = "x-mock-signature"
+
+// There is deliberately no fallback secret, so callbacks cannot be forged with a value from the source
+const secret = () => {
+  if (!process.env.MOCK_PAYMENT_SECRET) {
+    throw createHttpError(500, "Payment gateway is not configured")
+  }
+  return process.env.MOCK_PAYMENT_SECRET
+}
+
+const sign = (rawBody) => crypto.createHmac("sha256", secret()).update(rawBody).digest("hex")
+
+// There is no checkout page, so students are pointed at the payment itself
+const initialize = async ({ reference }) => ({
+  reference,
+  authorizationUrl: `${process.env.API_BASE_URL || "http://localhost:4000/api"}/payments/${reference}`,
+})
+
+const verifySignature = (rawBody, headers) => {
+  const signature = headers[SIGNATURE_HEADER]
+  if (!rawBody || typeof signature !== "string") return false
+
+  const expected = Buffer.from(sign(rawBody))
+  const received = Buffer.from(signature)
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received)
+}
+
+// Events look like { id, reference, status: "success" | "failed", amount, paidAt }
+const parseEvent = (body) => ({
+  eventId: body.id,
+  reference: body.reference,
+  status: body.status === "success" ? "successful" : "failed",
+  amount: Number(body.amount),
+  paidAt: body.paidAt ? new Date(body.paidAt) : new Date(),
+})
+
+// Build a signed webhook request for a payment, as the gateway would send it
+const buildWebhook = ({ reference, amount, status = "success", id = crypto.randomUUID() }) => {
+  const rawBody = JSON.stringify({ id, reference, status, amount, paidAt: new Date().toISOString() })
+
+  return {
+    rawBody,
+    headers: { "content-type": "application/json", [SIGNATURE_HEADER]: sign(rawBody) },
+  }
+}
+
+module.exports = {
+  name: "mock",
+  initialize,
+  verifySignature,
+  parseEvent,
+  buildWebhook,
+}
@@ -0,0 +1,76 @@
+const crypto = require("crypto")
+const createHttpError = require("../../utils/httpError")
+
+// Paystack card/bank gateway. Amounts are sent in kobo and reported back in naira.
+const API_URL = "https://api.paystack.co"
+const SIGNATURE_HEADER = "x-paystack-signature"
+
+const secretKey = () => {
+  if (!process.env.PAYSTACK_SECRET_KEY) {
+    throw createHttpError(500, "Payment gateway is not configured")
+  }
+  return process.env.PAYSTACK_SECRET_KEY
+}
+
+const initialize = async ({ reference, amount, email, metadata, callbackUrl }) => {
+  const response = await fetch(`${API_URL}/transaction/initialize`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${secretKey()}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      reference,
+      email,
+      amount: Math.round(amount * 100),
+      currency: "NGN",
+      metadata,
+      callback_url: callbackUrl,
+    }),
+  })
+
+  const result = await response.json().catch(() => ({}))
+
+  if (!response.ok || !result.status) {
+    throw createHttpError(502, result.message || "Payment gateway rejected the payment")
+  }
+
+  return {
+    reference: result.data.reference,
+    authorizationUrl: result.data.authorization_url,
+  }
+}
+
+const verifySignature = (rawBody, headers) => {
+  const signature = headers[SIGNATURE_HEADER]
+  if (!rawBody || typeof signature !== "string") return false
+
+  const expected = Buffer.from(crypto.createHmac("sha512", secretKey()).update(rawBody).digest("hex"))
+  const received = Buffer.from(signature)
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received)
+}
+
+// Only charge events settle payments; anything else is acknowledged and ignored
+const parseEvent = (body) => {
+  const data = body.data || {}
+
+  if (body.event !== "charge.success" && body.event !== "charge.failed") {
+    return null
+  }
+
+  return {
+    eventId: data.id ? String(data.id) : null,
+    reference: data.reference,
+    status: body.event === "charge.success" ? "successful" : "failed",
+    amount: Number(data.amount) / 100,
+    paidAt: data.paid_at ? new Date(data.paid_at) : new Date(),
+  }
+}
+
+module.exports = {
+  name: "paystack",
+  initialize,
+  verifySignature,
+  parseEvent,
+}
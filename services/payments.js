@@ -0,0 +1,128 @@
+const crypto = require("crypto")
+const Application = require("../models/Application")
+const LedgerEntry = require("../models/LedgerEntry")
+const Payment = require("../models/Payment")
+const { getPaymentProvider } = require("./paymentProviders")
+const { recordLedgerEntry } = require("./billing")
+const createHttpError = require("../utils/httpError")
+const runInTransaction = require("../utils/transaction")
+
+const newReference = () =>
+  `PAY-${Date.now().toString(36).toUpperCase()}-${crypto.randomBytes(4).toString("hex").toUpperCase()}`
+
+// Amount still owed on an invoice after the payments and refunds recorded against it
+const invoiceOutstanding = async (invoice) => {
+  const entries = await LedgerEntry.find({ invoice: invoice._id, type: { $in: ["payment", "refund"] } })
+
+  const settled = entries.reduce((sum, entry) => sum - entry.signedAmount, 0)
+
+  return Math.max(0, invoice.total - settled)
+}
+
+// Start a gateway payment for what is left on an invoice
+const initializePayment = async ({ invoice, student, callbackUrl }) => {
+  if (invoice.status !== "issued") {
+    throw createHttpError(400, "Only issued invoices can be paid")
+  }
+
+  const amount = await invoiceOutstanding(invoice)
+  if (amount <= 0) {
+    throw createHttpError(400, "This invoice has already been paid")
+  }
+
+  const provider = getPaymentProvider()
+
+  const payment = await Payment.create({
+    reference: newReference(),
+    provider: provider.name,
+    student: invoice.student,
+    application: invoice.application,
+    invoice: invoice._id,
+    amount,
+  })
+
+  try {
+    const { authorizationUrl } = await provider.initialize({
+      reference: payment.reference,
+      amount,
+      email: student.email,
+      metadata: { invoice: invoice.number, matricNumber: student.matricNumber },
+      callbackUrl,
+    })
+
+    payment.authorizationUrl = authorizationUrl
+    return await payment.save()
+  } catch (error) {
+    payment.status = "failed"
+    await payment.save()
+    throw error
+  }
+}
+
+// Settle a payment from a gateway callback. Callbacks are verified against the provider's signature, and
+// repeated callbacks for a settled payment are recorded but change nothing.
+const handleWebhook = async ({ rawBody, headers, body }) => {
+  const provider = getPaymentProvider()
+
+  if (!provider.verifySignature(rawBody, headers)) {
+    throw createHttpError(401, "Invalid webhook signature")
+  }
+
+  const event = provider.parseEvent(body)
+  if (!event || !event.reference) {
+    return { outcome: "ignored" }
+  }
+
+  const received = { eventId: event.eventId, status: event.status, amount: event.amount }
+
+  return await runInTransaction(async (session) => {
+    // Only the first callback moves the payment out of pending
+    const payment = await Payment.findOneAndUpdate(
+      { reference: event.reference, provider: provider.name, status: "pending" },
+      {
+        status: event.status,
+        amountPaid: event.status === "successful" ? event.amount : null,
+        paidAt: event.status === "successful" ? event.paidAt : null,
+        $push: { events: received },
+      },
+      { new: true, session },
+    )
+
+    if (!payment) {
+      const settled = await Payment.findOneAndUpdate(
+        { reference: event.reference, provider: provider.name },
+        { $push: { events: { ...received, duplicate: true } } },
+        { new: true, session },
+      )
+
+      return { outcome: settled ? "duplicate" : "ignored", payment: settled }
+    }
+
+    if (payment.status === "successful") {
+      const application = await Application.findById(payment.application).session(session)
+
+      const { entry } = await recordLedgerEntry(
+        {
+          application,
+          type: "payment",
+          amount: event.amount,
+          description: `Payment ${payment.reference} via ${provider.name}`,
+          reference: payment.reference,
+          invoice: payment.invoice,
+        },
+        session,
+      )
+
+      payment.ledgerEntry = entry._id
+      await payment.save({ session })
+    }
+
+    return { outcome: payment.status, payment }
+  })
+}
+
+module.exports = {
+  invoiceOutstanding,
+  initializePayment,
+  handleWebhook,
+}
@@ -0,0 +1,77 @@
+const Application = require("../models/Application")
+const User = require("../models/User")
+const PriorityRule = require("../models/PriorityRule")
+const AcademicSession = require("../models/AcademicSession")
+
+// Score an application against a set of rules and return the stored priority shape
+const scoreApplication = ({ application, student, session, rules }) => {
+  const breakdown = rules
+    .filter((rule) => rule.matches({ application, student, session }))
+    .map((rule) => ({ rule: rule._id, name: rule.name, points: rule.points }))
+
+  return {
+    score: breakdown.reduce((sum, item) => sum + item.points, 0),
+    breakdown,
+    computedAt: new Date(),
+  }
+}
+
+const loadStudent = async (application) => {
+  // Accept both populated and unpopulated student references
+  const student = application.student
+  if (student && student.level !== undefined) return student
+  return await User.findById(student && student._id ? student._id : student).select("level department")
+}
+
+// Compute and save the priority of a single application
+const computePriority = async (application) => {
+  const [rules, student, session] = await Promise.all([
+    PriorityRule.find({ isActive: true }),
+    loadStudent(application),
+    AcademicSession.findOne({ academicYear: application.academicYear, semester: application.semester }),
+  ])
+
+  const priority = scoreApplication({ application, student: student || {}, session, rules })
+
+  await Application.updateOne({ _id: application._id }, { priority })
+  application.set("priority", priority)
+
+  return priority
+}
+
+// Re-score every application matching a filter, e.g. after the rules were edited
+const rescoreApplications = async (filter = {}) => {
+  const rules = await PriorityRule.find({ isActive: true })
+  const sessions = {}
+  let count = 0
+
+  const cursor = Application.find(filter).populate("student", "level department").cursor()
+
+  for await (const application of cursor) {
+    const sessionKey = `${application.academicYear}-${application.semester}`
+    if (!(sessionKey in sessions)) {
+      sessions[sessionKey] = await AcademicSession.findOne({
+        academicYear: application.academicYear,
+        semester: application.semester,
+      })
+    }
+
+    const priority = scoreApplication({
+      application,
+      student: application.student || {},
+      session: sessions[sessionKey],
+      rules,
+    })
+
+    await Application.updateOne({ _id: application._id }, { priority })
+    count++
+  }
+
+  return count
+}
+
+module.exports = {
+  scoreApplication,
+  computePriority,
+  rescoreApplications,
+}
@@ -0,0 +1,375 @@
+const Room = require("../models/Room")
+const User = require("../models/User")
+const Application = require("../models/Application")
+const WaitlistEntry = require("../models/WaitlistEntry")
+const Occupancy = require("../models/Occupancy")
+const AcademicSession = require("../models/AcademicSession")
+const { offerFreedBeds, releaseOfferedBeds, offeredBedHeld, returnToQueue } = require("./waitlist")
+const { issueRoomInvoice, refreshPaymentStatus } = require("./billing")
+const { notify } = require("./notifications")
+const createHttpError = require("../utils/httpError")
+const runInTransaction = require("../utils/transaction")
+
+// The writes of one assignment, made in the caller's transaction
+const assignInSession = async ({ studentId, roomId, applicationId, bedLabel = null, assignedBy = null }, session) => {
+  const student = await User.findById(studentId).session(session)
+  if (!student) {
+    throw createHttpError(404, "Student not found")
+  }
+
+  if (student.roomAssigned) {
+    throw createHttpError(400, "Student is already assigned to a room")
+  }
+
+  const room = await Room.findById(roomId).session(session)
+  if (!room) {
+    throw createHttpError(404, "Room not found")
+  }
+
+  if (student.gender !== room.gender) {
+    throw createHttpError(400, "Student gender does not match room gender")
+  }
+
+  let application = null
+  if (applicationId) {
+    application = await Application.findById(applicationId).session(session)
+    if (application && application.student.toString() !== student._id.toString()) {
+      throw createHttpError(400, "Application does not belong to this student")
+    }
+  }
+
+  // A bed the student was offered from the waitlist is reserved for them, so give it back before assigning.
+  // Their offers are closed below either way.
+  const releasedRooms = await releaseOfferedBeds(student._id, room, session)
+
+  await room.assignStudent(student._id, bedLabel)
+
+  // Only claim the student if no concurrent request assigned them elsewhere. A transaction claiming them at
+  // the same moment surfaces as a WriteConflict (code 112).
+  const claimed = await User.findOneAndUpdate(
+    { _id: student._id, roomAssigned: null },
+    { roomAssigned: room._id },
+    { new: true, session },
+  ).catch((error) => {
+    if (error.code === 112) return null
+    throw error
+  })
+
+  if (!claimed) {
+    throw createHttpError(409, "Student was assigned to another room in the meantime")
+  }
+
+  if (application) {
+    await application.assignRoom(room._id)
+  }
+
+  await WaitlistEntry.closeForStudent(student._id, session)
+
+  let hold = null
+
+  if (application) {
+    const invoice = await issueRoomInvoice({ application, room, by: assignedBy }, session)
+    const { paymentStatus } = await refreshPaymentStatus(application._id, session)
+
+    if (invoice && paymentStatus !== "paid") {
+      const hours = await AcademicSession.holdExpiryHoursFor(application.academicYear, application.semester, session)
+      hold = { status: "provisional", expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000) }
+    }
+  }
+
+  const occupancy = await Occupancy.open(
+    { studentId: student._id, room, applicationId: application ? application._id : null, hold, by: assignedBy },
+    session,
+  )
+
+  return { room, student: claimed, application, occupancy, releasedRooms }
+}
+
+// Once an assignment is committed, offer on any bed the student's waitlist offer held in another room and
+// tell the student
+const afterAssigned = async ({ room, student, application, occupancy, releasedRooms }) => {
+  for (const roomId of releasedRooms) {
+    await offerFreedBeds(roomId).catch((error) => console.error("Waitlist offer error:", error))
+  }
+
+  await notify(
+    student._id,
+    "room_assigned",
+    {
+      room,
+      application,
+      bedLabel: occupancy.bedLabel,
+      holdExpiresAt: occupancy.hold && occupancy.hold.status === "provisional" ? occupancy.hold.expiresAt : null,
+    },
+    { sms: true },
+  )
+}
+
+// Assign a student to a room, updating Room, User and (optionally) Application as one unit and opening
+// an occupancy that awaits check-in. Beds billed to an unpaid application are only held provisionally,
+// for the hours configured on the application's session.
+// The student is emailed once the assignment is committed.
+// Throws an error with a `status` of 409 when the bed or student was claimed by a concurrent request.
+const assignStudentToRoom = async (assignment) => {
+  const result = await runInTransaction((session) => assignInSession(assignment, session))
+
+  await afterAssigned(result)
+  return result
+}
+
+// Make several assignments as one unit, e.g. a roommate group: if any of them fails, none are made and the
+// error is thrown. Students are emailed once all of them are committed.
+const assignStudentsToRooms = async (assignments) => {
+  const results = await runInTransaction(async (session) => {
+    const assigned = []
+    for (const assignment of assignments) {
+      assigned.push(await assignInSession(assignment, session))
+    }
+    return assigned
+  })
+
+  for (const result of results) {
+    await afterAssigned(result)
+  }
+  return results
+}
+
+// Assign a waitlisted student the bed they were offered. When the bed is gone, e.g. taken out of service in the
+// meantime, the student goes back to their place in the queue and is offered the next free bed, and an error
+// with a `status` of 409 is thrown.
+const acceptOffer = async (entry, { assignedBy = null } = {}) => {
+  if (entry.status !== "offered" || entry.offer.expiresAt < new Date()) {
+    throw createHttpError(400, "There is no outstanding offer to accept")
+  }
+
+  try {
+    return await assignStudentToRoom({
+      studentId: entry.student,
+      roomId: entry.offer.room,
+      applicationId: entry.application,
+      bedLabel: entry.offer.bedLabel,
+      assignedBy,
+    })
+  } catch (error) {
+    if (!error.status || (await offeredBedHeld(entry))) throw error
+
+    const requeued = await returnToQueue(entry)
+    throw createHttpError(
+      409,
+      requeued.status === "offered"
+        ? "The bed you were offered is no longer available, so you have been offered another one"
+        : "The bed you were offered is no longer available. You are back at your place on the waitlist",
+    )
+  }
+}
+
+// Remove a student from a room, clearing User.roomAssigned and ending the occupancy as one unit.
+// Applications are reverted to approved unless the student checked out at the end of their stay.
+// The freed bed is then offered to the waitlist, and the student is emailed with the note as the reason
+// unless they checked out or notifyStudent is false.
+const removeStudentFromRoom = async ({
+  studentId,
+  roomId,
+  outcome = "released",
+  by = null,
+  note = "",
+  checkOut = null,
+  notifyStudent = true,
+}) => {
+  const result = await runInTransaction(async (session) => {
+    const room = await Room.findById(roomId).session(session)
+    if (!room) {
+      throw createHttpError(404, "Room not found")
+    }
+
+    await room.removeStudent(studentId)
+
+    const student = await User.findOneAndUpdate(
+      { _id: studentId, roomAssigned: room._id },
+      { roomAssigned: null },
+      { new: true, session },
+    )
+
+    if (outcome !== "checked_out") {
+      await Application.updateMany(
+        { student: studentId, assignedRoom: room._id },
+        { $unset: { assignedRoom: 1 }, status: "approved" },
+        { session },
+      )
+    }
+
+    const occupancy = await Occupancy.closeActive(
+      { studentId, roomId: room._id, status: outcome, by, note, checkOut },
+      session,
+    )
+
+    return { room, student, occupancy }
+  })
+
+  await offerFreedBeds(roomId).catch((error) => console.error("Waitlist offer error:", error))
+
+  if (notifyStudent && outcome !== "checked_out") {
+    await notify(studentId, "room_removed", {
+      room: result.room,
+      bedLabel: result.occupancy ? result.occupancy.bedLabel : null,
+      reason: note,
+    })
+  }
+
+  return result
+}
+
+const copyHold = (hold) => ({
+  status: hold.status,
+  expiresAt: hold.expiresAt,
+  confirmedAt: hold.confirmedAt,
+  confirmedBy: hold.confirmedBy,
+  method: hold.method,
+  note: hold.note,
+})
+
+// Point a student's User record and assigned application at a new room, and carry the occupancy over
+const repointStudent = async ({ studentId, fromRoomId, toRoom, by, session }) => {
+  const student = await User.findOneAndUpdate(
+    { _id: studentId, roomAssigned: fromRoomId },
+    { roomAssigned: toRoom._id },
+    { new: true, session },
+  )
+
+  if (!student) {
+    throw createHttpError(409, "Student's room assignment changed in the meantime")
+  }
+
+  await Application.updateMany(
+    { student: studentId, assignedRoom: fromRoomId, status: "assigned" },
+    { assignedRoom: toRoom._id },
+    { session },
+  )
+
+  // The new bed needs its own check-in, since keys and room condition differ
+  const previous = await Occupancy.closeActive(
+    { studentId, roomId: fromRoomId, status: "transferred", by, note: "Moved through a room change" },
+    session,
+  )
+  // The hold, confirmed or still awaiting payment, moves with the student
+  await Occupancy.open(
+    {
+      studentId,
+      room: toRoom,
+      applicationId: previous ? previous.application : null,
+      hold: previous ? copyHold(previous.hold) : null,
+      by,
+    },
+    session,
+  )
+
+  return student
+}
+
+// Move an assigned student to another room as one unit. The bed they leave is offered to the waitlist.
+const moveStudent = async ({ studentId, toRoomId, by = null }) => {
+  const result = await runInTransaction(async (session) => {
+    const student = await User.findById(studentId).session(session)
+    if (!student) {
+      throw createHttpError(404, "Student not found")
+    }
+
+    if (!student.roomAssigned) {
+      throw createHttpError(400, "Student is not assigned to a room")
+    }
+
+    if (student.roomAssigned.toString() === toRoomId.toString()) {
+      throw createHttpError(400, "Student is already in this room")
+    }
+
+    const [fromRoom, toRoom] = await Promise.all([
+      Room.findById(student.roomAssigned).session(session),
+      Room.findById(toRoomId).session(session),
+    ])
+
+    if (!fromRoom || !toRoom) {
+      throw createHttpError(404, "Room not found")
+    }
+
+    if (student.gender !== toRoom.gender) {
+      throw createHttpError(400, "Student gender does not match room gender")
+    }
+
+    await fromRoom.removeStudent(student._id)
+    await toRoom.assignStudent(student._id)
+    await repointStudent({ studentId: student._id, fromRoomId: fromRoom._id, toRoom, by, session })
+
+    return { fromRoom, toRoom }
+  })
+
+  await offerFreedBeds(result.fromRoom._id).catch((error) => console.error("Waitlist offer error:", error))
+
+  return result
+}
+
+// Exchange the rooms of two assigned students as one unit. When otherRoomId is given, the other student must
+// still be in that room, so a swap agreed for one room never hands over another.
+const swapStudents = async ({ studentId, otherStudentId, otherRoomId = null, by = null }) => {
+  return await runInTransaction(async (session) => {
+    const [student, other] = await Promise.all([
+      User.findById(studentId).session(session),
+      User.findById(otherStudentId).session(session),
+    ])
+
+    if (!student || !other) {
+      throw createHttpError(404, "Student not found")
+    }
+
+    if (!student.roomAssigned || !other.roomAssigned) {
+      throw createHttpError(400, "Both students must be assigned to a room")
+    }
+
+    if (otherRoomId && other.roomAssigned.toString() !== otherRoomId.toString()) {
+      throw createHttpError(409, "The other student's room has changed since the swap was agreed")
+    }
+
+    if (student.roomAssigned.toString() === other.roomAssigned.toString()) {
+      throw createHttpError(400, "Both students are already in the same room")
+    }
+
+    if (student.gender !== other.gender) {
+      throw createHttpError(400, "Students of different genders cannot swap rooms")
+    }
+
+    const [roomA, roomB] = await Promise.all([
+      Room.findById(student.roomAssigned).session(session),
+      Room.findById(other.roomAssigned).session(session),
+    ])
+
+    if (!roomA || !roomB) {
+      throw createHttpError(404, "Room not found")
+    }
+
+    // Each student takes over the other's exact bed
+    const bedA = roomA.bedOf(student._id)
+    const bedB = roomB.bedOf(other._id)
+
+    if (!bedA || !bedB) {
+      throw createHttpError(409, "A student's room record is out of sync with the room's beds")
+    }
+
+    await roomA.removeStudent(student._id)
+    await roomB.removeStudent(other._id)
+    await roomA.assignStudent(other._id, bedA.label)
+    await roomB.assignStudent(student._id, bedB.label)
+
+    await repointStudent({ studentId: student._id, fromRoomId: roomA._id, toRoom: roomB, by, session })
+    await repointStudent({ studentId: other._id, fromRoomId: roomB._id, toRoom: roomA, by, session })
+
+    return { roomA, roomB }
+  })
+}
+
+module.exports = {
+  assignStudentToRoom,
+  assignStudentsToRooms,
+  acceptOffer,
+  removeStudentFromRoom,
+  moveStudent,
+  swapStudents,
+}
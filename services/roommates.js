@@ -0,0 +1,120 @@
+const Application = require("../models/Application")
+
+// Room type that holds a group of a given size
+const ROOM_TYPE_FOR_SIZE = { 2: "double", 3: "triple", 4: "quad" }
+
+const summarise = (application) => ({
+  application: application._id,
+  student: application.student._id,
+  name: application.student.name,
+  matricNumber: application.student.matricNumber,
+  gender: application.student.gender,
+  status: application.status,
+})
+
+// Find roommate groups among a session's applications.
+// - groups: students who all nominated each other, of one gender and small enough for one room
+// - broken: nominations that were not returned, or point at a student without an application this session
+// - conflicts: mutually linked students who do not form a valid group (not everyone nominated everyone,
+//   mixed genders or more than four students)
+const findRoommateGroups = async ({ academicYear, semester }) => {
+  const applications = await Application.find({
+    academicYear,
+    semester,
+    status: { $ne: "rejected" },
+  }).populate("student", "name matricNumber gender")
+
+  const byMatric = new Map()
+  for (const application of applications) {
+    if (application.student && application.student.matricNumber) {
+      byMatric.set(application.student.matricNumber, application)
+    }
+  }
+
+  const nominations = (application) =>
+    (application.preferences.preferredRoommates || []).filter(
+      (matricNumber) => matricNumber !== application.student.matricNumber,
+    )
+
+  const broken = []
+  const links = new Map()
+
+  for (const [matricNumber, application] of byMatric) {
+    links.set(matricNumber, new Set())
+
+    for (const nominee of nominations(application)) {
+      const other = byMatric.get(nominee)
+
+      if (!other) {
+        broken.push({ from: summarise(application), to: nominee, reason: "Nominee has no application this session" })
+      } else if (!nominations(other).includes(matricNumber)) {
+        broken.push({ from: summarise(application), to: nominee, reason: "Nomination was not returned" })
+      } else {
+        links.get(matricNumber).add(nominee)
+      }
+    }
+  }
+
+  // Connected components over mutual nominations
+  const visited = new Set()
+  const groups = []
+  const conflicts = []
+
+  for (const matricNumber of links.keys()) {
+    if (visited.has(matricNumber) || links.get(matricNumber).size === 0) continue
+
+    const component = []
+    const stack = [matricNumber]
+    visited.add(matricNumber)
+
+    while (stack.length > 0) {
+      const current = stack.pop()
+      component.push(current)
+
+      for (const next of links.get(current)) {
+        if (!visited.has(next)) {
+          visited.add(next)
+          stack.push(next)
+        }
+      }
+    }
+
+    const members = component.map((member) => byMatric.get(member))
+    const reasons = []
+
+    if (new Set(members.map((member) => member.student.gender)).size > 1) {
+      reasons.push("Members are of different genders")
+    }
+
+    if (members.length > 4) {
+      reasons.push("Group is larger than the biggest room")
+    }
+
+    const complete = component.every((member) =>
+      component.every((other) => other === member || links.get(member).has(other)),
+    )
+    if (!complete) {
+      reasons.push("Not every member nominated every other member")
+    }
+
+    const group = {
+      size: members.length,
+      gender: members[0].student.gender,
+      roomType: ROOM_TYPE_FOR_SIZE[members.length] || null,
+      members: members.map(summarise),
+    }
+
+    if (reasons.length > 0) {
+      conflicts.push({ ...group, reasons })
+    } else {
+      groups.push(group)
+    }
+  }
+
+  return { groups, broken, conflicts }
+}
+
+module.exports = {
+  ROOM_TYPE_FOR_SIZE,
+  findRoommateGroups,
+}
@@ -0,0 +1,158 @@
+const Application = require("../models/Application")
+const Occupancy = require("../models/Occupancy")
+const SelectionWindow = require("../models/SelectionWindow")
+const { assignStudentToRoom, removeStudentFromRoom } = require("./roomAssignment")
+const { voidAccommodationInvoice } = require("./billing")
+const createHttpError = require("../utils/httpError")
+
+const MINUTE_MS = 60 * 1000
+
+// Give every approved, unhoused applicant of a session a selection window. Applicants are ranked by priority
+// score and opened in batches: each batch opens slotMinutes after the previous one and stays open windowMinutes.
+// Windows that have not been used yet are replaced; students holding a claim keep theirs.
+const scheduleSelection = async ({
+  academicYear,
+  semester,
+  startsAt,
+  slotMinutes = 30,
+  batchSize = 20,
+  windowMinutes = null,
+}) => {
+  const start = new Date(startsAt)
+  if (Number.isNaN(start.getTime())) {
+    throw createHttpError(400, "A valid start time is required")
+  }
+
+  if (!(slotMinutes > 0) || !(batchSize > 0)) {
+    throw createHttpError(400, "Slot length and batch size must be positive")
+  }
+
+  const length = windowMinutes > 0 ? windowMinutes : slotMinutes
+
+  await SelectionWindow.deleteMany({ academicYear, semester, "claim.room": null })
+  const claimed = await SelectionWindow.find({ academicYear, semester }).select("student")
+  const claimedStudents = new Set(claimed.map((window) => window.student.toString()))
+
+  const applications = await Application.find({ academicYear, semester, status: "approved" })
+    .populate("student", "roomAssigned")
+    .sort({ "priority.score": -1, createdAt: 1 })
+
+  const eligible = applications.filter(
+    ({ student }) => student && !student.roomAssigned && !claimedStudents.has(student._id.toString()),
+  )
+
+  const windows = eligible.map((application, index) => {
+    const opensAt = new Date(start.getTime() + Math.floor(index / batchSize) * slotMinutes * MINUTE_MS)
+
+    return {
+      student: application.student._id,
+      application: application._id,
+      academicYear,
+      semester,
+      rank: claimed.length + index + 1,
+      opensAt,
+      closesAt: new Date(opensAt.getTime() + length * MINUTE_MS),
+    }
+  })
+
+  return await SelectionWindow.insertMany(windows)
+}
+
+// The window a student can choose a bed in right now, or an error explaining why they cannot
+const findOpenWindow = async (studentId) => {
+  const now = new Date()
+  const windows = await SelectionWindow.find({ student: studentId }).sort({ opensAt: -1 })
+
+  const open = windows.find((window) => window.opensAt <= now && window.closesAt >= now)
+  if (open) return open
+
+  const upcoming = windows.find((window) => window.opensAt > now)
+  if (upcoming) {
+    throw createHttpError(403, `Your selection window opens at ${upcoming.opensAt.toISOString()}`)
+  }
+
+  if (windows.length > 0) {
+    throw createHttpError(403, "Your selection window has closed")
+  }
+
+  throw createHttpError(403, "You do not have a selection window")
+}
+
+// Claim a bed for a student inside their window. The window is claimed before the bed so that a student
+// cannot hold two beds at once, and the bed assignment itself fails with 409 if another student got there first.
+const claimBed = async ({ student, roomId, bedLabel = null }) => {
+  const window = await findOpenWindow(student._id)
+
+  const reserved = await SelectionWindow.findOneAndUpdate(
+    { _id: window._id, "claim.room": null },
+    { claim: { room: roomId, bedLabel, claimedAt: new Date() } },
+    { new: true },
+  )
+
+  if (!reserved) {
+    throw createHttpError(400, "You already have a bed claimed. Release it before choosing another")
+  }
+
+  try {
+    const { room } = await assignStudentToRoom({
+      studentId: student._id,
+      roomId,
+      applicationId: window.application,
+      bedLabel,
+      assignedBy: student._id,
+    })
+
+    reserved.claim.bedLabel = room.bedOf(student._id).label
+    await reserved.save()
+
+    return { window: reserved, room }
+  } catch (error) {
+    await SelectionWindow.updateOne(
+      { _id: window._id, "claim.room": roomId },
+      { claim: { room: null, bedLabel: null, claimedAt: null } },
+    )
+    throw error
+  }
+}
+
+// Give up a claimed bed that has not been paid for, so the student can choose again while the window is open
+const releaseClaim = async ({ student }) => {
+  const window = await findOpenWindow(student._id)
+
+  if (!window.claim.room) {
+    throw createHttpError(400, "You have no claimed bed to release")
+  }
+
+  const occupancy = await Occupancy.findOne({
+    student: student._id,
+    room: window.claim.room,
+    status: { $in: Occupancy.ACTIVE_STATUSES },
+  })
+
+  if (occupancy && (occupancy.status !== "assigned" || occupancy.hold.status === "confirmed")) {
+    throw createHttpError(400, "A paid or checked-in bed cannot be released here. Ask the hostel office")
+  }
+
+  if (occupancy) {
+    await removeStudentFromRoom({
+      studentId: student._id,
+      roomId: window.claim.room,
+      outcome: "released",
+      by: student._id,
+      note: "Claim released by the student",
+      notifyStudent: false,
+    })
+
+    await voidAccommodationInvoice(window.application, { reason: "Bed claim released by the student", by: student._id })
+  }
+
+  window.claim = { room: null, bedLabel: null, claimedAt: null }
+  return await window.save()
+}
+
+module.exports = {
+  scheduleSelection,
+  findOpenWindow,
+  claimBed,
+  releaseClaim,
+}
@@ -0,0 +1,117 @@
+const User = require("../models/User")
+const Room = require("../models/Room")
+const Application = require("../models/Application")
+const SmsMessage = require("../models/SmsMessage")
+const { getSmsProvider } = require("./smsProviders")
+const { normalizePhoneNumber } = require("../utils/phone")
+
+const MAX_LENGTH = 640
+
+// Send one SMS and record the outcome. Invalid numbers and provider errors are recorded as failed
+// rather than thrown, so one bad number never stops a batch.
+const sendSms = async ({ to, message, purpose, user = null, recipient = "user" }) => {
+  const number = normalizePhoneNumber(to)
+  const text = message.length > MAX_LENGTH ? `${message.slice(0, MAX_LENGTH - 1)}…` : message
+  const provider = getSmsProvider()
+
+  const record = {
+    user,
+    recipient,
+    to: number || String(to || "none"),
+    purpose,
+    message: text,
+    provider: provider.name,
+  }
+
+  if (!number) {
+    return await SmsMessage.create({ ...record, status: "failed", error: "Invalid phone number" })
+  }
+
+  try {
+    const { messageId } = await provider.send({ to: number, message: text })
+    return await SmsMessage.create({ ...record, status: "sent", providerMessageId: messageId })
+  } catch (error) {
+    console.error(`SMS to ${number} failed:`, error)
+    return await SmsMessage.create({ ...record, status: "failed", error: error.message })
+  }
+}
+
+// Text a user who opted in to SMS. Returns null when they have not.
+const smsUser = async (user, { purpose, message }) => {
+  if (!user.smsOptIn || !user.phoneNumber) return null
+
+  return await sendSms({ to: user.phoneNumber, message, purpose, user: user._id })
+}
+
+// Text the guardian named on a student's application a copy of a text to the student, who must have opted in
+// to SMS. Returns null when they have not, or the guardian has no number of their own.
+const smsGuardian = async (user, applicationId, { purpose, message }) => {
+  if (!user.smsOptIn) return null
+
+  const application = await Application.findById(applicationId).select("personalInfo.guardianPhone")
+  const guardianPhone = application && application.personalInfo && application.personalInfo.guardianPhone
+
+  // Some students give their own number for their guardian
+  if (!guardianPhone || normalizePhoneNumber(guardianPhone) === normalizePhoneNumber(user.phoneNumber)) return null
+
+  return await sendSms({
+    to: guardianPhone,
+    message: `To the guardian of ${user.name}: ${message}`,
+    purpose,
+    user: user._id,
+    recipient: "guardian",
+  })
+}
+
+// Text every resident, optionally only those of one hostel, and with includeGuardians also the guardian and
+// emergency contact on their latest application. Emergency broadcasts ignore SMS preferences.
+const broadcastEmergency = async ({ message, hostel = null, includeGuardians = false }) => {
+  const filter = { role: "student", isActive: true, roomAssigned: { $ne: null } }
+
+  if (hostel) {
+    filter.roomAssigned = { $in: await Room.find({ hostel }).distinct("_id") }
+  }
+
+  const students = await User.find(filter).select("name phoneNumber")
+  const recipients = students.map((student) => ({ to: student.phoneNumber, user: student._id, recipient: "user" }))
+
+  if (includeGuardians) {
+    const applications = await Application.find({ student: { $in: students.map((student) => student._id) } })
+      .sort({ createdAt: -1 })
+      .select("student personalInfo")
+
+    const seen = new Set()
+    for (const application of applications) {
+      const studentId = application.student.toString()
+      if (seen.has(studentId)) continue
+      seen.add(studentId)
+
+      const { guardianPhone, emergencyContact } = application.personalInfo || {}
+      recipients.push({ to: guardianPhone, user: application.student, recipient: "guardian" })
+      const contactPhone = emergencyContact && emergencyContact.phone
+      recipients.push({ to: contactPhone, user: application.student, recipient: "emergency_contact" })
+    }
+  }
+
+  // A guardian may also be the emergency contact, or shared between siblings
+  const numbers = new Set()
+  const results = { sent: 0, failed: 0 }
+
+  for (const recipient of recipients) {
+    const number = normalizePhoneNumber(recipient.to)
+    if (number && numbers.has(number)) continue
+    if (number) numbers.add(number)
+
+    const sms = await sendSms({ ...recipient, message, purpose: "emergency_broadcast" })
+    results[sms.status]++
+  }
+
+  return results
+}
+
+module.exports = {
+  sendSms,
+  smsUser,
+  smsGuardian,
+  broadcastEmergency,
+}
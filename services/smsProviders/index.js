@@ -0,0 +1,18 @@
+const stub = require("./stub")
+
+// Every provider exposes the same interface:
+// - send({ to, message }) -> { messageId }, throwing when the message was not accepted. `to` is in +234 format.
+const providers = { stub }
+
+// Provider chosen with SMS_PROVIDER, defaulting to the local stub
+const getSmsProvider = (name = process.env.SMS_PROVIDER || "stub") => {
+  const provider = providers[name]
+
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${name}`)
+  }
+
+  return provider
+}
+
+module.exports = { getSmsProvider }
@@ -0,0 +1,25 @@
+const crypto = require("crypto")
+
+// Local stand-in for an SMS gateway. Nothing leaves the server: messages are logged and kept in memory,
+// where tests can read them from `sent` and empty it with clear().
+const sent = []
+
+const send = async ({ to, message }) => {
+  const messageId = `stub-${crypto.randomUUID()}`
+
+  sent.push({ messageId, to, message, sentAt: new Date() })
+  console.log(`📱 SMS to ${to}: ${message}`)
+
+  return { messageId }
+}
+
+const clear = () => {
+  sent.length = 0
+}
+
+module.exports = {
+  name: "stub",
+  send,
+  sent,
+  clear,
+}
@@ -0,0 +1,56 @@
+const mongoose = require("mongoose")
+const Hostel = require("../models/Hostel")
+const AuthSession = require("../models/AuthSession")
+const { STAFF_ROLES, isHostelScoped } = require("../config/permissions")
+const createHttpError = require("../utils/httpError")
+
+// Check the hostels a role would manage. Wardens and porters need at least one; other roles manage none.
+const resolveManagedHostels = async (role, hostelIds = []) => {
+  if (!isHostelScoped(role)) return []
+
+  const ids = [...new Set((hostelIds || []).map(String))]
+
+  if (ids.length === 0) {
+    throw createHttpError(400, `A ${role} must manage at least one hostel`)
+  }
+
+  const found = ids.every((id) => mongoose.isValidObjectId(id)) && (await Hostel.countDocuments({ _id: { $in: ids } }))
+
+  if (found !== ids.length) {
+    throw createHttpError(400, "One or more hostels were not found")
+  }
+
+  return ids
+}
+
+// Make the user a manager of exactly these hostels
+const setManagedHostels = async (userId, hostelIds) => {
+  await Hostel.updateMany({ _id: { $nin: hostelIds }, managers: userId }, { $pull: { managers: userId } })
+  if (hostelIds.length > 0) {
+    await Hostel.updateMany({ _id: { $in: hostelIds } }, { $addToSet: { managers: userId } })
+  }
+}
+
+// Give a member of staff a different role and the hostels it manages. Their sessions are signed out so no
+// device keeps access the new role does not grant.
+const changeStaffRole = async (user, { role, hostels }) => {
+  if (!STAFF_ROLES.includes(role) || !user.isStaff) {
+    throw createHttpError(400, "Only staff accounts can be given a staff role")
+  }
+
+  const hostelIds = await resolveManagedHostels(role, hostels)
+
+  user.role = role
+  await user.save()
+
+  await setManagedHostels(user._id, hostelIds)
+  await AuthSession.revokeAll(user._id, "Role changed")
+
+  return { user, hostels: hostelIds }
+}
+
+module.exports = {
+  resolveManagedHostels,
+  setManagedHostels,
+  changeStaffRole,
+}
@@ -0,0 +1,20 @@
+const local = require("./local")
+
+// Every storage backend exposes the same interface:
+// - save({ buffer, extension }) -> { key, size }
+// - read(key) -> readable stream of the file
+// - remove(key) -> deletes the file, ignoring keys that no longer exist
+const backends = { local }
+
+// Backend chosen with STORAGE_DRIVER, defaulting to local disk
+const getStorage = (name = process.env.STORAGE_DRIVER || "local") => {
+  const backend = backends[name]
+
+  if (!backend) {
+    throw new Error(`Unknown storage driver: ${name}`)
+  }
+
+  return backend
+}
+
+module.exports = { getStorage }
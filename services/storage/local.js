@@ -0,0 +1,51 @@
+const crypto = require("crypto")
+const fs = require("fs")
+const path = require("path")
+const createHttpError = require("../../utils/httpError")
+
+// Files live under UPLOAD_PATH, grouped by year and stored under random names
+const ROOT = path.resolve(process.env.UPLOAD_PATH || "./upload")
+
+// Resolve a storage key to a path, refusing keys that would escape the upload directory
+const resolveKey = (key) => {
+  const filePath = path.resolve(ROOT, key)
+
+  if (!filePath.startsWith(ROOT + path.sep)) {
+    throw createHttpError(400, "Invalid storage key")
+  }
+
+  return filePath
+}
+
+const save = async ({ buffer, extension = "" }) => {
+  const key = path.posix.join(String(new Date().getFullYear()), `${crypto.randomUUID()}${extension}`)
+  const filePath = resolveKey(key)
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+  await fs.promises.writeFile(filePath, buffer, { flag: "wx" })
+
+  return { key, size: buffer.length }
+}
+
+const read = async (key) => {
+  const filePath = resolveKey(key)
+
+  try {
+    await fs.promises.access(filePath, fs.constants.R_OK)
+  } catch (error) {
+    throw createHttpError(404, "File not found in storage")
+  }
+
+  return fs.createReadStream(filePath)
+}
+
+const remove = async (key) => {
+  await fs.promises.rm(resolveKey(key), { force: true })
+}
+
+module.exports = {
+  name: "local",
+  save,
+  read,
+  remove,
+}
@@ -0,0 +1,279 @@
+const crypto = require("crypto")
+const User = require("../models/User")
+const AuthSession = require("../models/AuthSession")
+const { queueEmail } = require("./email")
+const { requiresTwoFactor } = require("../config/permissions")
+const { generateSecret, verifyCode, otpauthUrl } = require("../utils/totp")
+const { hashToken } = require("../utils/tokens")
+const createHttpError = require("../utils/httpError")
+
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || "Caleb University Hostels"
+const RECOVERY_CODE_COUNT = 10
+
+// Wrong codes in a row before sign-in codes are refused for a while
+const MAX_FAILED_ATTEMPTS = 5
+const LOCKOUT_MINUTES = 15
+
+const SECRET_FIELDS = [
+  "+twoFactor.secret",
+  "+twoFactor.pendingSecret",
+  "+twoFactor.recoveryCodeHashes",
+  "+twoFactor.lastUsedStep",
+  "+twoFactor.failedAttempts",
+  "+twoFactor.lockedUntil",
+].join(" ")
+
+// Authenticator secrets have to be read back, so unlike tokens they cannot be hashed. They are encrypted with
+// AES-256-GCM under TWO_FACTOR_ENCRYPTION_KEY (falling back to JWT_SECRET) instead.
+const encryptionKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(String(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET))
+    .digest()
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv)
+  const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()])
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString("base64url")).join(".")
+}
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(".").map((part) => Buffer.from(part, "base64url"))
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv)
+  decipher.setAuthTag(tag)
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8")
+}
+
+// Recovery codes look like ABCD-EFGH and are matched ignoring case and dashes
+const normalizeRecoveryCode = (code) =>
+  String(code || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "")
+
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(4).toString("hex").toUpperCase()
+    return `${code.slice(0, 4)}-${code.slice(4)}`
+  })
+
+const hashRecoveryCodes = (codes) => codes.map((code) => hashToken(normalizeRecoveryCode(code)))
+
+const loadWithSecrets = (userId) => User.findById(userId).select(SECRET_FIELDS)
+
+// Where a user stands with two-factor authentication
+const twoFactorStatus = async (user) => {
+  const account = await loadWithSecrets(user._id)
+
+  return {
+    enabled: account.twoFactor.enabled,
+    enabledAt: account.twoFactor.enabledAt,
+    required: requiresTwoFactor(account.role),
+    recoveryCodesRemaining: account.twoFactor.enabled ? account.twoFactor.recoveryCodeHashes.length : 0,
+  }
+}
+
+// Start setting up an authenticator app. The secret only takes effect once confirmEnrollment sees a code from it.
+const startEnrollment = async (user) => {
+  if (user.twoFactor.enabled) {
+    throw createHttpError(400, "Two-factor authentication is already on")
+  }
+
+  const secret = generateSecret()
+
+  await User.updateOne({ _id: user._id }, { "twoFactor.pendingSecret": encryptSecret(secret) })
+
+  return {
+    secret,
+    otpauthUrl: otpauthUrl(secret, { issuer: TWO_FACTOR_ISSUER, account: user.email }),
+  }
+}
+
+// Turn two-factor authentication on with a code from the app being set up. Returns the recovery codes,
+// which are only ever shown this once.
+const confirmEnrollment = async (user, code) => {
+  const account = await loadWithSecrets(user._id)
+
+  if (account.twoFactor.enabled) {
+    throw createHttpError(400, "Two-factor authentication is already on")
+  }
+
+  if (!account.twoFactor.pendingSecret) {
+    throw createHttpError(400, "Start two-factor setup first")
+  }
+
+  const secret = decryptSecret(account.twoFactor.pendingSecret)
+  const step = verifyCode(secret, code)
+
+  if (step === null) {
+    throw createHttpError(400, "Invalid code. Check your authenticator app's clock and try again")
+  }
+
+  const recoveryCodes = generateRecoveryCodes()
+
+  account.twoFactor = {
+    enabled: true,
+    enabledAt: new Date(),
+    secret: account.twoFactor.pendingSecret,
+    pendingSecret: undefined,
+    recoveryCodeHashes: hashRecoveryCodes(recoveryCodes),
+    lastUsedStep: step,
+    failedAttempts: 0,
+    lockedUntil: null,
+  }
+  await account.save()
+
+  await queueEmail({
+    to: account.email,
+    user: account._id,
+    template: "two_factor_enabled",
+    data: { recipientName: account.name },
+  })
+
+  return { user: account, recoveryCodes }
+}
+
+// Count a wrong code, locking code entry after too many in a row
+const recordFailedAttempt = async (userId) => {
+  const account = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { "twoFactor.failedAttempts": 1 } },
+    { new: true },
+  ).select("+twoFactor.failedAttempts")
+
+  if (account && account.twoFactor.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+    await User.updateOne(
+      { _id: userId },
+      { "twoFactor.failedAttempts": 0, "twoFactor.lockedUntil": new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000) },
+    )
+  }
+}
+
+// Check a code from the user's authenticator app or one of their recovery codes. Both work once: a code for a
+// time step that was already used is refused, and a recovery code is removed when it is used. Returns how the
+// user proved themselves, or null for a wrong code.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  const account = await loadWithSecrets(user._id)
+
+  if (!account.twoFactor.enabled) {
+    throw createHttpError(400, "Two-factor authentication is not on")
+  }
+
+  if (account.twoFactor.lockedUntil > new Date()) {
+    const minutes = Math.ceil((account.twoFactor.lockedUntil - Date.now()) / 60000)
+    throw createHttpError(429, `Too many incorrect codes. Try again in ${minutes} minute(s)`)
+  }
+
+  const cleared = { "twoFactor.failedAttempts": 0, "twoFactor.lockedUntil": null }
+
+  if (code) {
+    const step = verifyCode(decryptSecret(account.twoFactor.secret), code)
+
+    // Conditional, so the same code cannot sign in twice even from two requests at once
+    const result =
+      step !== null &&
+      (await User.updateOne(
+        { _id: account._id, "twoFactor.lastUsedStep": { $not: { $gte: step } } },
+        { "twoFactor.lastUsedStep": step, ...cleared },
+      ))
+
+    if (result && result.modifiedCount > 0) {
+      return { method: "totp" }
+    }
+  } else if (recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode))
+
+    const used = await User.findOneAndUpdate(
+      { _id: account._id, "twoFactor.recoveryCodeHashes": hash },
+      { $pull: { "twoFactor.recoveryCodeHashes": hash }, $set: cleared },
+      { new: true },
+    ).select("+twoFactor.recoveryCodeHashes")
+
+    if (used) {
+      return { method: "recovery_code", recoveryCodesRemaining: used.twoFactor.recoveryCodeHashes.length }
+    }
+  }
+
+  await recordFailedAttempt(account._id)
+  return null
+}
+
+// Replace the user's recovery codes with a new set, returned this once
+const regenerateRecoveryCodes = async (user) => {
+  const recoveryCodes = generateRecoveryCodes()
+
+  await User.updateOne({ _id: user._id }, { "twoFactor.recoveryCodeHashes": hashRecoveryCodes(recoveryCodes) })
+
+  return recoveryCodes
+}
+
+const clearTwoFactor = (userId) =>
+  User.updateOne(
+    { _id: userId },
+    {
+      $set: { "twoFactor.enabled": false, "twoFactor.enabledAt": null, "twoFactor.failedAttempts": 0 },
+      $unset: {
+        "twoFactor.secret": 1,
+        "twoFactor.pendingSecret": 1,
+        "twoFactor.recoveryCodeHashes": 1,
+        "twoFactor.lastUsedStep": 1,
+        "twoFactor.lockedUntil": 1,
+      },
+    },
+  )
+
+// Turn two-factor authentication off for the user, who proves it is them with their password and a code
+const disableTwoFactor = async (user, { password, code, recoveryCode }) => {
+  if (requiresTwoFactor(user.role)) {
+    throw createHttpError(400, "Two-factor authentication is required for your role")
+  }
+
+  const account = await User.findById(user._id)
+
+  if (!(await account.comparePassword(password))) {
+    throw createHttpError(400, "Password is incorrect")
+  }
+
+  if (!(await verifySecondFactor(account, { code, recoveryCode }))) {
+    throw createHttpError(400, "Invalid two-factor code")
+  }
+
+  await clearTwoFactor(account._id)
+
+  await queueEmail({
+    to: account.email,
+    user: account._id,
+    template: "two_factor_disabled",
+    data: { recipientName: account.name, byAdmin: false },
+  })
+}
+
+// Clear another user's two-factor authentication when they have lost their app and recovery codes. Every
+// session is signed out, and a user whose role requires it has to set it up again on their next sign-in.
+const resetTwoFactor = async (user) => {
+  if (!user.twoFactor.enabled) {
+    throw createHttpError(400, "Two-factor authentication is not on for this user")
+  }
+
+  await clearTwoFactor(user._id)
+  const sessionsRevoked = await AuthSession.revokeAll(user._id, "Two-factor authentication reset")
+
+  await queueEmail({
+    to: user.email,
+    user: user._id,
+    template: "two_factor_disabled",
+    data: { recipientName: user.name, byAdmin: true },
+  })
+
+  return { sessionsRevoked }
+}
+
+module.exports = {
+  twoFactorStatus,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  resetTwoFactor,
+}
@@ -0,0 +1,42 @@
+const UserToken = require("../models/UserToken")
+const { randomToken, hashToken } = require("../utils/tokens")
+
+// Issue a token for a user, replacing any unused token they had for the same purpose so only the
+// newest link works. Returns the raw token, which is never stored.
+const issueUserToken = async (userId, purpose, { ttlMs, ip = null }) => {
+  await UserToken.deleteMany({ user: userId, purpose, usedAt: null })
+
+  const token = randomToken()
+
+  await UserToken.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+    requestedIp: ip,
+  })
+
+  return token
+}
+
+// Mark a token used and return it, or null when it is unknown, expired or already used. The update is
+// conditional, so two requests presenting the same token cannot both succeed.
+const consumeUserToken = async (token, purpose) => {
+  if (!token) return null
+
+  return await UserToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true },
+  )
+}
+
+// Whether a token for this purpose was issued to the user within the last windowMs
+const issuedRecently = async (userId, purpose, windowMs) =>
+  Boolean(await UserToken.exists({ user: userId, purpose, createdAt: { $gt: new Date(Date.now() - windowMs) } }))
+
+module.exports = {
+  issueUserToken,
+  consumeUserToken,
+  issuedRecently,
+}
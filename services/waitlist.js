@@ -0,0 +1,326 @@
+const Room = require("../models/Room")
+const WaitlistEntry = require("../models/WaitlistEntry")
+const AcademicSession = require("../models/AcademicSession")
+const createHttpError = require("../utils/httpError")
+const runInTransaction = require("../utils/transaction")
+
+// How long a student has to accept an offered bed
+const OFFER_HOURS = Number.parseInt(process.env.WAITLIST_OFFER_HOURS) || 48
+
+// How often expired offers are swept and rolled to the next student
+const SWEEP_INTERVAL_MS = Number.parseInt(process.env.WAITLIST_SWEEP_INTERVAL_MS) || 5 * 60 * 1000
+
+const queueOf = (entry) => ({
+  hostel: entry.hostel,
+  roomType: entry.roomType,
+  gender: entry.gender,
+  academicYear: entry.academicYear,
+  semester: entry.semester,
+})
+
+// Add an approved application to the waitlist for its preferred hostel and room type
+const joinWaitlist = async (application, student) => {
+  if (application.status !== "approved") {
+    throw createHttpError(400, "Only approved applications can join the waitlist")
+  }
+
+  const existing = await WaitlistEntry.findOne({
+    application: application._id,
+    status: { $in: WaitlistEntry.ACTIVE_STATUSES },
+  })
+
+  if (existing) {
+    throw createHttpError(400, "Application is already on the waitlist")
+  }
+
+  const queue = {
+    hostel: application.preferences.hostelPreference,
+    roomType: application.preferences.roomTypePreference,
+    gender: student.gender,
+    academicYear: application.academicYear,
+    semester: application.semester,
+  }
+
+  // Retry when a concurrent join took the same position
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const last = await WaitlistEntry.findOne(queue).sort({ position: -1 }).select("position")
+
+    try {
+      const entry = await WaitlistEntry.create({
+        ...queue,
+        application: application._id,
+        student: student._id,
+        position: last ? last.position + 1 : 1,
+      })
+
+      await offerNextInQueue(queue)
+
+      return await WaitlistEntry.findById(entry._id)
+    } catch (error) {
+      if (error.code !== 11000) throw error
+    }
+  }
+
+  throw createHttpError(409, "Could not join the waitlist, please try again")
+}
+
+// Reserve a free bed in a room and offer it to the next waiting student in the queue, as one unit.
+// Returns the entry the bed was offered to, or null when the room has no free bed or nobody is waiting.
+const offerBed = (queue, roomId) =>
+  runInTransaction(async (session) => {
+    const room = await Room.findById(roomId).session(session)
+    const bed = room && room.isAvailable() ? room.beds.find((candidate) => candidate.status === "available") : null
+    if (!bed) return null
+
+    const now = new Date()
+
+    // Only move the entry from waiting to offered if nobody else did so first
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { ...queue, status: "waiting" },
+      {
+        status: "offered",
+        offer: {
+          room: room._id,
+          bedLabel: bed.label,
+          offeredAt: now,
+          expiresAt: new Date(now.getTime() + OFFER_HOURS * 60 * 60 * 1000),
+        },
+      },
+      { new: true, sort: { position: 1 }, session },
+    )
+
+    if (!entry) return null
+
+    await room.reserveBed(bed.label)
+    return entry
+  })
+
+// Offer every free bed in a queue's rooms to the next waiting students. Offered beds are reserved on the room,
+// so they are neither offered again nor assigned to anyone else until the offer is closed.
+const offerNextInQueue = async (queue) => {
+  if (!(await WaitlistEntry.exists({ ...queue, status: "waiting" }))) return []
+
+  const rooms = await Room.find({
+    hostel: queue.hostel,
+    type: queue.roomType,
+    gender: queue.gender,
+    isActive: true,
+    availableBeds: { $gt: 0 },
+  })
+    .sort({ number: 1 })
+    .select("_id")
+
+  const offers = []
+
+  for (const room of rooms) {
+    let conflicts = 0
+
+    while (conflicts < 3) {
+      let entry
+
+      try {
+        entry = await offerBed(queue, room._id)
+      } catch (error) {
+        // The room changed while the bed was being reserved, so look at it again
+        if (error.status !== 409) throw error
+        conflicts++
+        continue
+      }
+
+      if (!entry) break
+      offers.push(entry)
+    }
+  }
+
+  return offers
+}
+
+// Close an entry, giving back the bed its outstanding offer reserved as one unit
+const closeEntry = async (entry, status) => {
+  const { room: roomId, bedLabel } = entry.status === "offered" ? entry.offer : {}
+
+  try {
+    await runInTransaction(async (session) => {
+      entry.$session(session)
+      await entry.close(status)
+
+      const room = bedLabel ? await Room.findById(roomId).session(session) : null
+      if (room) await room.releaseBed(bedLabel)
+    })
+  } finally {
+    entry.$session(null)
+  }
+
+  return entry
+}
+
+// Give back the beds a student's outstanding offers reserved, in the caller's transaction, so the student can
+// be assigned one of them. `room` is the caller's copy of the room it is assigning from, which is updated
+// rather than read again. Returns the IDs of the other rooms that got a bed back.
+const releaseOfferedBeds = async (studentId, room, session) => {
+  const entries = await WaitlistEntry.find({ student: studentId, status: "offered" }).session(session)
+  const released = []
+
+  for (const { offer } of entries) {
+    if (!offer.bedLabel) continue
+
+    if (offer.room.equals(room._id)) {
+      await room.releaseBed(offer.bedLabel)
+      continue
+    }
+
+    const other = await Room.findById(offer.room).session(session)
+    if (other) {
+      await other.releaseBed(offer.bedLabel)
+      released.push(other._id)
+    }
+  }
+
+  return released
+}
+
+// Whether the bed an entry was offered is still reserved for it
+const offeredBedHeld = async (entry) =>
+  Boolean(
+    entry.offer.bedLabel &&
+      (await Room.exists({
+        _id: entry.offer.room,
+        beds: { $elemMatch: { label: entry.offer.bedLabel, status: "reserved" } },
+      })),
+  )
+
+// Put an entry whose offered bed is gone back at its place in the queue, and offer it the next free bed straight
+// away if there is one. Returns the entry as it now stands.
+const returnToQueue = async (entry) => {
+  const current = await WaitlistEntry.findOne({ _id: entry._id, status: "offered" })
+  if (!current) return await WaitlistEntry.findById(entry._id)
+
+  await current.requeue()
+  await offerNextInQueue(queueOf(current))
+
+  return await WaitlistEntry.findById(entry._id)
+}
+
+// Offer the beds of a room that just gained capacity to the current session's waitlist
+const offerFreedBeds = async (roomId) => {
+  const room = await Room.findById(roomId)
+  if (!room || !room.isAvailable()) return []
+
+  const currentSession = await AcademicSession.getCurrent()
+  if (!currentSession) return []
+
+  return await offerNextInQueue({
+    hostel: room.hostel,
+    roomType: room.type,
+    gender: room.gender,
+    academicYear: currentSession.academicYear,
+    semester: currentSession.semester,
+  })
+}
+
+// Expire offers that were not accepted in time and roll their beds to the next students
+const expireOffers = async () => {
+  const expired = await WaitlistEntry.find({ status: "offered", "offer.expiresAt": { $lte: new Date() } })
+
+  for (const entry of expired) {
+    await closeEntry(entry, "expired")
+  }
+
+  const queues = await WaitlistEntry.aggregate([
+    { $match: { status: "waiting" } },
+    {
+      $group: {
+        _id: {
+          hostel: "$hostel",
+          roomType: "$roomType",
+          gender: "$gender",
+          academicYear: "$academicYear",
+          semester: "$semester",
+        },
+      },
+    },
+  ])
+
+  for (const queue of queues) {
+    await offerNextInQueue(queue._id)
+  }
+
+  return expired
+}
+
+// Decline an offer and pass the bed on
+const declineOffer = async (entry) => {
+  if (entry.status !== "offered") {
+    throw createHttpError(400, "There is no outstanding offer to decline")
+  }
+
+  await closeEntry(entry, "declined")
+  await offerNextInQueue(queueOf(entry))
+
+  return entry
+}
+
+// Leave the waitlist, passing on any outstanding offer
+const withdrawEntry = async (entry) => {
+  if (!entry.isActive) {
+    throw createHttpError(400, "Entry is no longer on the waitlist")
+  }
+
+  const hadOffer = entry.status === "offered"
+
+  await closeEntry(entry, "withdrawn")
+
+  if (hadOffer) {
+    await offerNextInQueue(queueOf(entry))
+  }
+
+  return entry
+}
+
+// Position and number of students ahead for the active entry of an application
+const getStanding = async (applicationId) => {
+  const entry = await WaitlistEntry.findOne({
+    application: applicationId,
+    status: { $in: WaitlistEntry.ACTIVE_STATUSES },
+  }).populate("offer.room", "number hostelName type")
+
+  if (!entry) return null
+
+  const ahead = await WaitlistEntry.countDocuments({
+    ...queueOf(entry),
+    status: { $in: WaitlistEntry.ACTIVE_STATUSES },
+    position: { $lt: entry.position },
+  })
+
+  return {
+    entry: entry._id,
+    status: entry.status,
+    position: entry.position,
+    ahead,
+    offer: entry.status === "offered" ? entry.offer : null,
+  }
+}
+
+// Periodically expire stale offers; the timer does not keep the process alive
+const startWaitlistJob = () => {
+  const timer = setInterval(() => {
+    expireOffers().catch((error) => console.error("Waitlist sweep error:", error))
+  }, SWEEP_INTERVAL_MS)
+
+  timer.unref()
+  return timer
+}
+
+module.exports = {
+  joinWaitlist,
+  offerNextInQueue,
+  offerFreedBeds,
+  releaseOfferedBeds,
+  offeredBedHeld,
+  returnToQueue,
+  expireOffers,
+  declineOffer,
+  withdrawEntry,
+  getStanding,
+  startWaitlistJob,
+}
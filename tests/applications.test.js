@@ -0,0 +1,140 @@
+const express = require("express")
+const request = require("supertest")
+const Hostel = require("../models/Hostel")
+const User = require("../models/User")
+const Application = require("../models/Application")
+const AcademicSession = require("../models/AcademicSession")
+const PriorityRule = require("../models/PriorityRule")
+const { createSession } = require("../services/authSessions")
+const applicationRoutes = require("../routes/applications")
+const db = require("./helpers/db")
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret"
+
+const app = express()
+app.use(express.json())
+app.use("/api/applications", applicationRoutes)
+
+beforeAll(db.connect)
+afterAll(db.disconnect)
+afterEach(db.clear)
+
+const DAY = 24 * 60 * 60 * 1000
+
+// A document the student marks as verified themselves
+const selfVerifiedReport = {
+  name: "Medical report",
+  url: "https://example.com/report.pdf",
+  category: "medical_report",
+  verification: { status: "verified" },
+}
+
+const setUp = async () => {
+  const hostel = await Hostel.create({ name: "Test Hall", gender: "male", totalRooms: 1 })
+
+  await AcademicSession.create({
+    academicYear: "2026/2027",
+    semester: "first",
+    startDate: new Date(Date.now() + 30 * DAY),
+    endDate: new Date(Date.now() + 150 * DAY),
+    applicationOpenDate: new Date(Date.now() - DAY),
+    applicationCloseDate: new Date(Date.now() + 14 * DAY),
+    isCurrent: true,
+  })
+
+  await PriorityRule.create({
+    name: "Medical report on file",
+    criterion: "document",
+    values: ["medical_report"],
+    points: 20,
+  })
+
+  const student = await User.create({
+    name: "Test Student",
+    email: "student@student.calebu.edu.ng",
+    matricNumber: "CU/24/0001",
+    password: "student123",
+    gender: "male",
+    phoneNumber: "08012345678",
+    level: "100",
+    department: "Computer Science",
+    emailVerified: true,
+  })
+
+  const { token } = await createSession(student, { get: () => "jest", ip: "127.0.0.1" })
+
+  return { hostel, student, token }
+}
+
+const applicationBody = (hostel) => ({
+  personalInfo: {
+    guardianName: "Test Guardian",
+    guardianPhone: "08087654321",
+    guardianEmail: "guardian@example.com",
+    homeAddress: "1 Test Street, Lagos",
+    stateOfOrigin: "Lagos",
+    emergencyContact: { name: "Test Guardian", phone: "08087654321", relationship: "Parent" },
+  },
+  preferences: { hostelPreference: hostel._id, roomTypePreference: "double" },
+})
+
+describe("application documents", () => {
+  it("ignores documents sent with a submission, so a self-verified one earns no points", async () => {
+    const { hostel, token } = await setUp()
+
+    const response = await request(app)
+      .post("/api/applications/submit")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ ...applicationBody(hostel), documents: [selfVerifiedReport] })
+
+    expect(response.status).toBe(201)
+
+    const saved = await Application.findById(response.body.data.application._id)
+    expect(saved.documents).toHaveLength(0)
+    expect(saved.priority.score).toBe(0)
+  })
+
+  it("ignores documents sent with an update", async () => {
+    const { hostel, student, token } = await setUp()
+    const application = await Application.create({
+      ...applicationBody(hostel),
+      student: student._id,
+      academicYear: "2026/2027",
+      semester: "first",
+    })
+
+    const response = await request(app)
+      .put(`/api/applications/${application._id}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ documents: [selfVerifiedReport] })
+
+    expect(response.status).toBe(200)
+
+    const saved = await Application.findById(application._id)
+    expect(saved.documents).toHaveLength(0)
+    expect(saved.priority.score).toBe(0)
+  })
+})
+
+describe("application updates", () => {
+  it("keeps the session the application was submitted for", async () => {
+    const { hostel, student, token } = await setUp()
+    const application = await Application.create({
+      ...applicationBody(hostel),
+      student: student._id,
+      academicYear: "2026/2027",
+      semester: "first",
+    })
+
+    const response = await request(app)
+      .put(`/api/applications/${application._id}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ academicYear: "2027/2028", semester: "second" })
+
+    expect(response.status).toBe(200)
+
+    const saved = await Application.findById(application._id)
+    expect(saved.academicYear).toBe("2026/2027")
+    expect(saved.semester).toBe("first")
+  })
+})
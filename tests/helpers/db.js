@@ -0,0 +1,26 @@
+const mongoose = require("mongoose")
+const { MongoMemoryReplSet } = require("mongodb-memory-server")
+
+// Tests get a throwaway single-node replica set, since transactions need one
+let replSet
+
+const connect = async () => {
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: "wiredTiger" } })
+  await mongoose.connect(replSet.getUri())
+
+  // Collections cannot be created inside a transaction, so create every model loaded so far up front
+  await Promise.all(Object.values(mongoose.models).map((model) => model.init()))
+}
+
+const disconnect = async () => {
+  await mongoose.disconnect()
+  if (replSet) await replSet.stop()
+}
+
+const clear = () => Promise.all(Object.values(mongoose.models).map((model) => model.deleteMany({})))
+
+module.exports = {
+  connect,
+  disconnect,
+  clear,
+}
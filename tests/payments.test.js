@@ -0,0 +1,118 @@
+const express = require("express")
+const request = require("supertest")
+const User = require("../models/User")
+const Application = require("../models/Application")
+const Hostel = require("../models/Hostel")
+const LedgerEntry = require("../models/LedgerEntry")
+const Payment = require("../models/Payment")
+const { issueInvoice } = require("../services/billing")
+const { initializePayment } = require("../services/payments")
+const { buildWebhook } = require("../services/paymentProviders/mock")
+const paymentRoutes = require("../routes/payments")
+const db = require("./helpers/db")
+
+process.env.PAYMENT_PROVIDER = "mock"
+process.env.MOCK_PAYMENT_SECRET = "test-mock-secret"
+
+// Mounted the way server.js does, keeping the raw body for the signature check
+const app = express()
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString()
+    },
+  }),
+)
+app.use("/api/payments", paymentRoutes)
+
+beforeAll(db.connect)
+afterAll(db.disconnect)
+afterEach(db.clear)
+
+// A pending gateway payment for an invoice of NGN 50,000
+const createPendingPayment = async () => {
+  const hostel = await Hostel.create({ name: "Test Hall", gender: "male", totalRooms: 1 })
+  const student = await User.create({
+    name: "Test Student",
+    email: "student@student.calebu.edu.ng",
+    matricNumber: "CU/24/0001",
+    password: "student123",
+    gender: "male",
+    phoneNumber: "08012345678",
+    level: "100",
+    department: "Computer Science",
+  })
+  const application = await Application.create({
+    student: student._id,
+    academicYear: "2026/2027",
+    semester: "first",
+    status: "approved",
+    personalInfo: {
+      guardianName: "Test Guardian",
+      guardianPhone: "08087654321",
+      guardianEmail: "guardian@example.com",
+      homeAddress: "1 Test Street, Lagos",
+      stateOfOrigin: "Lagos",
+      emergencyContact: { name: "Test Guardian", phone: "08087654321", relationship: "Parent" },
+    },
+    preferences: { hostelPreference: hostel._id, roomTypePreference: "double" },
+  })
+
+  const invoice = await issueInvoice({
+    application,
+    kind: "accommodation",
+    items: [{ description: "Accommodation", amount: 50000 }],
+  })
+
+  return await initializePayment({ invoice, student })
+}
+
+const postWebhook = ({ rawBody, headers }) => request(app).post("/api/payments/webhook").set(headers).send(rawBody)
+
+describe("POST /api/payments/webhook", () => {
+  it("rejects a callback whose signature does not match", async () => {
+    const payment = await createPendingPayment()
+    const { rawBody, headers } = buildWebhook({ reference: payment.reference, amount: payment.amount })
+
+    const response = await postWebhook({ rawBody, headers: { ...headers, "x-mock-signature": "0".repeat(64) } })
+
+    expect(response.status).toBe(401)
+    expect((await Payment.findById(payment._id)).status).toBe("pending")
+    expect(await LedgerEntry.countDocuments({ type: "payment" })).toBe(0)
+  })
+
+  it("rejects a signed callback whose body was changed", async () => {
+    const payment = await createPendingPayment()
+    const { rawBody, headers } = buildWebhook({ reference: payment.reference, amount: payment.amount })
+
+    const tampered = JSON.stringify({ ...JSON.parse(rawBody), amount: 1 })
+
+    const response = await postWebhook({ rawBody: tampered, headers })
+
+    expect(response.status).toBe(401)
+    expect(await LedgerEntry.countDocuments({ type: "payment" })).toBe(0)
+  })
+
+  it("records a payment once however often the gateway delivers its callback", async () => {
+    const payment = await createPendingPayment()
+    const webhook = buildWebhook({ reference: payment.reference, amount: payment.amount })
+
+    const first = await postWebhook(webhook)
+    const second = await postWebhook(webhook)
+
+    expect(first.status).toBe(200)
+    expect(first.body.data.outcome).toBe("successful")
+    expect(second.status).toBe(200)
+    expect(second.body.data.outcome).toBe("duplicate")
+
+    const entries = await LedgerEntry.find({ type: "payment", reference: payment.reference })
+    expect(entries).toHaveLength(1)
+    expect(entries[0].amount).toBe(payment.amount)
+
+    const settled = await Payment.findById(payment._id)
+    expect(settled.status).toBe("successful")
+    expect(settled.events).toHaveLength(2)
+    expect(settled.events[1].duplicate).toBe(true)
+    expect((await Application.findById(payment.application)).paymentStatus).toBe("paid")
+  })
+})
@@ -0,0 +1,114 @@
+const Hostel = require("../models/Hostel")
+const Room = require("../models/Room")
+const User = require("../models/User")
+const Occupancy = require("../models/Occupancy")
+const { assignStudentToRoom } = require("../services/roomAssignment")
+const db = require("./helpers/db")
+
+beforeAll(db.connect)
+afterAll(db.disconnect)
+afterEach(db.clear)
+
+let sequence = 0
+
+const createRoom = async ({ capacity = 1 } = {}) => {
+  sequence += 1
+  const hostel = await Hostel.create({ name: `Test Hall ${sequence}`, gender: "male", totalRooms: 1 })
+
+  return await Room.create({
+    number: `T${sequence}`,
+    hostel: hostel._id,
+    hostelName: hostel.name,
+    capacity,
+    type: capacity === 1 ? "single" : "double",
+    gender: "male",
+    price: 50000,
+  })
+}
+
+const createStudent = async () => {
+  sequence += 1
+
+  return await User.create({
+    name: `Student ${sequence}`,
+    email: `student${sequence}@student.calebu.edu.ng`,
+    matricNumber: `CU/24/${String(sequence).padStart(4, "0")}`,
+    password: "student123",
+    gender: "male",
+    phoneNumber: "08012345678",
+    level: "100",
+    department: "Computer Science",
+  })
+}
+
+describe("assignStudentToRoom", () => {
+  it("gives a one-bed room to exactly one of several concurrent assignments", async () => {
+    const room = await createRoom({ capacity: 1 })
+    const students = await Promise.all(Array.from({ length: 5 }, createStudent))
+
+    const results = await Promise.allSettled(
+      students.map((student) => assignStudentToRoom({ studentId: student._id, roomId: room._id })),
+    )
+
+    const succeeded = results.filter((result) => result.status === "fulfilled")
+    const failed = results.filter((result) => result.status === "rejected")
+
+    expect(succeeded).toHaveLength(1)
+    expect(failed).toHaveLength(students.length - 1)
+    // A loser that read the room before the winner committed gets a conflict, one that read it after finds it full
+    for (const { reason } of failed) {
+      expect([400, 409]).toContain(reason.status)
+    }
+
+    // Room, users and occupancies all agree on the one winner
+    const winner = succeeded[0].value.student._id
+    const saved = await Room.findById(room._id)
+
+    expect(saved.occupiedBeds).toBe(1)
+    expect(saved.availableBeds).toBe(0)
+    expect(saved.beds[0].occupant.toString()).toBe(winner.toString())
+
+    const assigned = await User.find({ roomAssigned: room._id })
+    expect(assigned.map((user) => user._id.toString())).toEqual([winner.toString()])
+
+    const occupancies = await Occupancy.find({ room: room._id })
+    expect(occupancies).toHaveLength(1)
+    expect(occupancies[0].student.toString()).toBe(winner.toString())
+  })
+
+  it("assigns a student to only one of two rooms requested at the same time", async () => {
+    const rooms = await Promise.all([createRoom({ capacity: 2 }), createRoom({ capacity: 2 })])
+    const student = await createStudent()
+
+    const results = await Promise.allSettled(
+      rooms.map((room) => assignStudentToRoom({ studentId: student._id, roomId: room._id })),
+    )
+
+    const succeeded = results.filter((result) => result.status === "fulfilled")
+    const failed = results.filter((result) => result.status === "rejected")
+
+    expect(succeeded).toHaveLength(1)
+    expect(failed).toHaveLength(1)
+    expect([400, 409]).toContain(failed[0].reason.status)
+
+    // The student holds a bed only in the room their account points to
+    const saved = await User.findById(student._id)
+    const occupied = await Room.find({ "beds.occupant": student._id })
+
+    expect(occupied).toHaveLength(1)
+    expect(saved.roomAssigned.toString()).toBe(occupied[0]._id.toString())
+    expect(await Occupancy.countDocuments({ student: student._id })).toBe(1)
+  })
+
+  it("refuses a room that is already full with a 400", async () => {
+    const room = await createRoom({ capacity: 1 })
+    const [first, second] = await Promise.all([createStudent(), createStudent()])
+
+    await assignStudentToRoom({ studentId: first._id, roomId: room._id })
+
+    await expect(assignStudentToRoom({ studentId: second._id, roomId: room._id })).rejects.toMatchObject({
+      status: 400,
+    })
+    expect((await User.findById(second._id)).roomAssigned).toBeNull()
+  })
+})
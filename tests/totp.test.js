@@ -0,0 +1,42 @@
+const { base32Encode, base32Decode, generateCode, timeStep, verifyCode } = require("../utils/totp")
+
+// RFC 6238 appendix B test vectors for SHA-1, cut to the six digits authenticator apps show
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"))
+const RFC_VECTORS = [
+  [59, "94287082"],
+  [1111111109, "07081804"],
+  [1111111111, "14050471"],
+  [1234567890, "89005924"],
+  [2000000000, "69279037"],
+  [20000000000, "65353130"],
+]
+
+describe("TOTP", () => {
+  it("encodes the RFC secret as authenticator apps expect", () => {
+    expect(RFC_SECRET).toBe("GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ")
+    expect(base32Decode(RFC_SECRET).toString()).toBe("12345678901234567890")
+  })
+
+  it.each(RFC_VECTORS)("generates the RFC 6238 code at %i seconds", (seconds, expected) => {
+    expect(generateCode(RFC_SECRET, timeStep(seconds * 1000))).toBe(expected.slice(-6))
+  })
+
+  it.each(RFC_VECTORS)("accepts the RFC 6238 code at %i seconds", (seconds, expected) => {
+    expect(verifyCode(RFC_SECRET, expected.slice(-6), { time: seconds * 1000 })).toBe(timeStep(seconds * 1000))
+  })
+
+  it("allows one step of clock drift either way and no more", () => {
+    const time = 1111111111 * 1000
+    const step = timeStep(time)
+
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { time })).toBe(step - 1)
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { time })).toBe(step + 1)
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2), { time })).toBeNull()
+  })
+
+  it("refuses codes that are not six digits", () => {
+    expect(verifyCode(RFC_SECRET, "", { time: 59000 })).toBeNull()
+    expect(verifyCode(RFC_SECRET, "28708", { time: 59000 })).toBeNull()
+    expect(verifyCode(RFC_SECRET, "2870820", { time: 59000 })).toBeNull()
+  })
+})
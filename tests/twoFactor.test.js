@@ -0,0 +1,77 @@
+const User = require("../models/User")
+const { startEnrollment, confirmEnrollment, verifySecondFactor } = require("../services/twoFactor")
+const { generateCode, timeStep } = require("../utils/totp")
+const db = require("./helpers/db")
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret"
+
+beforeAll(db.connect)
+afterAll(db.disconnect)
+afterEach(db.clear)
+
+// A user with two-factor authentication on, and the secret their authenticator app holds
+const enrolledUser = async () => {
+  const user = await User.create({
+    name: "Test Admin",
+    email: "admin@calebu.edu.ng",
+    password: "admin12345",
+    role: "admin",
+    gender: "female",
+    phoneNumber: "08012345678",
+  })
+
+  const { secret } = await startEnrollment(user)
+  await confirmEnrollment(user, generateCode(secret))
+
+  return { user: await User.findById(user._id), secret }
+}
+
+// A six-digit code the authenticator app would not show at any time step accepted now
+const wrongCode = (secret) => {
+  const accepted = [-1, 0, 1].map((offset) => generateCode(secret, timeStep() + offset))
+  let code = 0
+  while (accepted.includes(String(code).padStart(6, "0"))) code++
+  return { code: String(code).padStart(6, "0") }
+}
+
+// A code from the next time step, which has not been used yet
+const nextCode = (secret) => ({ code: generateCode(secret, timeStep() + 1) })
+
+describe("verifySecondFactor", () => {
+  it("locks code entry after five wrong codes in a row", async () => {
+    const { user, secret } = await enrolledUser()
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      expect(await verifySecondFactor(user, wrongCode(secret))).toBeNull()
+    }
+
+    // Even the right code is refused while locked
+    await expect(verifySecondFactor(user, nextCode(secret))).rejects.toMatchObject({ status: 429 })
+
+    const locked = await User.findById(user._id).select("+twoFactor.lockedUntil")
+    expect(locked.twoFactor.lockedUntil.getTime()).toBeGreaterThan(Date.now())
+  })
+
+  it("starts counting again after a right code", async () => {
+    const { user, secret } = await enrolledUser()
+
+    for (let attempt = 0; attempt < 4; attempt++) {
+      expect(await verifySecondFactor(user, wrongCode(secret))).toBeNull()
+    }
+
+    expect(await verifySecondFactor(user, nextCode(secret))).toEqual({ method: "totp" })
+    expect(await verifySecondFactor(user, wrongCode(secret))).toBeNull()
+
+    const account = await User.findById(user._id).select("+twoFactor.failedAttempts +twoFactor.lockedUntil")
+    expect(account.twoFactor.failedAttempts).toBe(1)
+    expect(account.twoFactor.lockedUntil).toBeNull()
+  })
+
+  it("lets the user back in once the lockout has passed", async () => {
+    const { user, secret } = await enrolledUser()
+
+    await User.updateOne({ _id: user._id }, { "twoFactor.lockedUntil": new Date(Date.now() - 1000) })
+
+    expect(await verifySecondFactor(user, nextCode(secret))).toEqual({ method: "totp" })
+  })
+})
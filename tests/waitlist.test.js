@@ -0,0 +1,122 @@
+const Hostel = require("../models/Hostel")
+const Room = require("../models/Room")
+const User = require("../models/User")
+const Application = require("../models/Application")
+const WaitlistEntry = require("../models/WaitlistEntry")
+const { joinWaitlist, declineOffer } = require("../services/waitlist")
+const { assignStudentToRoom, acceptOffer } = require("../services/roomAssignment")
+const db = require("./helpers/db")
+
+beforeAll(db.connect)
+afterAll(db.disconnect)
+afterEach(db.clear)
+
+let sequence = 0
+
+const createHostelWithRoom = async () => {
+  const hostel = await Hostel.create({ name: "Test Hall", gender: "male", totalRooms: 1 })
+  const room = await Room.create({
+    number: "T1",
+    hostel: hostel._id,
+    hostelName: hostel.name,
+    capacity: 1,
+    type: "single",
+    gender: "male",
+    price: 50000,
+  })
+
+  return { hostel, room }
+}
+
+const createStudent = async () => {
+  sequence += 1
+
+  return await User.create({
+    name: `Student ${sequence}`,
+    email: `student${sequence}@student.calebu.edu.ng`,
+    matricNumber: `CU/24/${String(sequence).padStart(4, "0")}`,
+    password: "student123",
+    gender: "male",
+    phoneNumber: "08012345678",
+    level: "100",
+    department: "Computer Science",
+  })
+}
+
+// An approved application from a student for a single room in the hostel
+const createApplicant = async (hostel) => {
+  const student = await createStudent()
+  const application = await Application.create({
+    student: student._id,
+    academicYear: "2026/2027",
+    semester: "first",
+    status: "approved",
+    personalInfo: {
+      guardianName: "Test Guardian",
+      guardianPhone: "08087654321",
+      guardianEmail: "guardian@example.com",
+      homeAddress: "1 Test Street, Lagos",
+      stateOfOrigin: "Lagos",
+      emergencyContact: { name: "Test Guardian", phone: "08087654321", relationship: "Parent" },
+    },
+    preferences: { hostelPreference: hostel._id, roomTypePreference: "single" },
+  })
+
+  return { student, application }
+}
+
+describe("waitlist offers", () => {
+  it("reserves an offered bed so nobody else can be assigned it", async () => {
+    const { hostel, room } = await createHostelWithRoom()
+    const { student, application } = await createApplicant(hostel)
+
+    const entry = await joinWaitlist(application, student)
+
+    expect(entry.status).toBe("offered")
+    expect(entry.offer.bedLabel).toBe("A")
+
+    const reserved = await Room.findById(room._id)
+    expect(reserved.beds[0].status).toBe("reserved")
+    expect(reserved.availableBeds).toBe(0)
+
+    const other = await createStudent()
+    await expect(assignStudentToRoom({ studentId: other._id, roomId: room._id })).rejects.toMatchObject({
+      status: 400,
+    })
+
+    const { room: assigned } = await acceptOffer(entry)
+    expect(assigned.beds[0].occupant.toString()).toBe(student._id.toString())
+    expect((await WaitlistEntry.findById(entry._id)).status).toBe("assigned")
+  })
+
+  it("puts the student back in the queue when the offered bed is gone on accepting", async () => {
+    const { hostel, room } = await createHostelWithRoom()
+    const { student, application } = await createApplicant(hostel)
+
+    const entry = await joinWaitlist(application, student)
+
+    // Staff take the bed out of service while it is on offer
+    const offered = await Room.findById(room._id)
+    await offered.updateBed("A", { status: "out_of_service" })
+
+    await expect(acceptOffer(entry)).rejects.toMatchObject({ status: 409 })
+
+    const requeued = await WaitlistEntry.findById(entry._id)
+    expect(requeued.status).toBe("waiting")
+    expect(requeued.position).toBe(entry.position)
+    expect(requeued.offerHistory.map((offer) => offer.outcome)).toEqual(["unavailable"])
+    expect((await User.findById(student._id)).roomAssigned).toBeNull()
+  })
+
+  it("frees the reserved bed when an offer is declined", async () => {
+    const { hostel, room } = await createHostelWithRoom()
+    const { student, application } = await createApplicant(hostel)
+
+    const entry = await joinWaitlist(application, student)
+    await declineOffer(entry)
+
+    const freed = await Room.findById(room._id)
+    expect(freed.beds[0].status).toBe("available")
+    expect(freed.availableBeds).toBe(1)
+  })
+})
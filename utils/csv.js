@@ -0,0 +1,16 @@
+// Quote a value for CSV. Values that spreadsheets would run as formulas are prefixed with a quote.
+const csvCell = (value) => {
+  if (value === null || value === undefined) return ""
+
+  let text = String(value)
+  if (value instanceof Date) text = value.toISOString()
+  else if (typeof value === "object" && !value.toHexString) text = JSON.stringify(value)
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// One CSV line, with the trailing CRLF
+const csvRow = (values) => `${values.map(csvCell).join(",")}\r\n`
+
+module.exports = { csvCell, csvRow }
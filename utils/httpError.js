@@ -0,0 +1,8 @@
+// Create an error carrying the HTTP status the API should respond with
+const createHttpError = (status, message) => {
+  const error = new Error(message)
+  error.status = status
+  return error
+}
+
+module.exports = createHttpError
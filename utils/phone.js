@@ -0,0 +1,15 @@
+// Convert a Nigerian phone number in any accepted form (0XXXXXXXXXX, +234XXXXXXXXXX or 234XXXXXXXXXX, with
+// optional spaces or dashes) to +234XXXXXXXXXX. Returns null for anything else.
+const normalizePhoneNumber = (value) => {
+  if (!value) return null
+
+  const digits = String(value).replace(/[\s-]/g, "")
+  const match = digits.match(/^(?:\+?234|0)([789]\d{9})$/)
+
+  return match ? `+234${match[1]}` : null
+}
+
+// Schema setter that stores valid numbers in +234 format and leaves anything else for validation to reject
+const formatPhoneNumber = (value) => normalizePhoneNumber(value) || value
+
+module.exports = { normalizePhoneNumber, formatPhoneNumber }
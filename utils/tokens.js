@@ -0,0 +1,9 @@
+const crypto = require("crypto")
+
+// Random URL-safe token for links and refresh tokens
+const randomToken = (bytes = 32) => crypto.randomBytes(bytes).toString("base64url")
+
+// Tokens are stored as SHA-256 hashes and looked up by hashing what the client presents
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex")
+
+module.exports = { randomToken, hashToken }
@@ -0,0 +1,89 @@
+const crypto = require("crypto")
+
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps: six digits from an HMAC-SHA1 of
+// the number of 30-second steps since the epoch.
+const TOTP_DIGITS = 6
+const TOTP_STEP_SECONDS = 30
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567"
+
+// Authenticator apps take secrets as unpadded base32
+const base32Encode = (buffer) => {
+  let bits = ""
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0")
+
+  let output = ""
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[Number.parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)]
+  }
+  return output
+}
+
+const base32Decode = (text) => {
+  let bits = ""
+  for (const char of String(text).toUpperCase().replace(/[\s=-]/g, "")) {
+    const value = BASE32_ALPHABET.indexOf(char)
+    if (value === -1) throw new Error("Invalid base32 secret")
+    bits += value.toString(2).padStart(5, "0")
+  }
+
+  const bytes = []
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(Number.parseInt(bits.slice(i, i + 8), 2))
+  return Buffer.from(bytes)
+}
+
+// New random secret, 160 bits as RFC 4226 recommends
+const generateSecret = (bytes = 20) => base32Encode(crypto.randomBytes(bytes))
+
+// Time step a moment falls in
+const timeStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_STEP_SECONDS)
+
+// Code for a secret at a time step
+const generateCode = (secret, step = timeStep()) => {
+  const counter = Buffer.alloc(8)
+  counter.writeBigUInt64BE(BigInt(step))
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest()
+  const offset = hmac[hmac.length - 1] & 0xf
+  const value = hmac.readUInt32BE(offset) & 0x7fffffff
+
+  return String(value % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0")
+}
+
+// Find the time step a code was generated for, allowing `window` steps either side for clock drift.
+// Returns null when the code does not match.
+const verifyCode = (secret, code, { time = Date.now(), window = 1 } = {}) => {
+  const candidate = String(code || "").replace(/\s/g, "")
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(candidate)) return null
+
+  const current = timeStep(time)
+  for (let step = current - window; step <= current + window; step++) {
+    if (crypto.timingSafeEqual(Buffer.from(generateCode(secret, step)), Buffer.from(candidate))) return step
+  }
+  return null
+}
+
+// otpauth:// URI that authenticator apps read from a QR code
+const otpauthUrl = (secret, { issuer, account }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`)
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  })
+  return `otpauth://totp/${label}?${params}`
+}
+
+module.exports = {
+  TOTP_DIGITS,
+  TOTP_STEP_SECONDS,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  generateCode,
+  verifyCode,
+  otpauthUrl,
+}
@@ -0,0 +1,18 @@
+const mongoose = require("mongoose")
+
+// Run fn inside a MongoDB transaction, retrying on transient write conflicts
+const runInTransaction = async (fn) => {
+  const session = await mongoose.startSession()
+
+  try {
+    let result
+    await session.withTransaction(async () => {
+      result = await fn(session)
+    })
+    return result
+  } finally {
+    await session.endSession()
+  }
+}
+
+module.exports = runInTransaction